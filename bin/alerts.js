@@ -0,0 +1,335 @@
+var events = require('events');
+var util = require('util');
+var duration = require('./duration.js');
+var flatten = require('./flatten.js');
+
+
+/**
+ * The comparisons a rule can make.
+ */
+var operators = {
+  '<': function(value, threshold) {
+    return value < threshold;
+  },
+  '<=': function(value, threshold) {
+    return value <= threshold;
+  },
+  '>': function(value, threshold) {
+    return value > threshold;
+  },
+  '>=': function(value, threshold) {
+    return value >= threshold;
+  },
+  '==': function(value, threshold) {
+    return value === threshold;
+  },
+  '!=': function(value, threshold) {
+    return value !== threshold;
+  },
+};
+
+/**
+ * Parse a rule expression, ``<path> <operator> <threshold> [for <duration>]``.
+ *
+ * The path is a metric path as ``flatten()`` writes it, where ``*`` matches
+ * any part of a key, eg. ``df[mountPoint=*].remaining``; every path it matches
+ * is alerted on separately.
+ *
+ * @example
+ *    > parse('df[mountPoint=/].remaining < 10 for 5m');
+ *    { path: 'df[mountPoint=/].remaining', collector: 'df', operator: '<', threshold: 10, for: 300000 }
+ *
+ * @param <String>expression
+ *
+ * @return <Object>
+ */
+function parse(expression) {
+  var match = /^\s*((?:[^\s<>=!\[]|\[[^\]]*\])+)\s*(<=|>=|==|!=|<|>)\s*(-?[0-9]*\.?[0-9]+(?:e[-+]?[0-9]+)?)(?:\s+for\s+(\S+))?\s*$/i.exec(expression);
+  if (!match) {
+    throw new Error('Invalid rule expression: ' + expression +
+      ' (expected "<path> <operator> <threshold> [for <duration>]")');
+  }
+
+  // '*' matches within a key: anything but a dot outside of brackets, and
+  // anything but the closing bracket inside them
+  var inside = false;
+  var pattern = match[1].split('').map(function(character) {
+    if (character === '*') {
+      return inside ? '[^\\]]*' : '[^.\\[]*';
+    }
+    if (character === '[' || character === ']') {
+      inside = (character === '[');
+    }
+    return character.replace(/[\\^$.|?+()[\]{}]/g, '\\$&');
+  }).join('');
+
+  return {
+    path: match[1],
+    collector: /^[^.\[]+/.exec(match[1])[0],
+    pattern: new RegExp('^' + pattern + '$'),
+    operator: match[2],
+    threshold: parseFloat(match[3]),
+    for: match[4] ? duration(match[4]) : 0,
+  };
+}
+
+
+/**
+ * Evaluates threshold rules against collector results and keeps the state of
+ * every alert they raise.
+ *
+ * An alert is raised per rule and matching metric path. It is ``pending``
+ * while the condition holds for less than the rule's duration, ``firing``
+ * once it has held for that long, and ``resolved`` when it stops holding
+ * after firing. A rule with a ``clear`` threshold only resolves once the value
+ * passes that threshold, so a value hovering around the limit doesn't flap.
+ *
+ * Events, each with the alert:
+ *    pending, firing, resolved
+ *    alert: any of the above
+ *
+ * @example
+ *    > var alerts = new Alerts({ rules: [
+ *    >   { name: 'root-full', expression: 'df[mountPoint=/].remaining < 10 for 5m', clear: 15, severity: 'critical' },
+ *    > ] });
+ *    > alerts.on('firing', function(alert) { console.log(alert.name, alert.path, alert.value); });
+ *
+ * @param <Object>options
+ *    rules: list of rules, see ``add()``
+ */
+function Alerts(options) {
+  events.EventEmitter.call(this);
+  var self = this;
+  options = options || {};
+  self.rules = [];
+  self.states = {};
+  (options.rules || []).forEach(function(rule) {
+    self.add(rule);
+  });
+}
+
+util.inherits(Alerts, events.EventEmitter);
+
+/**
+ * Add a rule.
+ *
+ * @param <Object|String>rule an expression, or
+ *    expression: eg. 'memory.ram.free.size < 200e6 for 5m'
+ *    name: (default the expression)
+ *    severity: eg. 'warning' or 'critical' (default 'warning')
+ *    clear: the threshold the value has to pass to resolve (default the
+ *      threshold of the expression)
+ *    annotations: anything to pass along with the alerts, eg. a description
+ *
+ * @return <Object>Alerts
+ */
+Alerts.prototype.add = function(rule) {
+  if (typeof(rule) === 'string') {
+    rule = { expression: rule };
+  }
+  var parsed = parse(rule.expression);
+  var name = rule.name || rule.expression;
+  if (this.rule(name)) {
+    throw new Error('Duplicate rule: ' + name);
+  }
+  if (typeof(rule.clear) !== 'undefined' && (typeof(rule.clear) !== 'number' || !isFinite(rule.clear))) {
+    throw new Error('Invalid clear threshold for ' + name + ': ' + rule.clear);
+  }
+  this.rules.push({
+    name: name,
+    expression: rule.expression,
+    severity: rule.severity || 'warning',
+    clear: (typeof(rule.clear) === 'number') ? rule.clear : parsed.threshold,
+    annotations: rule.annotations || {},
+    path: parsed.path,
+    collector: parsed.collector,
+    pattern: parsed.pattern,
+    operator: parsed.operator,
+    threshold: parsed.threshold,
+    for: parsed.for,
+  });
+  return this;
+};
+
+/**
+ * Remove a rule and forget its alerts.
+ *
+ * @param <String>name
+ */
+Alerts.prototype.remove = function(name) {
+  var self = this;
+  self.rules = self.rules.filter(function(rule) {
+    return rule.name !== name;
+  });
+  Object.keys(self.states).forEach(function(key) {
+    if (self.states[key].name === name) {
+      delete self.states[key];
+    }
+  });
+};
+
+/**
+ * Look up a rule by name.
+ *
+ * @param <String>name
+ *
+ * @return <Object> or null
+ */
+Alerts.prototype.rule = function(name) {
+  return this.rules.filter(function(rule) {
+    return rule.name === name;
+  })[0] || null;
+};
+
+/**
+ * Evaluate the rules on a collector result.
+ *
+ * @param <String>collector
+ * @param <Object>result
+ * @param <Number>time milliseconds since epoch (default now)
+ */
+Alerts.prototype.evaluate = function(collector, result, time) {
+  var self = this;
+  time = time || Date.now();
+  var paths = flatten(collector, result);
+
+  self.rules.forEach(function(rule) {
+    if (rule.collector !== collector) {
+      return true;
+    }
+    var seen = {};
+    Object.keys(paths).forEach(function(path) {
+      if (rule.pattern.test(path)) {
+        seen[path] = true;
+        self._update(rule, path, paths[path], time);
+      }
+    });
+    // a path which has gone, eg. an unmounted filesystem, can't alert
+    Object.keys(self.states).forEach(function(key) {
+      var state = self.states[key];
+      if (state.name === rule.name && !seen[state.path]) {
+        self._update(rule, state.path, null, time);
+      }
+    });
+  });
+};
+
+/**
+ * Move the alert of a rule and path along, given its latest value.
+ */
+Alerts.prototype._update = function(rule, path, value, time) {
+  var key = rule.name + '\n' + path;
+  var state = this.states[key];
+  var compare = operators[rule.operator];
+  var firing = state && state.state === 'firing';
+  var active = (value !== null) && compare(value, firing ? rule.clear : rule.threshold);
+
+  if (!state) {
+    if (!active) {
+      return;
+    }
+    state = this.states[key] = {
+      name: rule.name,
+      expression: rule.expression,
+      severity: rule.severity,
+      annotations: rule.annotations,
+      path: path,
+      // until the condition has held once, never reported
+      state: 'inactive',
+      value: value,
+      threshold: rule.threshold,
+      time: time,
+      since: null,
+      firedAt: null,
+      resolvedAt: null,
+    };
+  }
+  state.value = value;
+  state.time = time;
+
+  if (active) {
+    if (state.state === 'inactive' || state.state === 'resolved') {
+      state.since = time;
+      state.firedAt = null;
+      state.resolvedAt = null;
+      this._transition(state, 'pending');
+    }
+    if (state.state === 'pending' && time - state.since >= rule.for) {
+      state.firedAt = time;
+      this._transition(state, 'firing');
+    }
+    return;
+  }
+
+  if (state.state === 'firing') {
+    state.resolvedAt = time;
+    this._transition(state, 'resolved');
+  } else if (state.state === 'pending') {
+    // never fired, so there is nothing to resolve
+    delete this.states[key];
+  }
+  if (value === null && state.state === 'resolved') {
+    delete this.states[key];
+  }
+};
+
+Alerts.prototype._transition = function(state, name) {
+  state.state = name;
+  var alert = this._copy(state);
+  this.emit(name, alert);
+  this.emit('alert', alert);
+};
+
+Alerts.prototype._copy = function(state) {
+  return Object.keys(state).reduce(function(copy, key) {
+    copy[key] = state[key];
+    return copy;
+  }, {});
+};
+
+/**
+ * Evaluate the rules on every collector of a ``sample`` event from
+ * ``metrinix.watch()``.
+ *
+ * @param <Object>sample
+ */
+Alerts.prototype.record = function(sample) {
+  var self = this;
+  Object.keys(sample.data).forEach(function(collector) {
+    self.evaluate(collector, sample.data[collector], sample.time);
+  });
+};
+
+/**
+ * Evaluate the rules on every sample a watcher emits.
+ *
+ * @param <Object>watcher
+ *
+ * @return <Object>Alerts
+ */
+Alerts.prototype.listen = function(watcher) {
+  watcher.on('sample', this.record.bind(this));
+  return this;
+};
+
+/**
+ * List the alerts, optionally only those in the given state.
+ *
+ * @param <String>state 'pending', 'firing' or 'resolved' (default all)
+ *
+ * @return <Array>
+ */
+Alerts.prototype.alerts = function(state) {
+  var self = this;
+  return Object.keys(self.states).map(function(key) {
+    return self._copy(self.states[key]);
+  }).filter(function(alert) {
+    return !state || alert.state === state;
+  });
+};
+
+module.exports = {
+  parse: parse,
+  operators: operators,
+  Alerts: Alerts,
+};
@@ -0,0 +1,423 @@
+var Q = require('q');
+var text = require('./text.js');
+
+
+/**
+ * Plugin return codes, see
+ * https://www.monitoring-plugins.org/doc/guidelines.html#AEN78
+ */
+var states = ['OK', 'WARNING', 'CRITICAL', 'UNKNOWN'];
+var OK = 0;
+var WARNING = 1;
+var CRITICAL = 2;
+var UNKNOWN = 3;
+
+/**
+ * Free space thresholds are in MB, the results in bytes.
+ */
+var megabyte = 1024 * 1024;
+
+/**
+ * Parse a threshold range the way the plugin guidelines write them: ``10``
+ * (alert outside 0..10), ``10:`` (below 10), ``~:10`` (above 10), ``10:20``
+ * (outside 10..20) and ``@10:20`` (inside 10..20).
+ *
+ * @param <String>spec
+ *
+ * @return <Object> with ``alert(value)``
+ */
+function range(spec) {
+  var value = String(spec);
+  var inside = value.charAt(0) === '@';
+  if (inside) {
+    value = value.substr(1);
+  }
+  var parts = (value.indexOf(':') > -1) ? value.split(':') : ['0', value];
+  var start = (parts[0] === '~') ? -Infinity : (parts[0] === '') ? 0 : Number(parts[0]);
+  var end = (parts[1] === '') ? Infinity : Number(parts[1]);
+  if (parts.length !== 2 || isNaN(start) || isNaN(end) || start > end) {
+    throw new Error('Invalid threshold: ' + spec);
+  }
+  return {
+    spec: String(spec),
+    start: start,
+    end: end,
+    alert: function(number) {
+      var outside = number < start || number > end;
+      return inside ? !outside : outside;
+    },
+  };
+}
+
+/**
+ * Parse a free space threshold: a percentage such as ``20%``, or an amount in
+ * MB. Alerts when there is less free than that.
+ *
+ * @param <String>spec
+ *
+ * @return <Object>
+ */
+function free(spec) {
+  var match = /^([0-9]*\.?[0-9]+)(%)?$/.exec(String(spec));
+  if (!match) {
+    throw new Error('Invalid threshold: ' + spec + ' (a percentage or MB free)');
+  }
+  return {
+    spec: String(spec),
+    percent: !!match[2],
+    value: parseFloat(match[1]),
+    // the amount of MB to alert below, out of ``total`` MB
+    limit: function(total) {
+      return this.percent ? total * this.value / 100 : this.value;
+    },
+  };
+}
+
+/**
+ * Format a perfdata value, ``'label'=value[UOM];[warn];[crit];[min];[max]``.
+ */
+function perfdata(label, value, unit, warning, critical, min, max) {
+  var number = function(value) {
+    if (typeof(value) === 'string') {
+      // a threshold range
+      return value;
+    }
+    if (value === null || typeof(value) === 'undefined' || !isFinite(value)) {
+      return '';
+    }
+    return String(Math.round(value * 1000) / 1000);
+  };
+  var quoted = /[\s='|]/.test(label) ? "'" + label.replace(/'/g, "''") + "'" : label;
+  return (quoted + '=' + number(value) + (unit || '') + ';' + number(warning) + ';' + number(critical) + ';' +
+    number(min) + ';' + number(max)).replace(/;+$/, '');
+}
+
+/**
+ * Split a comma separated option, eg. ``--mount /,/var``.
+ */
+function list(value) {
+  return (typeof(value) === 'undefined' || value === true) ? [] : String(value).split(',').filter(Boolean);
+}
+
+
+/**
+ * The checks. Each reads from metrinix, passing on the signal which aborts
+ * once the check times out, and resolves with ``{ status, summary, perfdata }``:
+ * the worst status found, what the status line says and the perfdata values.
+ */
+var checks = {
+  disk: {
+    label: 'DISK',
+    options: {
+      warning: 'free space to warn below, as a percentage or MB (default 20%)',
+      critical: 'free space to go critical below, as a percentage or MB (default 10%)',
+      mount: 'comma separated mount points to check (default all)',
+    },
+    run: function(metrinix, options, signal) {
+      var warning = free(options.warning || '20%');
+      var critical = free(options.critical || '10%');
+      var mounts = list(options.mount);
+      return metrinix.df({ signal: signal }).then(function(df) {
+        var filesystems = df.filter(function(filesystem) {
+          return mounts.length === 0 || mounts.indexOf(filesystem.mountPoint) > -1;
+        });
+        if (filesystems.length === 0 && mounts.length === 0) {
+          // eg. statfs() failing for every filesystem mustn't pass for
+          // enough free space
+          throw (df.warnings || [])[0] || new Error('No filesystems to check');
+        }
+        mounts.forEach(function(mount) {
+          var found = filesystems.some(function(filesystem) {
+            return filesystem.mountPoint === mount;
+          });
+          if (!found) {
+            throw new Error('No such mount point: ' + mount);
+          }
+        });
+
+        var status = OK;
+        var problems = [];
+        var perf = [];
+        filesystems.forEach(function(filesystem) {
+          // the thresholds are in MB, out of the space df counts: used plus
+          // available, without the blocks reserved for root, so that the
+          // status and the perfdata agree
+          var used = filesystem.used.size / megabyte;
+          var available = filesystem.available.size / megabyte;
+          var total = used + available;
+          var state = (available < critical.limit(total)) ? CRITICAL : (available < warning.limit(total)) ? WARNING : OK;
+          status = Math.max(status, state);
+          var line = filesystem.mountPoint + ' ' + text.human(filesystem.available.size) + ' free (' +
+            (total ? Math.round(100 * available / total) : 0) + '%)';
+          if (state !== OK || filesystems.length === 1) {
+            problems.push(line);
+          }
+          // used, with the thresholds as the used space they stand for
+          perf.push(perfdata(filesystem.mountPoint, used, 'MB',
+            total - warning.limit(total), total - critical.limit(total), 0, total));
+        });
+        return {
+          status: status,
+          summary: problems.length ? problems.join(', ') : filesystems.length + ' filesystems with enough free space',
+          perfdata: perf,
+        };
+      });
+    },
+  },
+  load: {
+    label: 'LOAD',
+    flags: ['per-core'],
+    options: {
+      warning: 'load to warn above, one range or three for 1, 5 and 15 minutes (default 5,4,3)',
+      critical: 'load to go critical above, likewise (default 10,8,6)',
+      'per-core': 'divide the load by the number of cores before comparing',
+    },
+    run: function(metrinix, options, signal) {
+      var ranges = function(spec, fallback) {
+        var specs = list(spec || fallback);
+        if (specs.length === 1) {
+          specs = [specs[0], specs[0], specs[0]];
+        }
+        if (specs.length !== 3) {
+          throw new Error('Invalid threshold: ' + spec + ' (one range, or three for 1, 5 and 15 minutes)');
+        }
+        return specs.map(range);
+      };
+      var warning = ranges(options.warning, '5,4,3');
+      var critical = ranges(options.critical, '10,8,6');
+      return Q.all([
+        metrinix.loadAvg({ signal: signal }),
+        // the host's cores, which os.cpus() isn't when reading another procfs
+        options['per-core'] ? metrinix.cpuUsage.snapshot({ signal: signal }).then(function(snapshot) {
+          return snapshot.cores.length;
+        }) : 1,
+      ]).spread(function(load, cores) {
+        var status = OK;
+        var values = [load.min1, load.min5, load.min15].map(function(value) {
+          return value / cores;
+        });
+        var perf = ['load1', 'load5', 'load15'].map(function(label, offset) {
+          var value = values[offset];
+          var state = critical[offset].alert(value) ? CRITICAL : warning[offset].alert(value) ? WARNING : OK;
+          status = Math.max(status, state);
+          return perfdata(label, value, '', warning[offset].end, critical[offset].end, 0);
+        });
+        return {
+          status: status,
+          summary: 'load average' + (cores > 1 ? ' per core' : '') + ': ' + values.map(function(value) {
+            return value.toFixed(2);
+          }).join(', '),
+          perfdata: perf,
+        };
+      });
+    },
+  },
+  mem: {
+    label: 'MEMORY',
+    options: {
+      warning: 'available memory to warn below, as a percentage or MB (default 10%)',
+      critical: 'available memory to go critical below, as a percentage or MB (default 5%)',
+    },
+    run: function(metrinix, options, signal) {
+      var warning = free(options.warning || '10%');
+      var critical = free(options.critical || '5%');
+      return metrinix.memory({ signal: signal }).then(function(memory) {
+        var MB = function(key) {
+          return memory.raw[key] ? memory.raw[key].size / megabyte : 0;
+        };
+        var total = MB('MemTotal');
+        // kernels before 3.14 have no MemAvailable, estimate it the way free(1) did
+        var available = memory.raw.MemAvailable ? MB('MemAvailable') : MB('MemFree') + MB('Buffers') + MB('Cached');
+        var status = (available < critical.limit(total)) ? CRITICAL : (available < warning.limit(total)) ? WARNING : OK;
+        return {
+          status: status,
+          summary: text.human(available * megabyte) + ' available of ' + text.human(total * megabyte) +
+            ' (' + (total ? Math.round(100 * available / total) : 0) + '%)',
+          perfdata: [
+            perfdata('used', total - available, 'MB', total - warning.limit(total), total - critical.limit(total), 0, total),
+          ],
+        };
+      });
+    },
+  },
+  swap: {
+    label: 'SWAP',
+    options: {
+      warning: 'free swap to warn below, as a percentage or MB (default 50%)',
+      critical: 'free swap to go critical below, as a percentage or MB (default 20%)',
+    },
+    run: function(metrinix, options, signal) {
+      var warning = free(options.warning || '50%');
+      var critical = free(options.critical || '20%');
+      return metrinix.memory({ signal: signal }).then(function(memory) {
+        var MB = function(key) {
+          return memory.raw[key] ? memory.raw[key].size / megabyte : 0;
+        };
+        var total = MB('SwapTotal');
+        var available = MB('SwapFree');
+        if (total === 0) {
+          return {
+            status: OK,
+            summary: 'no swap configured',
+            perfdata: [perfdata('used', 0, 'MB', null, null, 0, 0)],
+          };
+        }
+        var status = (available < critical.limit(total)) ? CRITICAL : (available < warning.limit(total)) ? WARNING : OK;
+        return {
+          status: status,
+          summary: text.human(available * megabyte) + ' free of ' + text.human(total * megabyte) +
+            ' (' + Math.round(100 * available / total) + '%)',
+          perfdata: [
+            perfdata('used', total - available, 'MB', total - warning.limit(total), total - critical.limit(total), 0, total),
+          ],
+        };
+      });
+    },
+  },
+  procs: {
+    label: 'PROCS',
+    options: {
+      name: 'only count processes with this executable name',
+      state: 'only count processes in these states, eg. Z or R,D',
+      min: 'go critical with fewer processes than this',
+      max: 'go critical with more processes than this',
+      warning: 'range of process counts to warn outside of',
+      critical: 'range of process counts to go critical outside of',
+    },
+    run: function(metrinix, options, signal) {
+      var warning = options.warning ? range(options.warning) : null;
+      var critical = options.critical ? range(options.critical) : null;
+      if (!critical && (typeof(options.min) !== 'undefined' || typeof(options.max) !== 'undefined')) {
+        critical = range((typeof(options.min) !== 'undefined' ? options.min : '') + ':' +
+          (typeof(options.max) !== 'undefined' ? options.max : ''));
+      }
+      var states = list(options.state);
+      // no need to measure cpu usage just to count
+      return metrinix.ps.snapshot({ signal: signal }).then(function(snapshot) {
+        var processes = snapshot.processes;
+        var count = Object.keys(processes).filter(function(pid) {
+          return (!options.name || processes[pid].executable === options.name) &&
+            (states.length === 0 || states.indexOf(processes[pid].state.code) > -1);
+        }).length;
+        var status = (critical && critical.alert(count)) ? CRITICAL : (warning && warning.alert(count)) ? WARNING : OK;
+        var what = [];
+        if (options.name) {
+          what.push('named ' + options.name);
+        }
+        if (states.length) {
+          what.push('in state ' + states.join(','));
+        }
+        return {
+          status: status,
+          summary: count + ' process' + (count === 1 ? '' : 'es') + (what.length ? ' ' + what.join(' ') : ''),
+          perfdata: [
+            perfdata('procs', count, '', warning ? warning.spec : null, critical ? critical.spec : null, 0),
+          ],
+        };
+      });
+    },
+  },
+  net: {
+    label: 'NETWORK',
+    options: {
+      interface: 'comma separated interfaces to check (default all but loopback)',
+      warning: 'range of throughput in kB/s, receive or transmit, to warn outside of',
+      critical: 'range of throughput in kB/s to go critical outside of',
+      interval: 'milliseconds to measure the throughput over (default 1000)',
+    },
+    run: function(metrinix, options, signal) {
+      var warning = options.warning ? range(options.warning) : null;
+      var critical = options.critical ? range(options.critical) : null;
+      var names = list(options.interface);
+      var interval = (typeof(options.interval) === 'undefined') ? 1000 : Number(options.interval);
+      if (!isFinite(interval) || interval < 0) {
+        throw new Error('Invalid --interval: ' + options.interval);
+      }
+      return metrinix.network({ interval: interval, signal: signal }).then(function(network) {
+        var interfaces = Object.keys(network.interfaces).filter(function(name) {
+          return names.length ? names.indexOf(name) > -1 : name !== 'lo';
+        });
+        names.forEach(function(name) {
+          if (!network.interfaces[name]) {
+            throw new Error('No such interface: ' + name);
+          }
+        });
+
+        var status = OK;
+        var perf = [];
+        var lines = interfaces.map(function(name) {
+          var entry = network.interfaces[name];
+          // the thresholds are in kB/s
+          [entry.rx.speed / 1024, entry.tx.speed / 1024].forEach(function(speed) {
+            var state = (critical && critical.alert(speed)) ? CRITICAL : (warning && warning.alert(speed)) ? WARNING : OK;
+            status = Math.max(status, state);
+          });
+          perf.push(perfdata(name + '_rx', entry.rx.speed, 'B', null, null, 0));
+          perf.push(perfdata(name + '_tx', entry.tx.speed, 'B', null, null, 0));
+          return name + ' rx ' + text.format(entry.rx) + ', tx ' + text.format(entry.tx);
+        });
+        return {
+          status: status,
+          summary: lines.length ? lines.join('; ') : 'no interfaces',
+          perfdata: perf,
+        };
+      });
+    },
+  },
+};
+
+/**
+ * Run a check, turning any failure, and a check taking longer than
+ * ``timeout``, into UNKNOWN.
+ *
+ * @param <Object>metrinix
+ * @param <String>name one of the checks
+ * @param <Object>options the options of the check, and
+ *    timeout: seconds before giving up (default 10)
+ *
+ * @return <Object>defer, resolved with ``{ status, state, output }``, where
+ *    output is the status line with its perfdata
+ */
+function run(metrinix, name, options) {
+  options = options || {};
+  var check = checks[name];
+  var label = check ? check.label : 'CHECK';
+  var timeout = (typeof(options.timeout) === 'undefined') ? 10 : Number(options.timeout);
+  var controller = new AbortController();
+
+  return Q.fcall(function() {
+    if (!check) {
+      throw new Error((name ? 'Unknown check: ' + name : 'No check given') + ' (one of ' + Object.keys(checks).join(', ') + ')');
+    }
+    if (!isFinite(timeout) || timeout <= 0) {
+      throw new Error('Invalid --timeout: ' + options.timeout);
+    }
+    return check.run(metrinix, options, controller.signal);
+  }).timeout(timeout * 1000, 'Timed out after ' + timeout + 's').fail(function(err) {
+    // stop what is still running, eg. a df blocked on a hung mount
+    controller.abort(err);
+    return {
+      status: UNKNOWN,
+      summary: err.message || String(err),
+      perfdata: [],
+    };
+  }).then(function(result) {
+    return {
+      status: result.status,
+      state: states[result.status],
+      output: label + ' ' + states[result.status] + ' - ' + result.summary.replace(/\|/g, '/') +
+        (result.perfdata.length ? ' | ' + result.perfdata.join(' ') : ''),
+    };
+  });
+}
+
+module.exports = {
+  checks: checks,
+  range: range,
+  perfdata: perfdata,
+  run: run,
+  OK: OK,
+  WARNING: WARNING,
+  CRITICAL: CRITICAL,
+  UNKNOWN: UNKNOWN,
+};
@@ -0,0 +1,102 @@
+/**
+ * http://man7.org/linux/man-pages/man5/proc.5.html
+ *
+ * /proc/stat
+ *    kernel/system statistics.  Varies with architecture.  Common
+ *    entries include:
+ *
+ *    cpu  10132153 290696 3084719 46828483 16683 0 25195 0 175628 0
+ *    cpu0 1393280 32966 572056 13343292 6130 0 17875 0 23933 0
+ *           The amount of time, measured in units of USER_HZ
+ *           (1/100ths of a second on most architectures, use
+ *           sysconf(_SC_CLK_TCK) to obtain the right value), that
+ *           the system ("cpu" line) or the specific CPU ("cpuN"
+ *           line) spent in various states.
+ *
+ *    The offsets below are relative to the first column after the
+ *    "cpu"/"cpuN" label.
+ */
+module.exports = {
+  /**
+   *    user   (1) Time spent in user mode.
+   */
+  user: 0,
+
+  /**
+   *    nice   (2) Time spent in user mode with low priority
+   *               (nice).
+   */
+  nice: 1,
+
+  /**
+   *    system (3) Time spent in system mode.
+   */
+  system: 2,
+
+  /**
+   *    idle   (4) Time spent in the idle task.  This value
+   *               should be USER_HZ times the second entry in the
+   *               /proc/uptime pseudo-file.
+   */
+  idle: 3,
+
+  /**
+   *    iowait (since Linux 2.5.41)
+   *           (5) Time waiting for I/O to complete.  This value
+   *               is not reliable, for the following reasons:
+   *
+   *               1. The CPU will not wait for I/O to complete;
+   *                  iowait is the time that a task is waiting for
+   *                  I/O to complete.  When a CPU goes into idle
+   *                  state for outstanding task I/O, another task
+   *                  will be scheduled on this CPU.
+   *
+   *               2. On a multi-core CPU, the task waiting for I/O
+   *                  to complete is not running on any CPU, so the
+   *                  iowait of each CPU is difficult to calculate.
+   *
+   *               3. The value in this field may decrease in
+   *                  certain conditions.
+   */
+  iowait: 4,
+
+  /**
+   *    irq (since Linux 2.6.0)
+   *           (6) Time servicing interrupts.
+   */
+  irq: 5,
+
+  /**
+   *    softirq (since Linux 2.6.0)
+   *           (7) Time servicing softirqs.
+   */
+  softirq: 6,
+
+  /**
+   *    steal (since Linux 2.6.11)
+   *           (8) Stolen time, which is the time spent in other
+   *               operating systems when running in a virtualized
+   *               environment
+   */
+  steal: 7,
+
+  /**
+   *    guest (since Linux 2.6.24)
+   *           (9) Time spent running a virtual CPU for guest
+   *               operating systems under the control of the Linux
+   *               kernel.
+   *
+   *    Note: guest time is already accounted for in user.
+   */
+  guest: 8,
+
+  /**
+   *    guest_nice (since Linux 2.6.33)
+   *           (10) Time spent running a niced guest (virtual CPU
+   *                for guest operating systems under the control of
+   *                the Linux kernel).
+   *
+   *    Note: guest_nice time is already accounted for in nice.
+   */
+  guest_nice: 9,
+};
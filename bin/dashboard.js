@@ -0,0 +1,55 @@
+var fs = require('fs');
+var url = require('url');
+var path = require('path');
+
+
+/**
+ * The page, with its styles and scripts inline so nothing is fetched from
+ * elsewhere.
+ */
+var PAGE = path.join(__dirname, '..', 'dashboard', 'index.html');
+
+
+/**
+ * Create an HTTP request handler serving the dashboard at ``path``. The page
+ * reads the live stream next to it, so ``<path>/../stream`` has to be served
+ * too, as ``serve()`` does.
+ *
+ * @param <Object>options
+ *    path: (default '/dashboard')
+ *
+ * @return <Function>
+ */
+function handler(options) {
+  options = options || {};
+  var pathname = options.path || '/dashboard';
+  var page = null;
+
+  return function(req, res, next) {
+    var location = url.parse(req.url);
+    if (location.pathname !== pathname || (req.method !== 'GET' && req.method !== 'HEAD')) {
+      return next();
+    }
+
+    try {
+      // read once, on first use
+      page = page || fs.readFileSync(PAGE);
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('Dashboard unavailable: ' + err.message + '\n');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Length': page.length,
+      'Cache-Control': 'no-cache',
+      // the page needs nothing but itself and the stream
+      'Content-Security-Policy': "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'",
+    });
+    res.end(req.method === 'HEAD' ? undefined : page);
+  };
+}
+
+module.exports = {
+  handler: handler,
+};
@@ -0,0 +1,34 @@
+var units = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration such as ``30s``, ``5m``, ``1h`` or ``1d`` into
+ * milliseconds. Numbers are taken to already be milliseconds.
+ *
+ * @example
+ *    > duration('5m');
+ *    300000
+ *    > duration(1500);
+ *    1500
+ *
+ * @param <String|Number>value
+ *
+ * @return <Number>
+ */
+module.exports = function duration(value) {
+  if (typeof(value) === 'number') {
+    return value;
+  }
+  var match = /^\s*([0-9\.]+)\s*(ms|s|m|h|d|w|y)?\s*$/.exec(String(value));
+  if (!match) {
+    throw new Error('Invalid duration: ' + value);
+  }
+  return parseFloat(match[1]) * units[match[2] || 'ms'];
+};
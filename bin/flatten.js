@@ -0,0 +1,66 @@
+/**
+ * Keys which identify an entry of a result list, in order of preference.
+ * ``df()`` entries are identified by their mount point and ``cpuUsage()``
+ * cores by their core number, so that a path keeps pointing at the same
+ * thing when the order of the list changes.
+ */
+var identifiers = ['mountPoint', 'core'];
+
+/**
+ * Flatten a metrinix result into a map of metric path to numeric value.
+ *
+ * Object keys are joined with ``.``; list entries are written as
+ * ``[key=value]`` using their identifying key, or ``[offset]`` when they have
+ * none. ``raw`` sub-trees are skipped as they only repeat the source data.
+ *
+ * @example
+ *    > flatten('df', [{ mountPoint: '/', remaining: 39, used: { size: 3565158400, unit: 'B' } }]);
+ *    {
+ *      "df[mountPoint=/].remaining": 39,
+ *      "df[mountPoint=/].used.size": 3565158400
+ *    }
+ *
+ * @param <String>prefix
+ * @param <Object>value
+ *
+ * @return <Object>
+ */
+module.exports = function flatten(prefix, value, paths) {
+  paths = paths || {};
+
+  if (typeof(value) === 'number') {
+    if (isFinite(value)) {
+      paths[prefix] = value;
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(function(item, offset) {
+      var key = '[' + offset + ']';
+      if (item && typeof(item) === 'object') {
+        identifiers.some(function(identifier) {
+          if (typeof(item[identifier]) !== 'undefined') {
+            key = '[' + identifier + '=' + item[identifier] + ']';
+            // the identifier is already part of the path
+            item = Object.keys(item).reduce(function(copy, name) {
+              if (name !== identifier) {
+                copy[name] = item[name];
+              }
+              return copy;
+            }, {});
+            return true;
+          }
+          return false;
+        });
+      }
+      flatten(prefix + key, item, paths);
+    });
+  } else if (value && typeof(value) === 'object') {
+    Object.keys(value).forEach(function(key) {
+      if (key === 'raw') {
+        return true;
+      }
+      flatten(prefix ? prefix + '.' + key : key, value[key], paths);
+    });
+  }
+
+  return paths;
+};
@@ -0,0 +1,361 @@
+var Q = require('q');
+var os = require('os');
+var net = require('net');
+var util = require('util');
+var events = require('events');
+var statsd = require('./statsd.js');
+
+
+/**
+ * Make a value safe for use as a single node of a Graphite path. Dots would
+ * start a new node, so they go along with anything else Graphite doesn't
+ * allow; mount points lose their slashes, ``/var/lib`` becomes ``var_lib``.
+ */
+function sanitize(value) {
+  value = String(value).replace(/^\/+|\/+$/g, '');
+  if (value === '') {
+    return 'root';
+  }
+  return value.replace(/[^a-zA-Z0-9_\-:]/g, '_');
+}
+
+/**
+ * Expand a path template for a metric. ``{host}``, ``{collector}``,
+ * ``{identity}`` (the mount point, interface, process or core, if any) and
+ * ``{path}`` are replaced; nodes left empty are dropped.
+ *
+ * @param <String|Function>template
+ * @param <Object>metric
+ *
+ * @return <String>
+ */
+function expand(template, metric) {
+  if (typeof(template) === 'function') {
+    return template(metric);
+  }
+  var values = {
+    host: sanitize(metric.host),
+    collector: sanitize(metric.collector),
+    identity: (metric.identity || []).map(sanitize).join('.'),
+    // the metric path keeps its dots as it is a hierarchy already
+    path: metric.path.split('.').map(function(node) {
+      return node.replace(/[^a-zA-Z0-9_\-:]/g, '_');
+    }).join('.'),
+  };
+  return template.replace(/\{([a-z]+)\}/g, function(match, name) {
+    return (typeof(values[name]) !== 'undefined') ? values[name] : match;
+  }).split('.').filter(function(node) {
+    return node !== '';
+  }).join('.');
+}
+
+
+/**
+ * Python pickle opcodes used to encode metrics for the pickle protocol.
+ */
+var pickle = {
+  PROTO: 0x80,
+  EMPTY_LIST: 0x5d,
+  MARK: 0x28,
+  APPENDS: 0x65,
+  BINUNICODE: 0x58,
+  BININT: 0x4a,
+  BINFLOAT: 0x47,
+  TUPLE2: 0x86,
+  STOP: 0x2e,
+};
+
+/**
+ * Encode ``[[path, timestamp, value], ...]`` as a length-prefixed pickle of
+ * ``[(path, (timestamp, value)), ...]``, the way carbon's pickle receiver
+ * expects it.
+ *
+ * @param <Array>metrics
+ *
+ * @return <Buffer>
+ */
+function encodePickle(metrics) {
+  var parts = [Buffer.from([pickle.PROTO, 2, pickle.EMPTY_LIST, pickle.MARK])];
+  metrics.forEach(function(metric) {
+    var path = Buffer.from(metric[0], 'utf8');
+    var header = Buffer.alloc(5);
+    header.writeUInt8(pickle.BINUNICODE, 0);
+    header.writeUInt32LE(path.length, 1);
+
+    var timestamp = Buffer.alloc(5);
+    timestamp.writeUInt8(pickle.BININT, 0);
+    timestamp.writeInt32LE(metric[1], 1);
+
+    var value = Buffer.alloc(9);
+    value.writeUInt8(pickle.BINFLOAT, 0);
+    value.writeDoubleBE(metric[2], 1);
+
+    parts.push(header, path, timestamp, value, Buffer.from([pickle.TUPLE2, pickle.TUPLE2]));
+  });
+  parts.push(Buffer.from([pickle.APPENDS, pickle.STOP]));
+
+  var payload = Buffer.concat(parts);
+  var length = Buffer.alloc(4);
+  length.writeUInt32BE(payload.length, 0);
+  return Buffer.concat([length, payload]);
+}
+
+
+/**
+ * Sends collector results to carbon over TCP, using the plaintext protocol or
+ * batched with the pickle protocol. The connection is re-established with a
+ * backoff when it drops, queueing what is sent in the meantime.
+ *
+ * Events:
+ *    error: a connection to carbon which failed or dropped; ``listen()``
+ *      passes these on to the watcher
+ *
+ * Note: as with any EventEmitter, an ``error`` without a listener is thrown.
+ *
+ * @param <Object>metrinix
+ * @param <Object>options
+ *    host: the carbon host (default 'localhost')
+ *    port: the carbon port (default 2003, or 2004 for pickle)
+ *    template: path template or function(metric) (default
+ *      'host.{host}.{collector}.{identity}.{path}')
+ *    pickle: batch with the pickle protocol (default false)
+ *    batchSize: metrics per pickle batch (default 500)
+ *    flushInterval: milliseconds between pickle batches (default 1000)
+ *    maxQueue: metrics queued while disconnected, or while carbon doesn't
+ *      keep up, before the oldest are dropped (default 10000)
+ *    reconnectDelay: first delay in milliseconds before reconnecting, doubled
+ *      on each failure up to 30 seconds (default 1000)
+ */
+function Client(metrinix, options) {
+  events.EventEmitter.call(this);
+  options = options || {};
+  this.metrinix = metrinix;
+  this.pickle = !!options.pickle;
+  this.host = options.host || 'localhost';
+  this.port = options.port || (this.pickle ? 2004 : 2003);
+  this.hostname = options.hostname || os.hostname();
+  this.template = options.template || 'host.{host}.{collector}.{identity}.{path}';
+  this.batchSize = options.batchSize || 500;
+  this.flushInterval = (typeof(options.flushInterval) === 'number') ? options.flushInterval : 1000;
+  this.maxQueue = options.maxQueue || 10000;
+  this.reconnectDelay = options.reconnectDelay || 1000;
+  this.queue = [];
+  this.connected = false;
+  this.closed = false;
+  this._socket = null;
+  this._delay = this.reconnectDelay;
+  this._reconnect = null;
+  this._timer = null;
+}
+
+util.inherits(Client, events.EventEmitter);
+
+/**
+ * Break a collector result down into ``[path, timestamp, value]`` metrics.
+ *
+ * @param <String>collector
+ * @param <Object>result
+ * @param <Number>time milliseconds since epoch (default now)
+ *
+ * @return <Array>
+ */
+Client.prototype.metrics = function(collector, result, time) {
+  var self = this;
+  var timestamp = Math.floor((time || Date.now()) / 1000);
+  return statsd.metrics(collector, result).map(function(metric) {
+    metric.host = self.hostname;
+    return [expand(self.template, metric), timestamp, metric.value];
+  });
+};
+
+Client.prototype._connect = function() {
+  var self = this;
+  if (self._socket || self.closed) {
+    return;
+  }
+  var socket = net.connect(self.port, self.host);
+  self._socket = socket;
+  socket.on('connect', function() {
+    self.connected = true;
+    self._delay = self.reconnectDelay;
+    // the flush timer may have fired while disconnected, so write out the
+    // partial batch too rather than leave it for the next send()
+    self._drain(true);
+  });
+  socket.on('drain', function() {
+    // a partial batch waits for the flush timer, if it is still to come
+    self._drain(!self._timer);
+  });
+  socket.on('error', function(err) {
+    // followed by close, where the reconnect happens
+    if (!self.closed) {
+      self.emit('error', err);
+    }
+  });
+  socket.on('close', function() {
+    self.connected = false;
+    self._socket = null;
+    if (self.closed) {
+      return;
+    }
+    self._reconnect = setTimeout(function() {
+      self._reconnect = null;
+      self._connect();
+    }, self._delay);
+    self._delay = Math.min(self._delay * 2, 30000);
+  });
+};
+
+/**
+ * Write out the queue if connected. In pickle mode only full batches are
+ * written unless ``force`` is set. Once the socket's buffer is full the rest
+ * stays queued, where ``maxQueue`` bounds it, until carbon has read it.
+ */
+Client.prototype._drain = function(force) {
+  var self = this;
+  if (!self.connected) {
+    return self._connect();
+  }
+  while (self.queue.length > 0 && !self._socket.writableNeedDrain) {
+    if (self.pickle && !force && self.queue.length < self.batchSize) {
+      break;
+    }
+    self._write(self.queue.splice(0, self.pickle ? self.batchSize : self.queue.length));
+  }
+};
+
+/**
+ * Write metrics to the socket, in pickle batches or as plaintext lines.
+ */
+Client.prototype._write = function(metrics) {
+  if (this.pickle) {
+    for (var offset = 0; offset < metrics.length; offset += this.batchSize) {
+      this._socket.write(encodePickle(metrics.slice(offset, offset + this.batchSize)));
+    }
+  } else {
+    this._socket.write(metrics.map(function(metric) {
+      return metric[0] + ' ' + metric[2] + ' ' + metric[1] + '\n';
+    }).join(''));
+  }
+};
+
+/**
+ * Send a collector result. While disconnected the metrics are queued.
+ *
+ * @param <String>collector
+ * @param <Object>result
+ * @param <Number>time milliseconds since epoch (default now)
+ */
+Client.prototype.send = function(collector, result, time) {
+  var self = this;
+  if (self.closed) {
+    throw new Error('Graphite client is closed');
+  }
+  self.queue = self.queue.concat(self.metrics(collector, result, time));
+  if (self.queue.length > self.maxQueue) {
+    self.queue.splice(0, self.queue.length - self.maxQueue);
+  }
+  self._drain();
+  if (self.pickle && self.queue.length > 0 && !self._timer) {
+    self._timer = setTimeout(function() {
+      self._timer = null;
+      self._drain(true);
+    }, self.flushInterval);
+  }
+};
+
+/**
+ * Send every collector of a ``sample`` event from ``metrinix.watch()``.
+ *
+ * @param <Object>sample
+ */
+Client.prototype.record = function(sample) {
+  var self = this;
+  Object.keys(sample.data).forEach(function(collector) {
+    self.send(collector, sample.data[collector], sample.time);
+  });
+};
+
+/**
+ * Send every sample a watcher emits. Connection failures are emitted as
+ * ``error`` events on the watcher.
+ *
+ * @param <Object>watcher
+ *
+ * @return <Object>Client
+ */
+Client.prototype.listen = function(watcher) {
+  this.on('error', function(err) {
+    watcher.emit('error', err);
+  });
+  watcher.on('sample', this.record.bind(this));
+  return this;
+};
+
+/**
+ * Read the given collectors once and send their results.
+ *
+ * @param <Array>collectors collector names (default memory, loadAvg, cpuUsage, df)
+ *
+ * @return <Object>defer
+ */
+Client.prototype.collect = function(collectors) {
+  var self = this;
+  collectors = collectors || ['memory', 'loadAvg', 'cpuUsage', 'df'];
+  return Q.all(collectors.map(function(name) {
+    return self.metrinix[name]().then(function(result) {
+      self.send(name, result);
+    });
+  }));
+};
+
+/**
+ * Write out the queue and close the connection. Rejects if there was no
+ * connection to write the queue to, and the queued metrics are dropped.
+ *
+ * @return <Object>defer
+ */
+Client.prototype.close = function() {
+  var self = this;
+  if (self.closed) {
+    return Q();
+  }
+  if (self._timer) {
+    clearTimeout(self._timer);
+    self._timer = null;
+  }
+  if (self._reconnect) {
+    clearTimeout(self._reconnect);
+    self._reconnect = null;
+  }
+  self.closed = true;
+  var socket = self._socket;
+  var queued = self.queue.splice(0, self.queue.length);
+
+  if (!self.connected) {
+    if (socket) {
+      socket.destroy();
+    }
+    if (queued.length > 0) {
+      return Q.reject(new Error('Not connected to carbon at ' + self.host + ':' + self.port +
+        ', dropped ' + queued.length + ' queued metrics'));
+    }
+    return Q();
+  }
+
+  var deferred = Q.defer();
+  // everything left, however far behind carbon is
+  self._write(queued);
+  socket.on('error', deferred.reject);
+  socket.end(function() {
+    deferred.resolve();
+  });
+  return deferred.promise;
+};
+
+module.exports = {
+  sanitize: sanitize,
+  expand: expand,
+  encodePickle: encodePickle,
+  Client: Client,
+};
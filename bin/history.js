@@ -0,0 +1,250 @@
+var duration = require('./duration.js');
+var flatten = require('./flatten.js');
+
+
+/**
+ * Fixed size buffer which overwrites its oldest entry once full.
+ */
+function RingBuffer(capacity) {
+  this.capacity = capacity;
+  this.entries = new Array(capacity);
+  this.start = 0;
+  this.length = 0;
+}
+
+RingBuffer.prototype.push = function(entry) {
+  var offset = (this.start + this.length) % this.capacity;
+  this.entries[offset] = entry;
+  if (this.length < this.capacity) {
+    this.length++;
+  } else {
+    this.start = (this.start + 1) % this.capacity;
+  }
+};
+
+/**
+ * Drop entries from the front of the buffer while ``test`` holds.
+ */
+RingBuffer.prototype.shift = function(test) {
+  while (this.length > 0 && test(this.entries[this.start])) {
+    this.entries[this.start] = undefined;
+    this.start = (this.start + 1) % this.capacity;
+    this.length--;
+  }
+};
+
+RingBuffer.prototype.toArray = function() {
+  var result = [];
+  for (var i = 0; i < this.length; i++) {
+    result.push(this.entries[(this.start + i) % this.capacity]);
+  }
+  return result;
+};
+
+
+/**
+ * Work out the ``p``th percentile of an ascending list of numbers, linearly
+ * interpolating between the closest ranks.
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  var rank = (p / 100) * (sorted.length - 1);
+  var lower = Math.floor(rank);
+  var upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+
+/**
+ * In-memory history of metrinix results, kept as one ring buffer per metric
+ * path (see ``bin/flatten.js`` for how paths are named).
+ *
+ * Windows end at the time of the newest sample recorded rather than the
+ * wall clock, so samples timed by a mock clock or replayed from a recording
+ * are summarised the same as live ones.
+ *
+ * @param <Object>options
+ *    retention: how long to keep values for, as a duration (default '15m')
+ *    capacity: the most values kept per path (default 1000)
+ */
+function History(options) {
+  options = options || {};
+  this.retention = duration(options.retention || '15m');
+  this.capacity = options.capacity || 1000;
+  this.buffers = {};
+  // the time of the newest sample recorded
+  this.time = null;
+}
+
+/**
+ * Record a collector result.
+ *
+ * @example
+ *    > history.add('memory', result);
+ *    > history.add('df', result, Date.now());
+ *
+ * @param <String>collector
+ * @param <Object>result
+ * @param <Number>time milliseconds since epoch (default now)
+ */
+History.prototype.add = function(collector, result, time) {
+  var self = this;
+  time = time || Date.now();
+  self.time = Math.max(self.time || 0, time);
+  var paths = flatten(collector, result);
+  Object.keys(paths).forEach(function(path) {
+    if (!self.buffers[path]) {
+      self.buffers[path] = new RingBuffer(self.capacity);
+    }
+    self.buffers[path].push({
+      time: time,
+      value: paths[path],
+    });
+  });
+  self.prune(self.time);
+};
+
+/**
+ * Record a ``sample`` event from ``metrinix.watch()``.
+ *
+ * @param <Object>sample
+ */
+History.prototype.record = function(sample) {
+  var self = this;
+  Object.keys(sample.data).forEach(function(collector) {
+    self.add(collector, sample.data[collector], sample.time);
+  });
+};
+
+/**
+ * Record every sample a watcher emits.
+ *
+ * @example
+ *    > var history = metrinix.history({ retention: '15m' });
+ *    > history.listen(metrinix.watch({ collectors: ['cpuUsage', 'memory'] }));
+ *
+ * @param <Object>watcher
+ *
+ * @return <Object>History
+ */
+History.prototype.listen = function(watcher) {
+  watcher.on('sample', this.record.bind(this));
+  return this;
+};
+
+/**
+ * Drop values older than the retention period, and any paths left empty.
+ *
+ * @param <Number>now milliseconds since epoch (default now)
+ */
+History.prototype.prune = function(now) {
+  var self = this;
+  var oldest = (now || Date.now()) - self.retention;
+  Object.keys(self.buffers).forEach(function(path) {
+    self.buffers[path].shift(function(entry) {
+      return entry.time < oldest;
+    });
+    if (self.buffers[path].length === 0) {
+      delete self.buffers[path];
+    }
+  });
+};
+
+/**
+ * List the metric paths which have values.
+ *
+ * @return <Array>
+ */
+History.prototype.paths = function() {
+  return Object.keys(this.buffers).sort();
+};
+
+/**
+ * The raw values of a path, oldest first, optionally limited to a window
+ * ending at the newest sample.
+ *
+ * @example
+ *    > history.series('cpuUsage.total.percent', '5m');
+ *    [ { time: 1476522300123, value: 4.5 }, { time: 1476522301124, value: 5 }, ... ]
+ *
+ * @param <String>path
+ * @param <String|Number>window duration (default the whole retention period)
+ *
+ * @return <Array>
+ */
+History.prototype.series = function(path, window) {
+  if (!this.buffers[path]) {
+    return [];
+  }
+  var oldest = this.time - duration(window || this.retention);
+  return this.buffers[path].toArray().filter(function(entry) {
+    return entry.time >= oldest;
+  });
+};
+
+/**
+ * Summarise the values of a path over a window ending at the newest sample.
+ *
+ * @example
+ *    > history.stats('memory.ram.free.size', '1m');
+ *    {
+ *      "count": 60,
+ *      "min": 5561397248,
+ *      "max": 5570101248,
+ *      "average": 5565615308.8,
+ *      "last": 5570101248,
+ *      "percentiles": { "50": 5565542400, "90": 5569433600, "95": 5569740800, "99": 5570048000 }
+ *    }
+ *
+ * @param <String>path
+ * @param <String|Number>window duration (default the whole retention period)
+ * @param <Array>percentiles (default [50, 90, 95, 99])
+ *
+ * @return <Object>
+ */
+History.prototype.stats = function(path, window, percentiles) {
+  var series = this.series(path, window);
+  var values = series.map(function(entry) {
+    return entry.value;
+  });
+  var sorted = values.slice().sort(function(a, b) {
+    return a - b;
+  });
+
+  var sum = 0;
+  values.forEach(function(value) {
+    sum += value;
+  });
+
+  var result = {
+    count: values.length,
+    min: (values.length > 0) ? sorted[0] : null,
+    max: (values.length > 0) ? sorted[sorted.length - 1] : null,
+    average: (values.length > 0) ? sum / values.length : null,
+    last: (values.length > 0) ? values[values.length - 1] : null,
+    percentiles: {},
+  };
+  (percentiles || [50, 90, 95, 99]).forEach(function(p) {
+    result.percentiles[p] = percentile(sorted, p);
+  });
+  return result;
+};
+
+/**
+ * Summarise a path over the usual 1, 5 and 15 minute windows.
+ *
+ * @param <String>path
+ *
+ * @return <Object>
+ */
+History.prototype.windows = function(path) {
+  return {
+    min1: this.stats(path, '1m'),
+    min5: this.stats(path, '5m'),
+    min15: this.stats(path, '15m'),
+  };
+};
+
+module.exports = History;
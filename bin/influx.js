@@ -0,0 +1,394 @@
+var Q = require('q');
+var os = require('os');
+var url = require('url');
+var util = require('util');
+var events = require('events');
+var http = require('http');
+var https = require('https');
+var flatten = require('./flatten.js');
+var udp = require('./udp.js');
+
+
+/**
+ * Escape a measurement name.
+ */
+function escapeMeasurement(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/([, ])/g, '\\$1');
+}
+
+/**
+ * Escape a tag key, tag value or field key.
+ */
+function escapeKey(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/([,= ])/g, '\\$1');
+}
+
+/**
+ * Escape and quote a string field value.
+ */
+function escapeString(value) {
+  return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+/**
+ * Convert milliseconds since epoch to a nanosecond timestamp. Done as a string
+ * as nanoseconds since epoch are beyond the safe integer range.
+ */
+function nanoseconds(time) {
+  var milliseconds = Math.floor(time);
+  var fraction = Math.round((time - milliseconds) * 1000000);
+  return String(milliseconds) + ('000000' + fraction).slice(-6);
+}
+
+/**
+ * Build a single line of line protocol, or ``null`` when there are no fields.
+ *
+ * @param <String>measurement
+ * @param <Object>tags
+ * @param <Object>fields numbers, strings or booleans
+ * @param <Number>time milliseconds since epoch
+ *
+ * @return <String>
+ */
+function line(measurement, tags, fields, time) {
+  var tagSet = Object.keys(tags).sort().filter(function(key) {
+    return tags[key] !== '' && tags[key] !== null && typeof(tags[key]) !== 'undefined';
+  }).map(function(key) {
+    return ',' + escapeKey(key) + '=' + escapeKey(tags[key]);
+  }).join('');
+
+  var fieldSet = Object.keys(fields).map(function(key) {
+    var value = fields[key];
+    if (typeof(value) === 'string') {
+      value = escapeString(value);
+    } else if (typeof(value) === 'boolean') {
+      value = value ? 'true' : 'false';
+    }
+    // integers are written as floats too, so a value which is sometimes
+    // whole doesn't cause a field type conflict
+    return escapeKey(key) + '=' + value;
+  });
+  if (fieldSet.length === 0) {
+    return null;
+  }
+
+  return escapeMeasurement(measurement) + tagSet + ' ' + fieldSet.join(',') + ' ' + nanoseconds(time);
+}
+
+/**
+ * Flatten a result into fields, joining nested keys with ``_``.
+ */
+function fields(value) {
+  var paths = flatten('', value);
+  var result = {};
+  Object.keys(paths).forEach(function(path) {
+    result[path.replace(/[\.\[\]]+/g, '_').replace(/^_|_$/g, '')] = paths[path];
+  });
+  return result;
+}
+
+/**
+ * Copy tags, adding some more.
+ */
+function extend(tags, more) {
+  var result = {};
+  Object.keys(tags).forEach(function(key) {
+    result[key] = tags[key];
+  });
+  Object.keys(more).forEach(function(key) {
+    result[key] = more[key];
+  });
+  return result;
+}
+
+/**
+ * Convert a collector result into lines of line protocol.
+ *
+ * ``df()`` produces a point per filesystem tagged with its ``mountPoint``,
+ * ``network()`` a point per interface tagged with its ``interface`` name,
+ * ``ps()`` a point per process tagged with its ``pid`` and ``executable`` and
+ * ``cpuUsage()`` a point per core plus ``cpu-total``. Everything else is a
+ * single point.
+ *
+ * @example
+ *    > serialize('loadAvg', { min1: 0.5, min5: 0.25, min15: 0.1 }, { host: 'web01' }, 1476522300123);
+ *    [ 'loadAvg,host=web01 min1=0.5,min5=0.25,min15=0.1 1476522300123000000' ]
+ *
+ * @param <String>collector
+ * @param <Object>result
+ * @param <Object>tags added to every point
+ * @param <Number>time milliseconds since epoch (default now)
+ *
+ * @return <Array>
+ */
+function serialize(collector, result, tags, time) {
+  tags = tags || {};
+  time = time || Date.now();
+  var lines = [];
+
+  switch (collector) {
+    case 'df':
+      result.forEach(function(filesystem) {
+        lines.push(line(collector, extend(tags, {
+          mountPoint: filesystem.mountPoint,
+          filesystem: filesystem.filesystem,
+        }), fields(filesystem), time));
+      });
+      break;
+    case 'network':
+      Object.keys(result.interfaces).forEach(function(name) {
+        var device = result.interfaces[name];
+        lines.push(line(collector, extend(tags, {
+          interface: name,
+          type: device.type,
+        }), fields(device), time));
+      });
+      break;
+    case 'ps':
+      Object.keys(result).forEach(function(pid) {
+        var process = result[pid];
+        var values = fields(process);
+        values.state = process.state.code;
+        values.command = process.command;
+        lines.push(line(collector, extend(tags, {
+          pid: pid,
+          executable: process.executable,
+        }), values, time));
+      });
+      break;
+    case 'cpuUsage':
+      lines.push(line(collector, extend(tags, {
+        cpu: 'cpu-total',
+      }), fields(result.total), time));
+      result.cores.forEach(function(core) {
+        var values = fields(core);
+        delete values.core;
+        lines.push(line(collector, extend(tags, {
+          cpu: 'cpu' + core.core,
+        }), values, time));
+      });
+      break;
+    default:
+      lines.push(line(collector, tags, fields(result), time));
+  }
+
+  return lines.filter(function(entry) {
+    return entry !== null;
+  });
+}
+
+
+/**
+ * Batches collector results as line protocol and writes them to InfluxDB over
+ * HTTP (``/write``) or UDP.
+ *
+ * Events:
+ *    error: a failed write of a partial batch on the ``flushInterval``, which
+ *      no caller is waiting on; ``listen()`` passes these on to the watcher
+ *
+ * Note: as with any EventEmitter, an ``error`` without a listener is thrown.
+ *
+ * @param <Object>metrinix
+ * @param <Object>options
+ *    url: eg. 'http://localhost:8086' or 'udp://localhost:8089'
+ *    database: the database to write to over HTTP (default 'metrinix')
+ *    username, password: credentials for HTTP
+ *    retentionPolicy: the retention policy to write to over HTTP
+ *    tags: extra tags for every point, on top of ``host``
+ *    batchSize: lines to buffer before writing (default 5000)
+ *    flushInterval: milliseconds between writes of a partial batch (default 1000)
+ *    payloadSize: the most bytes per UDP datagram (default 512)
+ */
+function Writer(metrinix, options) {
+  events.EventEmitter.call(this);
+  options = options || {};
+  this.metrinix = metrinix;
+  this.url = url.parse(options.url || 'http://localhost:8086');
+  this.database = options.database || 'metrinix';
+  this.username = options.username;
+  this.password = options.password;
+  this.retentionPolicy = options.retentionPolicy;
+  this.tags = extend({ host: os.hostname() }, options.tags || {});
+  this.batchSize = options.batchSize || 5000;
+  this.flushInterval = (typeof(options.flushInterval) === 'number') ? options.flushInterval : 1000;
+  this.payloadSize = options.payloadSize || 512;
+  this.buffer = [];
+  this._timer = null;
+  this._socket = null;
+}
+
+util.inherits(Writer, events.EventEmitter);
+
+/**
+ * Queue a collector result, writing the batch once it is full.
+ *
+ * @param <String>collector
+ * @param <Object>result
+ * @param <Number>time milliseconds since epoch (default now)
+ *
+ * @return <Object>defer resolved once the lines are written, or queued
+ */
+Writer.prototype.write = function(collector, result, time) {
+  var self = this;
+  // joined once written, rather than copying the batch on every write
+  serialize(collector, result, self.tags, time).forEach(function(entry) {
+    self.buffer.push(entry);
+  });
+  if (self.buffer.length >= self.batchSize) {
+    return self.flush();
+  }
+  if (!self._timer && self.flushInterval > 0) {
+    self._timer = setTimeout(function() {
+      self._timer = null;
+      self.flush().fail(function(err) {
+        self.emit('error', err);
+      }).done();
+    }, self.flushInterval);
+  }
+  return Q();
+};
+
+/**
+ * Queue every collector of a ``sample`` event from ``metrinix.watch()``.
+ *
+ * @param <Object>sample
+ *
+ * @return <Object>defer
+ */
+Writer.prototype.record = function(sample) {
+  var self = this;
+  return Q.all(Object.keys(sample.data).map(function(collector) {
+    return self.write(collector, sample.data[collector], sample.time);
+  }));
+};
+
+/**
+ * Write every sample a watcher emits. Write failures are emitted as
+ * ``error`` events on the watcher.
+ *
+ * @param <Object>watcher
+ *
+ * @return <Object>Writer
+ */
+Writer.prototype.listen = function(watcher) {
+  var self = this;
+  var onError = function(err) {
+    watcher.emit('error', err);
+  };
+  self.on('error', onError);
+  watcher.on('sample', function(sample) {
+    self.record(sample).fail(onError).done();
+  });
+  return self;
+};
+
+/**
+ * Read the given collectors once and write their results.
+ *
+ * @param <Array>collectors collector names (default memory, loadAvg, uptime, df)
+ *
+ * @return <Object>defer
+ */
+Writer.prototype.collect = function(collectors) {
+  var self = this;
+  collectors = collectors || ['memory', 'loadAvg', 'uptime', 'df'];
+  return Q.all(collectors.map(function(name) {
+    return self.metrinix[name]().then(function(result) {
+      return self.write(name, result);
+    });
+  })).then(function() {
+    return self.flush();
+  });
+};
+
+/**
+ * Write out everything queued.
+ *
+ * @return <Object>defer
+ */
+Writer.prototype.flush = function() {
+  if (this._timer) {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+  var lines = this.buffer;
+  this.buffer = [];
+  if (lines.length === 0) {
+    return Q();
+  }
+  return (this.url.protocol === 'udp:') ? this._sendUdp(lines) : this._sendHttp(lines);
+};
+
+Writer.prototype._sendHttp = function(lines) {
+  var self = this;
+  var query = {
+    db: self.database,
+    precision: 'ns',
+  };
+  if (self.retentionPolicy) {
+    query.rp = self.retentionPolicy;
+  }
+  if (self.username) {
+    query.u = self.username;
+    query.p = self.password;
+  }
+  var body = lines.join('\n');
+  var path = (self.url.pathname || '/').replace(/\/$/, '') + '/write';
+
+  var deferred = Q.defer();
+  var request = ((self.url.protocol === 'https:') ? https : http).request({
+    method: 'POST',
+    hostname: self.url.hostname,
+    port: self.url.port,
+    path: url.format({ pathname: path, query: query }),
+    headers: {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body),
+    },
+  }, function(response) {
+    var buffer = '';
+    response.on('data', function(data) {
+      buffer += data;
+    });
+    response.on('end', function() {
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        return deferred.resolve();
+      }
+      var err = new Error('InfluxDB write failed with status ' + response.statusCode + ': ' + buffer.trim());
+      err.statusCode = response.statusCode;
+      deferred.reject(err);
+    });
+  });
+  request.on('error', deferred.reject);
+  request.end(body);
+  return deferred.promise;
+};
+
+Writer.prototype._sendUdp = function(lines) {
+  if (!this._socket) {
+    this._socket = udp.socket();
+  }
+  return udp.send(this._socket, lines, this.payloadSize,
+    parseInt(this.url.port || 8089, 10), this.url.hostname);
+};
+
+/**
+ * Flush what is queued and release the UDP socket.
+ *
+ * @return <Object>defer
+ */
+Writer.prototype.close = function() {
+  var self = this;
+  return self.flush().fin(function() {
+    if (self._socket) {
+      self._socket.close();
+      self._socket = null;
+    }
+  });
+};
+
+module.exports = {
+  line: line,
+  serialize: serialize,
+  Writer: Writer,
+};
@@ -0,0 +1,473 @@
+#!/usr/bin/env node
+var Q = require('q');
+var fs = require('fs');
+var metrinix = require('../index.js');
+var get = require('./server.js').get;
+var text = require('./text.js');
+var Top = require('./top.js').Top;
+var check = require('./check.js');
+var record = require('./recording.js').record;
+var Watcher = require('./watcher.js');
+var human = text.human;
+var percent = text.percent;
+var duration = text.duration;
+var table = text.table;
+
+
+/**
+ * Short names for the fields ``ps --sort`` is most often given, anything else
+ * is read as a dotted path into a process, eg. ``raw.num_threads``.
+ */
+var sortFields = {
+  cpu: 'cpu.totalPercent',
+  mem: 'memory.size',
+  rss: 'memory.size',
+  pid: 'raw.pid',
+  ppid: 'id.parent',
+  name: 'executable',
+  state: 'state.code',
+};
+
+/**
+ * The subcommands. Each names the collector it reads, optionally turns its
+ * result into what is printed, and lays that out as a table; or runs by
+ * itself, resolving with the exit code if it has one. ``options`` and
+ * ``flags`` (options without a value) can depend on the arguments.
+ */
+var commands = {
+  cpu: {
+    description: 'CPU utilisation, in total and per core',
+    collector: 'cpuUsage',
+    table: function(result) {
+      var row = function(name, usage) {
+        return [name, percent(usage.user), percent(usage.nice), percent(usage.system), percent(usage.iowait),
+          percent(usage.irq), percent(usage.softirq), percent(usage.steal), percent(usage.idle), percent(usage.percent)];
+      };
+      return table(['CPU', '%usr', '%nice', '%sys', '%iowait', '%irq', '%soft', '%steal', '%idle', '%busy'],
+        [row('all', result.total)].concat(result.cores.map(function(core) {
+          return row(core.core, core);
+        })), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    },
+  },
+  mem: {
+    description: 'memory and swap',
+    collector: 'memory',
+    table: function(result) {
+      var size = function(entry) {
+        return entry ? human(entry.size) : null;
+      };
+      return table(['', 'total', 'used', 'free', 'cached', 'buffers'], [
+        ['Mem:', size(result.ram.total), size(result.ram.used), size(result.ram.free), size(result.ram.cached), size(result.ram.buffers)],
+        ['Swap:', size(result.swap.total), size(result.swap.used), size(result.swap.free), size(result.swap.cached), null],
+      ], [1, 2, 3, 4, 5]);
+    },
+  },
+  df: {
+    description: 'disk space per filesystem',
+    collector: 'df',
+    table: function(result) {
+      return table(['Filesystem', 'Size', 'Used', 'Avail', 'Use%', 'Mounted on'], result.map(function(filesystem) {
+        return [filesystem.filesystem, human(filesystem.capacity.size), human(filesystem.used.size), human(filesystem.available.size),
+          (100 - filesystem.remaining) + '%', filesystem.mountPoint];
+      }), [1, 2, 3, 4]);
+    },
+  },
+  net: {
+    description: 'network throughput per interface',
+    collector: 'network',
+    table: function(result) {
+      return table(['Interface', 'Type', 'RX', 'TX'], Object.keys(result.interfaces).map(function(name) {
+        var entry = result.interfaces[name];
+        return [name, entry.type, text.format(entry.rx), text.format(entry.tx)];
+      }), [2, 3]);
+    },
+  },
+  ps: {
+    description: 'processes, by CPU usage',
+    collector: 'ps',
+    options: {
+      sort: 'field to sort by: cpu, mem, rss, pid, ppid, name, state or a dotted path (default cpu)',
+      order: 'asc or desc (default desc)',
+      limit: 'show at most this many processes',
+    },
+    transform: function(result, options) {
+      var path = sortFields[options.sort || 'cpu'] || options.sort;
+      var direction = ((options.order || 'desc') === 'asc') ? 1 : -1;
+      var processes = Object.keys(result).map(function(pid) {
+        return result[pid];
+      }).sort(function(a, b) {
+        var left = get(a, path);
+        var right = get(b, path);
+        if (left === right) {
+          return 0;
+        }
+        // processes without the field go last either way
+        if (typeof(left) === 'undefined') {
+          return 1;
+        }
+        if (typeof(right) === 'undefined') {
+          return -1;
+        }
+        return (left < right ? -1 : 1) * direction;
+      });
+      return (typeof(options.limit) === 'number') ? processes.slice(0, options.limit) : processes;
+    },
+    table: function(result) {
+      return table(['PID', 'PPID', 'S', '%CPU', 'RSS', 'NAME', 'COMMAND'], result.map(function(process) {
+        return [process.id.process, process.id.parent, process.state.code,
+          percent(process.cpu ? process.cpu.totalPercent : null), human(process.memory.size),
+          process.executable, process.command];
+      }), [0, 1, 3, 4]);
+    },
+  },
+  load: {
+    description: 'load average over 1, 5 and 15 minutes',
+    collector: 'loadAvg',
+    table: function(result) {
+      return table(['1m', '5m', '15m'], [[result.min1.toFixed(2), result.min5.toFixed(2), result.min15.toFixed(2)]], [0, 1, 2]);
+    },
+  },
+  uptime: {
+    description: 'time since boot',
+    collector: 'uptime',
+    table: function(result) {
+      return table(['up', 'idle'], [[duration(result.up), duration(result.idle)]]);
+    },
+  },
+  top: {
+    description: 'interactive view of processes, CPU, memory, network and disks',
+    options: {
+      interval: 'seconds between updates (default 2)',
+    },
+    run: function(options, output) {
+      var interval = (typeof(options.interval) === 'undefined') ? 2 : Number(options.interval);
+      if (!isFinite(interval) || interval <= 0) {
+        return Q.reject(new Error('Invalid --interval: ' + options.interval + ' (seconds)'));
+      }
+      if (!output.isTTY) {
+        return Q.reject(new Error('top needs a terminal'));
+      }
+      return new Top(metrinix, { interval: interval * 1000, output: output }).start();
+    },
+  },
+  check: {
+    description: 'monitoring plugin check for Nagios or Icinga: ' + Object.keys(check.checks).join(', '),
+    arguments: '<check>',
+    options: function(args) {
+      var options = {
+        timeout: 'seconds before giving up with UNKNOWN (default 10)',
+      };
+      var selected = check.checks[args[0]];
+      Object.keys(selected ? selected.options : {}).forEach(function(name) {
+        options[name] = selected.options[name];
+      });
+      return options;
+    },
+    flags: function(args) {
+      var selected = check.checks[args[0]];
+      return (selected && selected.flags) || [];
+    },
+    // prints one status line with perfdata and exits with the plugin code
+    run: function(options, output, args) {
+      return check.run(metrinix, args[0], options).then(function(result) {
+        output.write(result.output + '\n');
+        return result.status;
+      });
+    },
+  },
+  record: {
+    description: 'record timestamped readings of the collectors as JSON lines, for metrinix.replay()',
+    options: {
+      out: 'file to append to (default standard output)',
+      interval: 'seconds between readings (default 10)',
+      collectors: 'comma separated collectors or commands, eg. cpu,mem,ps (default all)',
+      count: 'stop after this many readings (default never)',
+    },
+    run: function(options, output) {
+      var interval = (typeof(options.interval) === 'undefined') ? 10 : Number(options.interval);
+      if (!isFinite(interval) || interval <= 0) {
+        return Q.reject(new Error('Invalid --interval: ' + options.interval + ' (seconds)'));
+      }
+      var count = (typeof(options.count) === 'undefined') ? Infinity : Number(options.count);
+      if (count !== Infinity && (!isFinite(count) || count <= 0 || count % 1 !== 0)) {
+        return Q.reject(new Error('Invalid --count: ' + options.count));
+      }
+      var collectors = Watcher.collectors;
+      if (typeof(options.collectors) === 'string') {
+        collectors = options.collectors.split(',').map(function(name) {
+          name = name.trim();
+          return commands[name] && commands[name].collector ? commands[name].collector : name;
+        });
+      }
+
+      return Q.fcall(function() {
+        var watcher = metrinix.watch({
+          collectors: collectors,
+          interval: interval * 1000,
+        });
+        var stream = options.out ? fs.createWriteStream(options.out, { flags: 'a' }) : output;
+        var done = Q.defer();
+        record(watcher, stream);
+        watcher.on('sample', function() {
+          if (--count === 0) {
+            watcher.stop();
+          }
+        });
+        watcher.on('stop', function() {
+          if (stream === output) {
+            return done.resolve();
+          }
+          stream.end(done.resolve);
+        });
+        watcher.on('error', function(err) {
+          process.stderr.write('metrinix: ' + err.collector + ': ' + (err.message || err) + '\n');
+        });
+        stream.on('error', function(err) {
+          watcher.stop();
+          done.reject(err);
+        });
+        return done.promise;
+      });
+    },
+  },
+};
+
+/**
+ * The options every subcommand takes.
+ */
+var globalOptions = {
+  json: 'print the result as JSON',
+  ndjson: 'print each reading, or each entry of a list, as a single line of JSON',
+  watch: 'print a reading every so many seconds until interrupted',
+  help: 'show this help',
+};
+
+
+/**
+ * The options a command takes besides its own: commands which run by
+ * themselves don't print readings, so only take ``--help``.
+ */
+function sharedOptions(command) {
+  return (command && command.run) ? { help: globalOptions.help } : globalOptions;
+}
+
+/**
+ * Read a property of a command which may depend on its arguments.
+ */
+function property(command, name, args) {
+  var value = command[name];
+  return (typeof(value) === 'function') ? value(args) : value;
+}
+
+/**
+ * Print the usage, of one command or all of them.
+ */
+function usage(name, args) {
+  var lines = [];
+  var options = function(list) {
+    return Object.keys(list).map(function(option) {
+      return '  --' + option + new Array(12 - option.length).join(' ') + list[option];
+    });
+  };
+  var command = commands[name];
+  if (command) {
+    lines.push('Usage: metrinix ' + name + (command.arguments ? ' ' + command.arguments : '') + ' [options]', '',
+      command.description.replace(/^./, function(letter) {
+        return letter.toUpperCase();
+      }) + '.', '', 'Options:');
+    lines = lines.concat(options(property(command, 'options', args || []) || {}), options(sharedOptions(command)));
+  } else {
+    lines.push('Usage: metrinix <command> [options]', '', 'Commands:');
+    lines = lines.concat(Object.keys(commands).map(function(command) {
+      return '  ' + command + new Array(10 - command.length).join(' ') + commands[command].description;
+    }));
+    lines.push('', 'Options:');
+    lines = lines.concat(options(globalOptions));
+    lines.push('', 'Run "metrinix <command> --help" for the options of a command.');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read the command line into ``{ command, args, options }``. Options are
+ * given as ``--name value`` or ``--name=value``; flags take no value.
+ *
+ * @param <Array>argv the arguments after the script name
+ *
+ * @return <Object>
+ */
+function parse(argv) {
+  var parsed = {
+    command: null,
+    args: [],
+    options: {},
+  };
+  var flags = ['json', 'ndjson', 'help'];
+  var isFlag = function(name) {
+    var command = commands[parsed.command];
+    return flags.indexOf(name) > -1 || (!!command && (property(command, 'flags', parsed.args) || []).indexOf(name) > -1);
+  };
+  for (var i = 0; i < argv.length; i++) {
+    var argument = argv[i];
+    if (argument === '-h') {
+      argument = '--help';
+    }
+    if (argument.indexOf('--') !== 0) {
+      if (!parsed.command) {
+        parsed.command = argument;
+      } else if (commands[parsed.command] && commands[parsed.command].arguments && parsed.args.length === 0) {
+        parsed.args.push(argument);
+      } else {
+        throw new Error('Unexpected argument: ' + argument);
+      }
+      continue;
+    }
+    var name = argument.substr(2);
+    var value = true;
+    if (name.indexOf('=') > -1) {
+      value = name.substr(name.indexOf('=') + 1);
+      name = name.substr(0, name.indexOf('='));
+    } else if (!isFlag(name)) {
+      if (i + 1 >= argv.length) {
+        throw new Error('Missing value for --' + name);
+      }
+      value = argv[++i];
+    }
+    parsed.options[name] = value;
+  }
+
+  var command = commands[parsed.command];
+  if (parsed.command && !command) {
+    throw new Error('Unknown command: ' + parsed.command);
+  }
+  var known = Object.keys(sharedOptions(command)).concat(Object.keys((command && property(command, 'options', parsed.args)) || {}));
+  Object.keys(parsed.options).forEach(function(option) {
+    if (known.indexOf(option) === -1) {
+      throw new Error('Unknown option: --' + option);
+    }
+  });
+
+  if (typeof(parsed.options.watch) !== 'undefined') {
+    var watch = Number(parsed.options.watch);
+    if (!isFinite(watch) || watch <= 0) {
+      throw new Error('Invalid --watch: ' + parsed.options.watch + ' (seconds)');
+    }
+    parsed.options.watch = watch;
+  }
+  if (typeof(parsed.options.limit) !== 'undefined') {
+    var limit = Number(parsed.options.limit);
+    if (!isFinite(limit) || limit < 0 || limit % 1 !== 0) {
+      throw new Error('Invalid --limit: ' + parsed.options.limit);
+    }
+    parsed.options.limit = limit;
+  }
+  if (parsed.options.order && parsed.options.order !== 'asc' && parsed.options.order !== 'desc') {
+    throw new Error('Invalid --order: ' + parsed.options.order + ' (asc or desc)');
+  }
+  return parsed;
+}
+
+/**
+ * Format a reading for output.
+ */
+function format(command, result, options) {
+  if (options.ndjson) {
+    return [].concat(result).map(function(entry) {
+      return JSON.stringify(entry);
+    }).join('\n');
+  }
+  if (options.json) {
+    return JSON.stringify(result, null, 2);
+  }
+  return command.table(result, options);
+}
+
+/**
+ * Run a command: print one reading, or keep printing them with ``--watch``.
+ *
+ * @param <String>name
+ * @param <Object>options
+ * @param <Object>output stream to write to (default process.stdout)
+ * @param <Array>args the arguments after the command
+ *
+ * @return <Object>defer, resolved once done, which is never while watching
+ */
+function run(name, options, output, args) {
+  var command = commands[name];
+  output = output || process.stdout;
+  if (command.run) {
+    return command.run(options, output, args || []);
+  }
+  var print = function(result) {
+    result = command.transform ? command.transform(result, options) : result;
+    var reading = format(command, result, options);
+    if (options.watch && !options.json && !options.ndjson) {
+      var header = 'Every ' + options.watch + 's: metrinix ' + name + '    ' + new Date().toString();
+      // redraw in place on a terminal, like watch(1)
+      reading = (output.isTTY ? '\x1b[H\x1b[2J' : '\n') + header + '\n\n' + reading;
+    }
+    output.write(reading + '\n');
+  };
+
+  // warnings stay out of the readings, --json included, so that scripts
+  // reading stdout get the results alone
+  var warn = function(warning) {
+    process.stderr.write('metrinix: warning: ' + warning.message + '\n');
+  };
+
+  return Q(metrinix[command.collector]()).then(function(result) {
+    (result.warnings || []).forEach(warn);
+    print(result);
+    if (!options.watch) {
+      return;
+    }
+    var watcher = metrinix.watch({
+      collectors: [command.collector],
+      interval: options.watch * 1000,
+    });
+    watcher.on('sample', function(sample) {
+      if (typeof(sample.data[command.collector]) !== 'undefined') {
+        print(sample.data[command.collector]);
+      }
+    });
+    watcher.on('warning', warn);
+    watcher.on('error', function(err) {
+      process.stderr.write('metrinix: ' + (err.message || err) + '\n');
+    });
+    return Q.defer().promise;
+  });
+}
+
+
+if (require.main === module) {
+  var parsed;
+  try {
+    parsed = parse(process.argv.slice(2));
+  } catch (err) {
+    if (process.argv[2] === 'check') {
+      // plugins report bad usage as UNKNOWN
+      process.stdout.write('CHECK UNKNOWN - ' + err.message + '\n');
+      process.exit(check.UNKNOWN);
+    }
+    process.stderr.write('metrinix: ' + err.message + '\nRun "metrinix --help" for usage.\n');
+    process.exit(2);
+  }
+  if (parsed.options.help || !parsed.command) {
+    process.stdout.write(usage(parsed.command, parsed.args) + '\n');
+    process.exit(parsed.command || parsed.options.help ? 0 : 2);
+  }
+  run(parsed.command, parsed.options, process.stdout, parsed.args).then(function(code) {
+    if (typeof(code) === 'number') {
+      process.exitCode = code;
+    }
+  }, function(err) {
+    process.stderr.write('metrinix: ' + (err.message || err) + '\n');
+    process.exitCode = 1;
+  }).done();
+}
+
+module.exports = {
+  commands: commands,
+  parse: parse,
+  run: run,
+};
@@ -0,0 +1,113 @@
+var util = require('util');
+
+
+/**
+ * The error the readers reject with, and the warnings partial results carry.
+ *
+ * Codes:
+ *    EREAD: a file couldn't be read
+ *    EPARSE: a file or the output of a command isn't what was expected
+ *    EEXEC: a command couldn't be run, or exited with an error
+ *    EABORT: the reading was aborted through its ``signal``
+ *    ETIMEOUT: the reading took longer than its ``timeout``
+ *
+ * @example:
+ *    > metrinix.memory().catch(function(err) { console.log(err.code, err.source, err.cause.code); });
+ *    EREAD /proc/meminfo EACCES
+ *
+ * @param <String>code
+ * @param <String>message
+ * @param <Object>details
+ *    source: the file or command which failed
+ *    cause: the underlying error, if any
+ */
+function MetrinixError(code, message, details) {
+  Error.call(this);
+  Error.captureStackTrace(this, MetrinixError);
+  details = details || {};
+  this.name = 'MetrinixError';
+  this.code = code;
+  this.message = message;
+  this.source = details.source || null;
+  this.cause = details.cause || null;
+}
+
+util.inherits(MetrinixError, Error);
+
+/**
+ * A file which couldn't be read.
+ *
+ * @param <String>file
+ * @param <Error>cause
+ *
+ * @return <Object>MetrinixError
+ */
+MetrinixError.read = function(file, cause) {
+  return new MetrinixError('EREAD', 'Unable to read ' + file + ': ' + cause.message, {
+    source: file,
+    cause: cause,
+  });
+};
+
+/**
+ * A file or command output which isn't what was expected.
+ *
+ * @param <String>source
+ * @param <String>problem
+ * @param <Error>cause
+ *
+ * @return <Object>MetrinixError
+ */
+MetrinixError.parse = function(source, problem, cause) {
+  return new MetrinixError('EPARSE', 'Unable to parse ' + source + ': ' + problem, {
+    source: source,
+    cause: cause,
+  });
+};
+
+/**
+ * Set the warnings of a partial result. They are left out of its keys, so a
+ * map of processes still only holds processes, and out of its JSON: what
+ * writes results out as JSON writes them next to it.
+ *
+ * @param <Object>result
+ * @param <Array>warnings list of MetrinixError
+ *
+ * @return <Object>result
+ */
+MetrinixError.warn = function(result, warnings) {
+  Object.defineProperty(result, 'warnings', {
+    value: warnings,
+    enumerable: false,
+    configurable: true,
+    writable: true,
+  });
+  return result;
+};
+
+/**
+ * The JSON of a warning, as written out alongside the results it came with,
+ * eg. by ``record()`` or the stream.
+ *
+ * @return <Object>
+ */
+MetrinixError.prototype.toJSON = function() {
+  return {
+    code: this.code,
+    message: this.message,
+    source: this.source,
+  };
+};
+
+/**
+ * Rebuild a warning from its JSON, eg. when replaying a recording.
+ *
+ * @param <Object>json
+ *
+ * @return <Object>MetrinixError
+ */
+MetrinixError.fromJSON = function(json) {
+  return new MetrinixError(json.code, json.message, { source: json.source });
+};
+
+module.exports = MetrinixError;
@@ -0,0 +1,489 @@
+var Q = require('q');
+var fs = require('fs');
+var events = require('events');
+var util = require('util');
+var cpuStatMap = require('./cpuStatMap.js');
+var statMap = require('./statMap.js');
+var duration = require('./duration.js');
+var MetrinixError = require('./metrinixError.js');
+
+
+/**
+ * A clock which only moves when told to, so rates measured against it are
+ * exact.
+ *
+ * Timers fire as ``advance()`` passes their time, in order, with ``now()``
+ * reading the time they were due. With ``auto`` a timeout moves the clock on
+ * by itself, as soon as everything already queued has run, so a reader's
+ * sampling sleep takes no real time. Intervals, eg. those of ``watch()``,
+ * only ever fire on ``advance()``.
+ *
+ * Events:
+ *    advance: milliseconds, before the timers due are fired
+ *
+ * @param <Number>time milliseconds since epoch to start at
+ * @param <Object>options
+ *    auto: move on to the timeouts set (default true)
+ */
+function Clock(time, options) {
+  events.EventEmitter.call(this);
+  options = options || {};
+  this.time = time;
+  this.auto = (typeof(options.auto) === 'boolean') ? options.auto : true;
+  this._timers = {};
+  this._id = 0;
+}
+
+util.inherits(Clock, events.EventEmitter);
+
+Clock.prototype.now = function() {
+  return this.time;
+};
+
+Clock.prototype.setTimeout = function(callback, ms) {
+  var self = this;
+  var id = self._timer(callback, ms, 0);
+  if (self.auto) {
+    setImmediate(function() {
+      if (self._timers[id]) {
+        self.advance(self._timers[id].due - self.time);
+      }
+    });
+  }
+  return id;
+};
+
+Clock.prototype.setInterval = function(callback, ms) {
+  return this._timer(callback, ms, ms);
+};
+
+Clock.prototype.clearTimeout = Clock.prototype.clearInterval = function(id) {
+  delete this._timers[id];
+};
+
+Clock.prototype._timer = function(callback, ms, repeat) {
+  var id = ++this._id;
+  this._timers[id] = {
+    id: id,
+    callback: callback,
+    due: this.time + Math.max(0, ms || 0),
+    // an interval of 0 would never let advance() finish
+    repeat: repeat ? Math.max(1, repeat) : 0,
+  };
+  return id;
+};
+
+/**
+ * Move the clock on, firing the timers which come due on the way.
+ *
+ * @param <Number|String>ms milliseconds, or a duration such as '5s'
+ *
+ * @return <Object>Clock
+ */
+Clock.prototype.advance = function(ms) {
+  var self = this;
+  var end = self.time + duration(ms);
+  for (;;) {
+    var next = null;
+    Object.keys(self._timers).forEach(function(id) {
+      var timer = self._timers[id];
+      if (timer.due <= end && (!next || timer.due < next.due || (timer.due === next.due && timer.id < next.id))) {
+        next = timer;
+      }
+    });
+    if (!next) {
+      break;
+    }
+    self._move(next.due);
+    if (next.repeat) {
+      next.due += next.repeat;
+    } else {
+      delete self._timers[next.id];
+    }
+    next.callback();
+  }
+  self._move(end);
+  return self;
+};
+
+Clock.prototype._move = function(time) {
+  if (time > this.time) {
+    var elapsed = time - this.time;
+    this.time = time;
+    this.emit('advance', elapsed);
+  }
+};
+
+
+/**
+ * The CPU states a host's cores spend their time in, besides idle, as
+ * ``/proc/stat`` names them.
+ */
+var cpuStates = ['user', 'nice', 'system', 'iowait', 'irq', 'softirq', 'steal', 'guest', 'guest_nice'];
+
+/**
+ * A synthetic host for the readers to read, described by a fixture.
+ *
+ * The host renders the files the readers read, ``/proc/stat``,
+ * ``/proc/<pid>/stat``, ``/proc/net/dev`` and so on, and answers ``getconf``
+ * and ``statfs()``, from its state. Counters advance with its clock at the
+ * rates the fixture gives, and the state can be changed at any time, eg. a
+ * process's ``cpu`` or an interface's ``rx``, to take effect from then on.
+ *
+ * The fixture, all of it optional:
+ *    time: milliseconds since epoch the clock starts at (default now)
+ *    uptime: seconds since boot (default 3600)
+ *    hertz: clock ticks per second (default 100)
+ *    pagesize: bytes (default 4096)
+ *    cpus: per core, percent of the time spent in each state, eg.
+ *      ``{ user: 20, system: 5 }``, the rest is idle (default 2 idle cores)
+ *    load: the 1, 5 and 15 minute averages (default [0, 0, 0])
+ *    memory: fields of ``/proc/meminfo`` in kB, eg. ``{ MemTotal: 8388608,
+ *      MemFree: 4194304 }`` (default 8 GB, half available and no swap)
+ *    mounts: list of ``{ filesystem, mountPoint, type, options, size, used,
+ *      available, growth, inodes, inodesUsed }``, in bytes and bytes per
+ *      second, counted in blocks of 4096 bytes. The type defaults to 'ext4',
+ *      the options to 'rw,relatime' and the available space to the rest of
+ *      the size
+ *    interfaces: by name, ``{ type, rx, tx, rxPackets, txPackets }``, with
+ *      rates per second and type 'physical', 'docker', 'bridge' or 'tun/tap'
+ *    processes: list of ``{ pid, ppid, name, command, state, cpu, system,
+ *      rss, threads }``, where cpu is percent of one core of which system is
+ *      the share spent in the kernel, and rss is in bytes
+ *
+ * @example:
+ *    > var host = new MockHost({ cpus: [{ user: 50 }], processes: [{ pid: 42, name: 'node', cpu: 25 }] });
+ *    > host.clock.advance('1m');
+ *
+ * @param <Object|String>fixture or the path of a JSON file holding it
+ * @param <Object>options
+ *    auto: let sampling sleeps move the clock on by themselves (default true)
+ */
+function MockHost(fixture, options) {
+  var self = this;
+  if (typeof(fixture) === 'string') {
+    fixture = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+  }
+  fixture = fixture || {};
+
+  self.clock = new Clock((typeof(fixture.time) === 'number') ? fixture.time : Date.now(), options);
+  self.hertz = fixture.hertz || 100;
+  self.pagesize = fixture.pagesize || 4096;
+  self.uptime = (typeof(fixture.uptime) === 'number') ? fixture.uptime : 3600;
+  self.cpus = (fixture.cpus || [{}, {}]).map(function(cpu) {
+    return copy(cpu);
+  });
+  self.load = (fixture.load || [0, 0, 0]).slice();
+  self.memory = copy(fixture.memory || {});
+  [['MemTotal', 8388608], ['MemFree', 4194304], ['MemAvailable', 4194304], ['Buffers', 0], ['Cached', 0],
+    ['SwapCached', 0], ['SwapTotal', 0], ['SwapFree', 0]].forEach(function(field) {
+    if (typeof(self.memory[field[0]]) !== 'number') {
+      self.memory[field[0]] = field[1];
+    }
+  });
+  self.mounts = (fixture.mounts || []).map(function(mount) {
+    return copy(mount);
+  });
+  self.interfaces = {};
+  Object.keys(fixture.interfaces || {}).forEach(function(name) {
+    self.interfaces[name] = copy(fixture.interfaces[name]);
+  });
+  self.processes = {};
+  (fixture.processes || []).forEach(function(process) {
+    self.spawn(process);
+  });
+
+  // the cumulative counters, from boot until now
+  self._ticks = self.cpus.map(function(cpu) {
+    return self._cpuTicks(cpu, self.uptime);
+  });
+  Object.keys(self.interfaces).forEach(function(name) {
+    self._count(self.interfaces[name], self.uptime);
+  });
+
+  self.clock.on('advance', function(ms) {
+    self._advance(ms / 1000);
+  });
+
+  self.fs = {
+    readFile: function(file, options, callback) {
+      callback = (typeof(options) === 'function') ? options : callback;
+      var encoding = (typeof(options) === 'string') ? options : (options && options.encoding);
+      setImmediate(function() {
+        var data;
+        try {
+          data = self.fs.readFileSync(file);
+        } catch (err) {
+          return callback(err);
+        }
+        callback(null, encoding ? data.toString(encoding) : data);
+      });
+    },
+    readFileSync: function(file) {
+      var data = self.file(file);
+      if (data === null) {
+        throw missing(file);
+      }
+      return Buffer.from(data);
+    },
+    readdir: function(dir, callback) {
+      setImmediate(function() {
+        if (dir.replace(/\/+$/, '') !== '/proc') {
+          return callback(missing(dir));
+        }
+        callback(null, ['stat', 'uptime', 'loadavg', 'meminfo', 'net', 'self'].concat(Object.keys(self.processes)));
+      });
+    },
+    statfs: function(file, options, callback) {
+      callback = (typeof(options) === 'function') ? options : callback;
+      setImmediate(function() {
+        var mount = self.mounts.filter(function(mount) {
+          return mount.mountPoint === file;
+        })[0];
+        if (!mount) {
+          return callback(missing(file));
+        }
+        callback(null, self._statfs(mount));
+      });
+    },
+    statSync: function(file) {
+      var match = /^\/sys\/class\/net\/([^\/]+)\/(upper_docker0|bridge|tun_flags)$/.exec(file);
+      var types = { upper_docker0: 'docker', bridge: 'bridge', tun_flags: 'tun/tap' };
+      if (!match || !self.interfaces[match[1]] || self.interfaces[match[1]].type !== types[match[2]]) {
+        throw missing(file);
+      }
+      return {};
+    },
+  };
+
+  self.exec = function(command, params) {
+    if (command === 'getconf' && params[0] === 'PAGESIZE') {
+      return Q(self.pagesize + '\n');
+    }
+    if (command === 'getconf' && params[0] === 'CLK_TCK') {
+      return Q(self.hertz + '\n');
+    }
+    var source = [command].concat(params).join(' ');
+    return Q.reject(new MetrinixError('EEXEC', 'The mock host can\'t run ' + source, { source: source }));
+  };
+}
+
+/**
+ * Start a process, ``{ pid, ppid, name, command, state, cpu, system, rss,
+ * threads }``; it is seen as started now.
+ *
+ * @param <Object>process
+ */
+MockHost.prototype.spawn = function(process) {
+  if (typeof(process.pid) !== 'number') {
+    throw new Error('A process needs a pid');
+  }
+  var name = process.name || 'process' + process.pid;
+  this.processes[process.pid] = {
+    pid: process.pid,
+    ppid: process.ppid || 0,
+    name: name,
+    command: (typeof(process.command) === 'string') ? process.command : name,
+    state: process.state || 'S',
+    cpu: process.cpu || 0,
+    system: process.system || 0,
+    rss: process.rss || 0,
+    threads: process.threads || 1,
+    start: Math.round(this.uptime * this.hertz),
+    utime: 0,
+    stime: 0,
+  };
+};
+
+/**
+ * End a process.
+ *
+ * @param <Number>pid
+ */
+MockHost.prototype.kill = function(pid) {
+  delete this.processes[pid];
+};
+
+/**
+ * Render a file the readers read, or null if the host has none such.
+ *
+ * @param <String>file eg. '/proc/stat'
+ *
+ * @return <String>
+ */
+MockHost.prototype.file = function(file) {
+  var self = this;
+  switch (file) {
+    case '/proc/stat':
+      var line = function(name, ticks) {
+        return name + ' ' + cpuStates.slice(0, 3).concat(['idle'], cpuStates.slice(3)).map(function(state) {
+          return Math.floor(ticks[state]);
+        }).join(' ');
+      };
+      var total = {};
+      Object.keys(cpuStatMap).forEach(function(state) {
+        total[state] = self._ticks.reduce(function(sum, ticks) {
+          return sum + Math.floor(ticks[state]);
+        }, 0);
+      });
+      return [line('cpu ', total)].concat(self._ticks.map(function(ticks, core) {
+        return line('cpu' + core, ticks);
+      })).join('\n') + '\nprocs_running 1\nprocs_blocked 0\n';
+    case '/proc/uptime':
+      return self.uptime.toFixed(2) + ' ' + (self._ticks.reduce(function(sum, ticks) {
+        return sum + ticks.idle;
+      }, 0) / self.hertz).toFixed(2) + '\n';
+    case '/proc/loadavg':
+      var pids = Object.keys(self.processes);
+      return self.load.map(function(load) {
+        return load.toFixed(2);
+      }).join(' ') + ' 1/' + pids.length + ' ' + (pids.length ? pids[pids.length - 1] : 0) + '\n';
+    case '/proc/meminfo':
+      return Object.keys(self.memory).map(function(field) {
+        return field + ':' + new Array(Math.max(2, 17 - field.length)).join(' ') + self.memory[field] + ' kB';
+      }).join('\n') + '\n';
+    case '/proc/net/dev':
+      return 'Inter-|   Receive                                                |  Transmit\n' +
+        ' face |bytes    packets errs drop fifo frame compressed multicast|bytes    packets errs drop fifo colls carrier compressed\n' +
+        Object.keys(self.interfaces).map(function(name) {
+          var counters = self.interfaces[name]._counters;
+          return new Array(Math.max(1, 7 - name.length)).join(' ') + name + ': ' + [
+            Math.floor(counters.rx), Math.floor(counters.rxPackets), 0, 0, 0, 0, 0, 0,
+            Math.floor(counters.tx), Math.floor(counters.txPackets), 0, 0, 0, 0, 0, 0,
+          ].join(' ');
+        }).join('\n') + '\n';
+    case '/proc/self/mountinfo':
+      // the kernel escapes spaces, tabs, newlines and backslashes in octal
+      var escape = function(field) {
+        return field.replace(/[ \t\n\\]/g, function(character) {
+          return '\\' + ('00' + character.charCodeAt(0).toString(8)).slice(-3);
+        });
+      };
+      return self.mounts.map(function(mount, offset) {
+        return [20 + offset, 1, '253:' + offset, '/', escape(mount.mountPoint), mount.options || 'rw,relatime', '-',
+          mount.type || 'ext4', escape(mount.filesystem || 'none'), 'rw'].join(' ');
+      }).join('\n') + '\n';
+  }
+
+  var match = /^\/proc\/([0-9]+)\/(stat|cmdline)$/.exec(file);
+  var process = match && self.processes[match[1]];
+  if (!process) {
+    return null;
+  }
+  if (match[2] === 'cmdline') {
+    return process.command.split(' ').join('\x00') + '\x00';
+  }
+  var fields = [];
+  for (var i = 0; i < 52; i++) {
+    fields.push(0);
+  }
+  fields[statMap.pid] = process.pid;
+  fields[statMap.comm] = '(' + process.name + ')';
+  fields[statMap.state] = process.state;
+  fields[statMap.ppid] = process.ppid;
+  fields[statMap.pgrp] = fields[statMap.session] = process.pid;
+  // whole ticks, as the kernel counts them, without the rounding of the two
+  // adding up to less than the time spent in total
+  fields[statMap.stime] = Math.floor(process.stime);
+  fields[statMap.utime] = Math.floor(process.utime + process.stime) - fields[statMap.stime];
+  fields[statMap.num_threads] = process.threads;
+  fields[statMap.starttime] = process.start;
+  fields[statMap.vsize] = process.rss * 2;
+  fields[statMap.rss] = Math.round(process.rss / self.pagesize);
+  return fields.join(' ') + '\n';
+};
+
+/**
+ * What ``statfs()`` tells of a mount, in blocks of 4096 bytes.
+ */
+MockHost.prototype._statfs = function(mount) {
+  var bsize = 4096;
+  var blocks = Math.ceil(mount.size / bsize);
+  var free = blocks - Math.ceil(Math.min(mount.used || 0, mount.size) / bsize);
+  var inodes = (typeof(mount.inodes) === 'number') ? mount.inodes : Math.ceil(mount.size / 16384);
+  return {
+    bsize: bsize,
+    blocks: blocks,
+    bfree: free,
+    bavail: (typeof(mount.available) === 'number') ? Math.min(free, Math.floor(mount.available / bsize)) : free,
+    files: inodes,
+    ffree: inodes - Math.min(mount.inodesUsed || 0, inodes),
+  };
+};
+
+/**
+ * The ticks a core spends in each state over the given seconds.
+ */
+MockHost.prototype._cpuTicks = function(cpu, seconds, ticks) {
+  var self = this;
+  ticks = ticks || { idle: 0 };
+  var busy = 0;
+  cpuStates.forEach(function(state) {
+    var name = state.replace(/_([a-z])/g, function(match, letter) {
+      return letter.toUpperCase();
+    });
+    var share = cpu[name] || 0;
+    // guest time is counted in user and nice as well, as the kernel does
+    if (state !== 'guest' && state !== 'guest_nice') {
+      busy += share;
+    }
+    ticks[state] = (ticks[state] || 0) + seconds * self.hertz * share / 100;
+  });
+  ticks.idle += seconds * self.hertz * Math.max(0, 100 - busy) / 100;
+  return ticks;
+};
+
+/**
+ * Add the traffic of an interface over the given seconds.
+ */
+MockHost.prototype._count = function(entry, seconds) {
+  var counters = entry._counters = entry._counters || { rx: 0, tx: 0, rxPackets: 0, txPackets: 0 };
+  Object.keys(counters).forEach(function(name) {
+    counters[name] += seconds * (entry[name] || 0);
+  });
+};
+
+/**
+ * Move every counter on by the given seconds.
+ */
+MockHost.prototype._advance = function(seconds) {
+  var self = this;
+  self.uptime += seconds;
+  // cores can be added to the state at any time
+  self._ticks = self.cpus.map(function(cpu, core) {
+    return self._cpuTicks(cpu, seconds, self._ticks[core]);
+  });
+  Object.keys(self.interfaces).forEach(function(name) {
+    self._count(self.interfaces[name], seconds);
+  });
+  Object.keys(self.processes).forEach(function(pid) {
+    var process = self.processes[pid];
+    var ticks = seconds * self.hertz * process.cpu / 100;
+    process.stime += ticks * process.system / 100;
+    process.utime += ticks * (100 - process.system) / 100;
+  });
+  self.mounts.forEach(function(mount) {
+    if (mount.growth) {
+      mount.used = Math.max(0, Math.min(mount.size, (mount.used || 0) + seconds * mount.growth));
+    }
+  });
+};
+
+function copy(object) {
+  return Object.keys(object).reduce(function(result, key) {
+    result[key] = object[key];
+    return result;
+  }, {});
+}
+
+function missing(file) {
+  var err = new Error('ENOENT: no such file or directory, \'' + file + '\'');
+  err.code = 'ENOENT';
+  err.path = file;
+  return err;
+}
+
+module.exports = {
+  Clock: Clock,
+  MockHost: MockHost,
+};
@@ -0,0 +1,464 @@
+var Q = require('q');
+var os = require('os');
+var url = require('url');
+var http = require('http');
+var https = require('https');
+var MetrinixError = require('./metrinixError.js');
+
+
+/**
+ * OTLP aggregation temporality, cumulative sums always start from the same
+ * point (boot, or the start of a process).
+ */
+var CUMULATIVE = 2;
+
+/**
+ * Node's names for cpu architectures, mapped to the ``host.arch`` values of
+ * the semantic conventions.
+ */
+var architectures = {
+  x64: 'amd64',
+  ia32: 'x86',
+  arm: 'arm32',
+  arm64: 'arm64',
+  ppc: 'ppc32',
+  ppc64: 'ppc64',
+  s390x: 's390x',
+};
+
+/**
+ * Convert milliseconds since epoch to nanoseconds, as a string because
+ * int64 values are strings in the OTLP JSON encoding.
+ */
+function nanoseconds(time) {
+  return String(Math.round(time)) + '000000';
+}
+
+/**
+ * Convert a map of attributes to an OTLP ``KeyValue`` list.
+ */
+function attributes(map) {
+  return Object.keys(map || {}).map(function(key) {
+    var value = map[key];
+    if (typeof(value) === 'number' && value % 1 === 0) {
+      return { key: key, value: { intValue: String(value) } };
+    }
+    if (typeof(value) === 'number') {
+      return { key: key, value: { doubleValue: value } };
+    }
+    if (typeof(value) === 'boolean') {
+      return { key: key, value: { boolValue: value } };
+    }
+    return { key: key, value: { stringValue: String(value) } };
+  });
+}
+
+/**
+ * Collects metrics for one resource, grouped by metric name.
+ */
+function MetricSet() {
+  this.metrics = {};
+  this.order = [];
+}
+
+/**
+ * Add a gauge data point.
+ *
+ * @param <String>name
+ * @param <String>unit
+ * @param <String>description
+ * @param <Object>attributes
+ * @param <Number>value
+ * @param <Number>time milliseconds since epoch
+ */
+MetricSet.prototype.gauge = function(name, unit, description, attrs, value, time) {
+  this._point(name, unit, description, 'gauge', null, {
+    attributes: attributes(attrs),
+    timeUnixNano: nanoseconds(time),
+    asDouble: value,
+  });
+};
+
+/**
+ * Add a cumulative sum data point. Without a start, eg. when the uptime
+ * couldn't be read, there is no point to add.
+ *
+ * @param <String>name
+ * @param <String>unit
+ * @param <String>description
+ * @param <Boolean>monotonic a counter (true) or an up-down counter (false)
+ * @param <Object>attributes
+ * @param <Number>value
+ * @param <Number>start milliseconds since epoch the sum started counting
+ * @param <Number>time milliseconds since epoch
+ */
+MetricSet.prototype.sum = function(name, unit, description, monotonic, attrs, value, start, time) {
+  if (typeof(start) !== 'number' || !isFinite(start)) {
+    return;
+  }
+  this._point(name, unit, description, 'sum', monotonic, {
+    attributes: attributes(attrs),
+    startTimeUnixNano: nanoseconds(start),
+    timeUnixNano: nanoseconds(time),
+    asDouble: value,
+  });
+};
+
+MetricSet.prototype._point = function(name, unit, description, type, monotonic, point) {
+  if (typeof(point.asDouble) !== 'number' || !isFinite(point.asDouble)) {
+    return;
+  }
+  var metric = this.metrics[name];
+  if (!metric) {
+    metric = {
+      name: name,
+      description: description,
+      unit: unit,
+    };
+    if (type === 'gauge') {
+      metric.gauge = { dataPoints: [] };
+    } else {
+      metric.sum = {
+        dataPoints: [],
+        aggregationTemporality: CUMULATIVE,
+        isMonotonic: monotonic,
+      };
+    }
+    this.metrics[name] = metric;
+    this.order.push(name);
+  }
+  (metric.gauge || metric.sum).dataPoints.push(point);
+};
+
+MetricSet.prototype.toArray = function() {
+  var self = this;
+  return self.order.map(function(name) {
+    return self.metrics[name];
+  });
+};
+
+
+/**
+ * Exports the collectors as OTLP metrics, following the OpenTelemetry
+ * host-metrics semantic conventions, and POSTs them as JSON to a collector's
+ * ``/v1/metrics`` endpoint.
+ *
+ * @param <Object>metrinix
+ * @param <Object>options
+ *    endpoint: the collector's OTLP/HTTP endpoint (default 'http://localhost:4318')
+ *    headers: extra request headers, eg. for authentication
+ *    resource: extra resource attributes for the host
+ *    interval: milliseconds between cpu readings for the first export (default 1000)
+ *    processes: export per-process metrics (default true)
+ */
+function Exporter(metrinix, options) {
+  options = options || {};
+  this.metrinix = metrinix;
+  this.endpoint = url.parse((options.endpoint || 'http://localhost:4318').replace(/\/$/, '') + '/v1/metrics');
+  this.headers = options.headers || {};
+  this.interval = (typeof(options.interval) === 'number') ? options.interval : 1000;
+  this.processes = (options.processes !== false);
+  this.resource = {
+    'host.name': os.hostname(),
+    'host.arch': architectures[os.arch()] || os.arch(),
+    'os.type': os.platform(),
+    'os.description': os.type() + ' ' + os.release(),
+  };
+  var resource = this.resource;
+  Object.keys(options.resource || {}).forEach(function(key) {
+    resource[key] = options.resource[key];
+  });
+  this._cpu = null;
+  this._timer = null;
+}
+
+/**
+ * The collectors ``metrics()`` reads, in order.
+ */
+var collectors = ['cpuUsage', 'getconf', 'uptime', 'memory', 'loadAvg', 'df', 'network', 'ps'];
+
+/**
+ * Read the collectors and build an ``ExportMetricsServiceRequest``. A
+ * collector which fails is left out and its error is one of the request's
+ * ``warnings``, along with those of partial results.
+ *
+ * @return <Object>defer
+ */
+Exporter.prototype.metrics = function() {
+  var self = this;
+  var metrinix = self.metrinix;
+  var warnings = [];
+
+  // utilisation needs two cpu readings; after the first export the previous
+  // export's reading is the baseline
+  var cpu = self._cpu ? Q(self._cpu) : metrinix.cpuUsage.snapshot().then(function(snapshot) {
+    return metrinix._sleep(self.interval).then(function() {
+      return snapshot;
+    });
+  });
+
+  // everything else is read along with the second cpu reading, so that it is
+  // all of the time of the export
+  return Q.allSettled([cpu]).then(function() {
+    return Q.allSettled([
+      cpu.then(function(prev) {
+        return metrinix.cpuUsage.snapshot().then(function(cur) {
+          self._cpu = cur;
+          return { prev: prev, cur: cur };
+        });
+      }),
+      metrinix._getconf('CLK_TCK'),
+      metrinix.uptime(),
+      metrinix.memory(),
+      metrinix.loadAvg(),
+      metrinix.df(),
+      metrinix.network.snapshot(),
+      self.processes ? metrinix.ps.snapshot() : null,
+    ]);
+  }).then(function(results) {
+    return results.map(function(result, offset) {
+      if (result.state === 'rejected') {
+        var err = (result.reason instanceof Error) ? result.reason : new Error(String(result.reason));
+        err.collector = collectors[offset];
+        warnings.push(err);
+        return null;
+      }
+      ((result.value && result.value.warnings) || []).forEach(function(warning) {
+        warning.collector = collectors[offset];
+        warnings.push(warning);
+      });
+      return result.value;
+    });
+  }).spread(function(cpu, hertz, uptime, memory, load, df, network, ps) {
+    var now = metrinix._clock.now();
+    // the start of a cumulative sum has to stay put between exports, so
+    // round away the jitter of working it out from the uptime
+    var boot = uptime ? Math.round((now - (uptime.up * 1000)) / 1000) * 1000 : null;
+    hertz = parseInt(hertz, 10);
+    var host = new MetricSet();
+
+    // cpu
+    var modes = ['user', 'nice', 'system', 'idle', 'iowait', 'irq', 'softirq', 'steal'];
+    if (cpu) {
+      cpu.cur.cores.forEach(function(core) {
+        modes.forEach(function(mode) {
+          host.sum('system.cpu.time', 's', 'Seconds each logical CPU spent on each mode.', true,
+            { 'cpu.logical_number': core.core, 'cpu.mode': mode }, core.times[mode] / hertz, boot, now);
+        });
+      });
+      metrinix.cpuUsage.diff(cpu.prev, cpu.cur).cores.forEach(function(core) {
+        modes.forEach(function(mode) {
+          host.gauge('system.cpu.utilization', '1',
+            'Difference in system.cpu.time since the last measurement, divided by the elapsed time.',
+            { 'cpu.logical_number': core.core, 'cpu.mode': mode }, core[mode] / 100, now);
+        });
+      });
+    }
+
+    // load
+    if (load) {
+      host.gauge('system.cpu.load_average.1m', '{thread}', 'Average CPU load over 1 minute.', {}, load.min1, now);
+      host.gauge('system.cpu.load_average.5m', '{thread}', 'Average CPU load over 5 minutes.', {}, load.min5, now);
+      host.gauge('system.cpu.load_average.15m', '{thread}', 'Average CPU load over 15 minutes.', {}, load.min15, now);
+    }
+
+    // uptime
+    if (uptime) {
+      host.gauge('system.uptime', 's', 'The time the system has been running.', {}, uptime.up, now);
+    }
+
+    // memory
+    var raw = memory ? memory.raw : {};
+    var bytes = function(key) {
+      return raw[key] ? raw[key].size : 0;
+    };
+    var memoryStates = {
+      used: bytes('MemTotal') - bytes('MemFree') - bytes('Buffers') - bytes('Cached') - bytes('SReclaimable'),
+      free: bytes('MemFree'),
+      buffers: bytes('Buffers'),
+      cached: bytes('Cached'),
+      slab_reclaimable: bytes('SReclaimable'),
+      slab_unreclaimable: bytes('SUnreclaim'),
+    };
+    Object.keys(memory ? memoryStates : {}).forEach(function(state) {
+      host.sum('system.memory.usage', 'By', 'Reports memory in use by state.', false,
+        { 'system.memory.state': state }, memoryStates[state], boot, now);
+      if (bytes('MemTotal') > 0) {
+        host.gauge('system.memory.utilization', '1', 'Reports memory in use by state, as a fraction of the total.',
+          { 'system.memory.state': state }, memoryStates[state] / bytes('MemTotal'), now);
+      }
+    });
+    if (memory) {
+      host.sum('system.paging.usage', 'By', 'Unix swap or windows pagefile usage.', false,
+        { 'system.paging.state': 'used' }, bytes('SwapTotal') - bytes('SwapFree'), boot, now);
+      host.sum('system.paging.usage', 'By', 'Unix swap or windows pagefile usage.', false,
+        { 'system.paging.state': 'free' }, bytes('SwapFree'), boot, now);
+    }
+
+    // filesystems
+    (df || []).forEach(function(filesystem) {
+      var capacity = filesystem.capacity.size;
+      var used = filesystem.used.size;
+      var states = {
+        used: used,
+        free: filesystem.available.size,
+        // blocks only root can use
+        reserved: filesystem.reserved.size,
+      };
+      Object.keys(states).forEach(function(state) {
+        host.sum('system.filesystem.usage', 'By', 'Reports a filesystem\'s space usage across different states.', false, {
+          'system.device': filesystem.filesystem,
+          'system.filesystem.mountpoint': filesystem.mountPoint,
+          'system.filesystem.type': filesystem.type,
+          'system.filesystem.mode': filesystem.readOnly ? 'ro' : 'rw',
+          'system.filesystem.state': state,
+        }, states[state], boot, now);
+      });
+      if (capacity > 0) {
+        host.gauge('system.filesystem.utilization', '1', 'Fraction of filesystem bytes used.', {
+          'system.device': filesystem.filesystem,
+          'system.filesystem.mountpoint': filesystem.mountPoint,
+        }, used / capacity, now);
+      }
+    });
+
+    // network
+    Object.keys(network ? network.interfaces : {}).forEach(function(name) {
+      var device = network.interfaces[name];
+      [['receive', device.receive], ['transmit', device.transfer]].forEach(function(direction) {
+        var attrs = { 'system.device': name, 'network.io.direction': direction[0] };
+        host.sum('system.network.io', 'By', 'Bytes transmitted and received.', true,
+          attrs, direction[1].bytes, boot, now);
+        host.sum('system.network.packets', '{packet}', 'Packets transmitted and received.', true,
+          attrs, direction[1].packets, boot, now);
+        host.sum('system.network.errors', '{error}', 'Errors encountered.', true,
+          attrs, direction[1].errs, boot, now);
+        host.sum('system.network.dropped', '{packet}', 'Packets dropped.', true,
+          attrs, direction[1].drop, boot, now);
+      });
+    });
+
+    var scope = {
+      name: 'metrinix',
+    };
+    var resourceMetrics = [{
+      resource: { attributes: attributes(self.resource) },
+      scopeMetrics: [{ scope: scope, metrics: host.toArray() }],
+    }];
+
+    // processes, each is a resource of its own
+    Object.keys(ps ? ps.processes : {}).forEach(function(pid) {
+      var process = ps.processes[pid];
+      var start = (boot === null) ? null : boot + (process.raw.starttime / ps.hertz) * 1000;
+      var set = new MetricSet();
+      set.sum('process.cpu.time', 's', 'Total CPU seconds broken down by different CPU modes.', true,
+        { 'cpu.mode': 'user' }, process.raw.utime / ps.hertz, start, now);
+      set.sum('process.cpu.time', 's', 'Total CPU seconds broken down by different CPU modes.', true,
+        { 'cpu.mode': 'system' }, process.raw.stime / ps.hertz, start, now);
+      set.sum('process.memory.usage', 'By', 'The amount of physical memory in use.', false,
+        {}, process.memory.size, start, now);
+      set.sum('process.memory.virtual', 'By', 'The amount of committed virtual memory.', false,
+        {}, process.raw.vsize, start, now);
+      set.sum('process.thread.count', '{thread}', 'Process threads count.', false,
+        {}, process.raw.num_threads, start, now);
+
+      var resource = {};
+      Object.keys(self.resource).forEach(function(key) {
+        resource[key] = self.resource[key];
+      });
+      resource['process.pid'] = parseInt(pid, 10);
+      resource['process.parent_pid'] = process.id.parent;
+      resource['process.executable.name'] = process.executable;
+      resource['process.command_line'] = process.command;
+      resourceMetrics.push({
+        resource: { attributes: attributes(resource) },
+        scopeMetrics: [{ scope: scope, metrics: set.toArray() }],
+      });
+    });
+
+    return MetrinixError.warn({ resourceMetrics: resourceMetrics }, warnings);
+  });
+};
+
+/**
+ * Read the collectors and POST them to the collector.
+ *
+ * @return <Object>defer resolved with the warnings of the request
+ */
+Exporter.prototype.export = function() {
+  var self = this;
+  return self.metrics().then(function(metrics) {
+    var body = JSON.stringify(metrics);
+    var headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+    };
+    Object.keys(self.headers).forEach(function(key) {
+      headers[key] = self.headers[key];
+    });
+
+    var deferred = Q.defer();
+    var request = ((self.endpoint.protocol === 'https:') ? https : http).request({
+      method: 'POST',
+      hostname: self.endpoint.hostname,
+      port: self.endpoint.port,
+      path: self.endpoint.path,
+      headers: headers,
+    }, function(response) {
+      var buffer = '';
+      response.on('data', function(data) {
+        buffer += data;
+      });
+      response.on('end', function() {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          return deferred.resolve(metrics.warnings);
+        }
+        var err = new Error('OTLP export failed with status ' + response.statusCode + ': ' + buffer.trim());
+        err.statusCode = response.statusCode;
+        deferred.reject(err);
+      });
+    });
+    request.on('error', deferred.reject);
+    request.end(body);
+    return deferred.promise;
+  });
+};
+
+/**
+ * Export every ``interval`` milliseconds until ``stop()``. Failures, and the
+ * warnings of partial exports, are passed to ``onError``.
+ *
+ * @param <Number>interval (default 60000)
+ * @param <Function>onError
+ *
+ * @return <Object>Exporter
+ */
+Exporter.prototype.start = function(interval, onError) {
+  var self = this;
+  self.stop();
+  self._timer = setInterval(function() {
+    self.export().then(function(warnings) {
+      if (onError) {
+        warnings.forEach(onError);
+      }
+    }, function(err) {
+      if (onError) {
+        onError(err);
+      }
+    }).done();
+  }, interval || 60000);
+  return self;
+};
+
+Exporter.prototype.stop = function() {
+  if (this._timer) {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+  return this;
+};
+
+module.exports = {
+  attributes: attributes,
+  Exporter: Exporter,
+};
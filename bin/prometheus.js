@@ -0,0 +1,319 @@
+var Q = require('q');
+var url = require('url');
+
+
+/**
+ * Escape a label value for the text exposition format.
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Escape HELP text for the text exposition format.
+ */
+function escapeHelp(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value the way Prometheus expects it.
+ */
+function formatValue(value) {
+  if (isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+}
+
+
+/**
+ * A set of metric families, rendered in the text exposition format.
+ *
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+function Registry() {
+  this.families = {};
+  this.order = [];
+}
+
+/**
+ * Add a sample to a metric family, declaring the family the first time.
+ *
+ * @param <String>name
+ * @param <String>type counter or gauge
+ * @param <String>help
+ * @param <Object>labels
+ * @param <Number>value
+ */
+Registry.prototype.add = function(name, type, help, labels, value) {
+  if (typeof(value) !== 'number') {
+    return;
+  }
+  if (!this.families[name]) {
+    this.families[name] = {
+      type: type,
+      help: help,
+      samples: [],
+    };
+    this.order.push(name);
+  }
+  this.families[name].samples.push({
+    labels: labels || {},
+    value: value,
+  });
+};
+
+Registry.prototype.render = function() {
+  var self = this;
+  var lines = [];
+  self.order.forEach(function(name) {
+    var family = self.families[name];
+    lines.push('# HELP ' + name + ' ' + escapeHelp(family.help));
+    lines.push('# TYPE ' + name + ' ' + family.type);
+    family.samples.forEach(function(sample) {
+      var labels = Object.keys(sample.labels).map(function(label) {
+        return label + '="' + escapeLabel(sample.labels[label]) + '"';
+      });
+      lines.push(name + (labels.length ? '{' + labels.join(',') + '}' : '') + ' ' + formatValue(sample.value));
+    });
+  });
+  return lines.join('\n') + '\n';
+};
+
+
+/**
+ * The cpu modes of ``/proc/stat``, named the way node_exporter labels them.
+ */
+var cpuModes = {
+  user: 'user',
+  nice: 'nice',
+  system: 'system',
+  idle: 'idle',
+  iowait: 'iowait',
+  irq: 'irq',
+  softirq: 'softirq',
+  steal: 'steal',
+};
+
+/**
+ * Each collector reads from metrinix and adds its metrics to the registry.
+ * The metric names follow node_exporter; per-process metrics follow the
+ * process metrics of the Prometheus client libraries, with a ``pid`` label.
+ */
+var collectors = {
+  cpuUsage: function(metrinix, registry) {
+    return Q.all([
+      metrinix.cpuUsage.snapshot(),
+      metrinix._getconf('CLK_TCK'),
+    ]).then(function(results) {
+      var stat = results[0];
+      var hertz = parseInt(results[1], 10);
+      stat.cores.forEach(function(core) {
+        Object.keys(cpuModes).forEach(function(mode) {
+          registry.add('node_cpu_seconds_total', 'counter',
+            'Seconds the CPUs spent in each mode.',
+            { cpu: String(core.core), mode: cpuModes[mode] },
+            core.times[mode] / hertz);
+        });
+      });
+      stat.cores.forEach(function(core) {
+        registry.add('node_cpu_guest_seconds_total', 'counter',
+          'Seconds the CPUs spent in guests (VMs) for each mode.',
+          { cpu: String(core.core), mode: 'user' },
+          core.times.guest / hertz);
+        registry.add('node_cpu_guest_seconds_total', 'counter',
+          'Seconds the CPUs spent in guests (VMs) for each mode.',
+          { cpu: String(core.core), mode: 'nice' },
+          core.times.guest_nice / hertz);
+      });
+    });
+  },
+
+  memory: function(metrinix, registry) {
+    return metrinix.memory().then(function(memory) {
+      Object.keys(memory.raw).forEach(function(key) {
+        var entry = memory.raw[key];
+        // Active(anon) becomes node_memory_Active_anon_bytes
+        var name = 'node_memory_' + key.replace(/\((.*)\)/, '_$1').replace(/[^a-zA-Z0-9_]/g, '_');
+        if (entry.unit === 'B') {
+          registry.add(name + '_bytes', 'gauge',
+            'Memory information field ' + key + '_bytes.', {}, entry.size);
+        } else {
+          registry.add(name, 'gauge',
+            'Memory information field ' + key + '.', {}, entry.size);
+        }
+      });
+    });
+  },
+
+  df: function(metrinix, registry) {
+    return metrinix.df().then(function(filesystems) {
+      filesystems.forEach(function(filesystem) {
+        var labels = {
+          device: filesystem.filesystem,
+          fstype: filesystem.type,
+          mountpoint: filesystem.mountPoint,
+        };
+        registry.add('node_filesystem_size_bytes', 'gauge',
+          'Filesystem size in bytes.', labels, filesystem.capacity.size);
+        registry.add('node_filesystem_free_bytes', 'gauge',
+          'Filesystem free space in bytes.', labels, filesystem.free.size);
+        registry.add('node_filesystem_avail_bytes', 'gauge',
+          'Filesystem space available to non-root users in bytes.', labels, filesystem.available.size);
+        registry.add('node_filesystem_files', 'gauge',
+          'Filesystem total file nodes.', labels, filesystem.inodes.total);
+        registry.add('node_filesystem_files_free', 'gauge',
+          'Filesystem total free file nodes.', labels, filesystem.inodes.free);
+        registry.add('node_filesystem_readonly', 'gauge',
+          'Filesystem read-only status.', labels, filesystem.readOnly ? 1 : 0);
+      });
+    });
+  },
+
+  network: function(metrinix, registry) {
+    return metrinix.network.snapshot().then(function(network) {
+      Object.keys(network.interfaces).forEach(function(name) {
+        var device = network.interfaces[name];
+        var labels = { device: name };
+        Object.keys(device.receive).forEach(function(field) {
+          registry.add('node_network_receive_' + field + '_total', 'counter',
+            'Network device statistic receive_' + field + '.', labels, device.receive[field]);
+        });
+        Object.keys(device.transfer).forEach(function(field) {
+          registry.add('node_network_transmit_' + field + '_total', 'counter',
+            'Network device statistic transmit_' + field + '.', labels, device.transfer[field]);
+        });
+      });
+    });
+  },
+
+  loadAvg: function(metrinix, registry) {
+    return metrinix.loadAvg().then(function(load) {
+      registry.add('node_load1', 'gauge', '1m load average.', {}, load.min1);
+      registry.add('node_load5', 'gauge', '5m load average.', {}, load.min5);
+      registry.add('node_load15', 'gauge', '15m load average.', {}, load.min15);
+    });
+  },
+
+  uptime: function(metrinix, registry) {
+    return metrinix.uptime().then(function(uptime) {
+      var now = metrinix._clock.now() / 1000;
+      registry.add('node_boot_time_seconds', 'gauge',
+        'Node boot time, in unixtime.', {}, Math.round(now - uptime.up));
+      registry.add('node_time_seconds', 'gauge',
+        'System time in seconds since epoch (1970).', {}, now);
+    });
+  },
+
+  ps: function(metrinix, registry) {
+    return metrinix.ps.snapshot().then(function(ps) {
+      var bootTime = null;
+      return metrinix.uptime().then(function(uptime) {
+        bootTime = (ps.time / 1000) - uptime.up;
+      }, function() {
+        // without the boot time there is no start time, the rest still stands
+      }).then(function() {
+        Object.keys(ps.processes).forEach(function(pid) {
+          var process = ps.processes[pid];
+          var labels = {
+            pid: pid,
+            executable: process.executable,
+          };
+          registry.add('process_cpu_seconds_total', 'counter',
+            'Total user and system CPU time spent in seconds.', labels,
+            (process.raw.utime + process.raw.stime) / ps.hertz);
+          registry.add('process_resident_memory_bytes', 'gauge',
+            'Resident memory size in bytes.', labels, process.memory.size);
+          registry.add('process_virtual_memory_bytes', 'gauge',
+            'Virtual memory size in bytes.', labels, process.raw.vsize);
+          registry.add('process_threads', 'gauge',
+            'Number of OS threads in the process.', labels, process.raw.num_threads);
+          if (bootTime !== null) {
+            registry.add('process_start_time_seconds', 'gauge',
+              'Start time of the process since unix epoch in seconds.', labels,
+              bootTime + (process.raw.starttime / ps.hertz));
+          }
+        });
+      });
+    });
+  },
+};
+
+/**
+ * Collect the metrics of the given collectors and render them in the text
+ * exposition format. A collector which fails is left out and reported through
+ * ``metrinix_scrape_collector_success``.
+ *
+ * @param <Object>metrinix
+ * @param <Array>names collector names (default all)
+ *
+ * @return <Object>defer
+ */
+function metrics(metrinix, names) {
+  names = names || Object.keys(collectors);
+  var registry = new Registry();
+  return Q.allSettled(names.map(function(name) {
+    if (!collectors[name]) {
+      return Q.reject(new Error('Unknown collector: ' + name));
+    }
+    return collectors[name](metrinix, registry);
+  })).then(function(results) {
+    results.forEach(function(result, offset) {
+      registry.add('metrinix_scrape_collector_success', 'gauge',
+        'Whether a collector succeeded.', { collector: names[offset] },
+        (result.state === 'fulfilled') ? 1 : 0);
+    });
+    return registry.render();
+  });
+}
+
+/**
+ * Create an HTTP request handler which serves the metrics at ``path``.
+ *
+ * @param <Object>metrinix
+ * @param <Object>options
+ *    path: the path to serve the metrics on (default '/metrics')
+ *    collectors: collector names (default all)
+ *
+ * @return <Function>
+ */
+function handler(metrinix, options) {
+  options = options || {};
+  var path = options.path || '/metrics';
+
+  var handle = function(req, res, next) {
+    if (url.parse(req.url).pathname !== path || (req.method !== 'GET' && req.method !== 'HEAD')) {
+      if (typeof(next) === 'function') {
+        return next();
+      }
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not Found\n');
+    }
+
+    metrics(metrinix, options.collectors).then(function(body) {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    }, function(err) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(String(err && err.message || err) + '\n');
+    }).done();
+  };
+  handle.metrics = function() {
+    return metrics(metrinix, options.collectors);
+  };
+  return handle;
+}
+
+module.exports = {
+  Registry: Registry,
+  collectors: collectors,
+  metrics: metrics,
+  handler: handler,
+};
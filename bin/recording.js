@@ -0,0 +1,124 @@
+var Q = require('q');
+var fs = require('fs');
+var MetrinixError = require('./metrinixError.js');
+
+
+/**
+ * Write every sample a watcher emits to a stream, one JSON line each, in the
+ * shape of the ``sample`` event: ``{ "time": ..., "data": { ... } }``. The
+ * warnings of partial results, left out of their JSON, are written by
+ * collector as ``"warnings": { "ps": [ { code, message, source } ] }``.
+ *
+ * @param <Object>watcher
+ * @param <Object>stream eg. fs.createWriteStream('host.jsonl', { flags: 'a' })
+ *
+ * @return <Object>Watcher
+ */
+function record(watcher, stream) {
+  watcher.on('sample', function(sample) {
+    var line = {
+      time: sample.time,
+      data: sample.data,
+    };
+    Object.keys(sample.data).forEach(function(collector) {
+      var warnings = (sample.data[collector] || {}).warnings;
+      if (warnings && warnings.length > 0) {
+        line.warnings = line.warnings || {};
+        line.warnings[collector] = warnings;
+      }
+    });
+    stream.write(JSON.stringify(line) + '\n');
+  });
+  return watcher;
+}
+
+
+/**
+ * Samples read back from a file written by ``record()``. Each collector reads
+ * its own results in the order they were recorded, skipping samples without
+ * it.
+ *
+ * @param <String>file
+ * @param <Object>options
+ *    loop: start over from the first result at the end (default false)
+ */
+function Recording(file, options) {
+  options = options || {};
+  this.file = file;
+  this.loop = !!options.loop;
+  this._samples = null;
+  this._cursors = {};
+}
+
+/**
+ * Read the samples, once.
+ *
+ * @return <Object>defer, resolved with the list of ``{ time, data }``
+ */
+Recording.prototype.samples = function() {
+  var file = this.file;
+  if (!this._samples) {
+    this._samples = Q.nfcall(fs.readFile, file, 'utf8').fail(function(err) {
+      throw MetrinixError.read(file, err);
+    }).then(function(data) {
+      var samples = [];
+      data.split('\n').forEach(function(line, offset) {
+        if (line.trim() === '') {
+          return true;
+        }
+        var sample;
+        try {
+          sample = JSON.parse(line);
+        } catch (err) {
+          throw MetrinixError.parse(file, 'line ' + (offset + 1) + ': ' + err.message, err);
+        }
+        if (!sample || typeof(sample.time) !== 'number' || !sample.data || typeof(sample.data) !== 'object') {
+          throw MetrinixError.parse(file, 'line ' + (offset + 1) + ': expected { time, data }');
+        }
+        samples.push(sample);
+      });
+      return samples;
+    });
+  }
+  return this._samples;
+};
+
+/**
+ * Read the next recorded result of a collector, with the warnings recorded
+ * along with it.
+ *
+ * @param <String>collector
+ *
+ * @return <Object>defer
+ */
+Recording.prototype.next = function(collector) {
+  var self = this;
+  return self.samples().then(function(samples) {
+    var cursor = self._cursors[collector] || 0;
+    for (var pass = 0; pass < (self.loop ? 2 : 1); pass++) {
+      for (; cursor < samples.length; cursor++) {
+        var result = samples[cursor].data[collector];
+        if (typeof(result) !== 'undefined') {
+          self._cursors[collector] = cursor + 1;
+          var warnings = (samples[cursor].warnings || {})[collector];
+          return (result && typeof(result) === 'object' && warnings) ?
+            MetrinixError.warn(result, warnings.map(MetrinixError.fromJSON)) : result;
+        }
+      }
+      cursor = 0;
+    }
+    throw new MetrinixError('EREAD', 'No more ' + collector + ' results in ' + self.file, { source: self.file });
+  });
+};
+
+/**
+ * Start every collector over from its first result.
+ */
+Recording.prototype.rewind = function() {
+  this._cursors = {};
+};
+
+module.exports = {
+  record: record,
+  Recording: Recording,
+};
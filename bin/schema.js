@@ -0,0 +1,209 @@
+var Watcher = require('./watcher.js');
+
+
+/**
+ * The JSON Schemas of the collector results, by version. A version only
+ * changes when a result changes shape in a way existing consumers would
+ * break on: a field removed, renamed, retyped or given another unit.
+ */
+var versions = {
+  1: load('v1'),
+  2: load('v2'),
+};
+
+/**
+ * The version of the results this metrinix returns.
+ */
+var version = 2;
+
+function load(directory) {
+  var schemas = {};
+  Watcher.collectors.forEach(function(name) {
+    schemas[name] = require('../schemas/' + directory + '/' + name + '.json');
+  });
+  return schemas;
+}
+
+function typeOf(value) {
+  if (value === null || typeof(value) === 'undefined') {
+    // empty array slots are null once in JSON
+    return 'null';
+  } else if (Array.isArray(value)) {
+    return 'array';
+  } else if (typeof(value) === 'number') {
+    if (!isFinite(value)) {
+      // NaN and Infinity are null once in JSON
+      return 'null';
+    }
+    return (value % 1 === 0) ? 'integer' : 'number';
+  }
+  return typeof(value);
+}
+
+function resolve(root, ref) {
+  var match = /^#\/definitions\/(.+)$/.exec(ref);
+  if (!match || !root.definitions || !root.definitions[match[1]]) {
+    throw new Error('Unknown schema reference: ' + ref);
+  }
+  return root.definitions[match[1]];
+}
+
+/**
+ * Check a value against a schema, pushing ``{ path, message }`` onto
+ * ``errors`` for each mismatch. Only the keywords the metrinix schemas use
+ * are supported.
+ */
+function check(root, schema, value, path, errors) {
+  if (schema.$ref) {
+    return check(root, resolve(root, schema.$ref), value, path, errors);
+  }
+
+  var type = typeOf(value);
+  if (schema.type) {
+    var types = [].concat(schema.type);
+    var matches = types.some(function(expected) {
+      return expected === type || (expected === 'number' && type === 'integer');
+    });
+    if (!matches) {
+      errors.push({ path: path, message: 'expected ' + types.join(' or ') + ', found ' + type });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(function(allowed) { return allowed === value; })) {
+    errors.push({ path: path, message: 'expected one of ' + JSON.stringify(schema.enum) + ', found ' + JSON.stringify(value) });
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(function(sub) {
+      check(root, sub, value, path, errors);
+    });
+  }
+
+  if (schema.anyOf) {
+    // report the mismatches of the closest shape
+    var closest = null;
+    schema.anyOf.some(function(sub) {
+      var subErrors = check(root, sub, value, path, []);
+      if (!closest || subErrors.length < closest.length) {
+        closest = subErrors;
+      }
+      return subErrors.length === 0;
+    });
+    closest.forEach(function(error) {
+      errors.push(error);
+    });
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (typeof(schema.minimum) === 'number' && value < schema.minimum) {
+      errors.push({ path: path, message: 'expected at least ' + schema.minimum + ', found ' + value });
+    }
+    if (typeof(schema.maximum) === 'number' && value > schema.maximum) {
+      errors.push({ path: path, message: 'expected at most ' + schema.maximum + ', found ' + value });
+    }
+  }
+
+  if (type === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path: path, message: 'expected to match ' + schema.pattern + ', found ' + JSON.stringify(value) });
+  }
+
+  if (type === 'array') {
+    if (typeof(schema.minItems) === 'number' && value.length < schema.minItems) {
+      errors.push({ path: path, message: 'expected at least ' + schema.minItems + ' items, found ' + value.length });
+    }
+    if (typeof(schema.maxItems) === 'number' && value.length > schema.maxItems) {
+      errors.push({ path: path, message: 'expected at most ' + schema.maxItems + ' items, found ' + value.length });
+    }
+    if (schema.items) {
+      // a plain loop, so that empty slots are checked too
+      for (var offset = 0; offset < value.length; offset++) {
+        check(root, schema.items, value[offset], path + '[' + offset + ']', errors);
+      }
+    }
+  }
+
+  if (type === 'object') {
+    (schema.required || []).forEach(function(key) {
+      if (typeof(value[key]) === 'undefined') {
+        errors.push({ path: path + '.' + key, message: 'is missing' });
+      }
+    });
+    Object.keys(value).forEach(function(key) {
+      if (typeof(value[key]) === 'undefined') {
+        // left out of the JSON
+        return true;
+      }
+      var keyPath = path + '.' + key;
+      if (schema.propertyNames) {
+        check(root, schema.propertyNames, key, keyPath, errors);
+      }
+      var matched = false;
+      if (schema.properties && schema.properties[key]) {
+        matched = true;
+        check(root, schema.properties[key], value[key], keyPath, errors);
+      }
+      Object.keys(schema.patternProperties || {}).forEach(function(pattern) {
+        if (new RegExp(pattern).test(key)) {
+          matched = true;
+          check(root, schema.patternProperties[pattern], value[key], keyPath, errors);
+        }
+      });
+      if (!matched) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: keyPath, message: 'is not allowed' });
+        } else if (schema.additionalProperties && typeof(schema.additionalProperties) === 'object') {
+          check(root, schema.additionalProperties, value[key], keyPath, errors);
+        }
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Check the result of a collector against its JSON Schema.
+ *
+ * @example
+ *    > validate('loadAvg', { min1: 0.5, min5: '0.4', raw: [0.5, 0.4, 0.3] });
+ *    {
+ *      "valid": false,
+ *      "errors": [
+ *        { "path": "loadAvg.min15", "message": "is missing" },
+ *        { "path": "loadAvg.min5", "message": "expected number, found string" }
+ *      ]
+ *    }
+ *
+ * @param <String>collector
+ * @param <Object>value the result, or its JSON
+ * @param <Object>options
+ *    version: the version of the schemas to check against (default the
+ *        current one)
+ *
+ * @return <Object>
+ */
+function validate(collector, value, options) {
+  options = options || {};
+  var schemas = versions[options.version || version];
+  if (!schemas) {
+    throw new Error('Unknown schema version: ' + options.version);
+  }
+  if (!schemas[collector]) {
+    throw new Error('Unknown collector: ' + collector);
+  }
+  if (typeof(value) === 'string') {
+    value = JSON.parse(value);
+  }
+  var errors = check(schemas[collector], schemas[collector], value, collector, []);
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+  };
+}
+
+module.exports = {
+  validate: validate,
+  versions: versions,
+  version: version,
+};
@@ -0,0 +1,388 @@
+var Q = require('q');
+var url = require('url');
+var http = require('http');
+var stream = require('./stream.js');
+var dashboard = require('./dashboard.js');
+var MetrinixError = require('./metrinixError.js');
+
+
+/**
+ * Create an error which is answered with the given HTTP status.
+ */
+function httpError(status, message) {
+  var err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Look up a dotted path, eg. ``cpu.totalPercent``, in an object.
+ */
+function get(object, path) {
+  return path.split('.').reduce(function(value, key) {
+    return (value !== null && typeof(value) === 'object') ? value[key] : undefined;
+  }, object);
+}
+
+/**
+ * Set a dotted path in an object, creating the objects on the way.
+ */
+function set(object, path, value) {
+  var keys = path.split('.');
+  var last = keys.pop();
+  keys.reduce(function(target, key) {
+    if (!target[key] || typeof(target[key]) !== 'object') {
+      target[key] = {};
+    }
+    return target[key];
+  }, object)[last] = value;
+  return object;
+}
+
+/**
+ * Keep only the given dotted paths of an object.
+ */
+function select(object, fields) {
+  var result = {};
+  fields.forEach(function(field) {
+    var value = get(object, field);
+    if (typeof(value) !== 'undefined') {
+      set(result, field, value);
+    }
+  });
+  return result;
+}
+
+/**
+ * Check that no query parameter is given more than once, as a repeated one
+ * is parsed into a list.
+ */
+function single(query) {
+  Object.keys(query).forEach(function(name) {
+    if (typeof(query[name]) !== 'string') {
+      throw httpError(400, 'Invalid ' + name + ': given more than once');
+    }
+  });
+}
+
+/**
+ * Read a positive integer query parameter.
+ */
+function integer(query, name, fallback) {
+  if (typeof(query[name]) === 'undefined' || query[name] === '') {
+    return fallback;
+  }
+  var value = Number(query[name]);
+  if (!isFinite(value) || value < 0 || value % 1 !== 0) {
+    throw httpError(400, 'Invalid ' + name + ': ' + query[name]);
+  }
+  return value;
+}
+
+/**
+ * Read the options of a rate-based collector from the query.
+ */
+function rateOptions(query, reading) {
+  var interval = integer(query, 'interval', 1000);
+  if (interval > 60000) {
+    throw httpError(400, 'Invalid interval: ' + query.interval + ' (at most 60000)');
+  }
+  return { interval: interval, signal: reading.signal, timeout: reading.timeout };
+}
+
+/**
+ * Apply ``sort``, ``order``, ``offset``, ``limit`` and ``fields`` from the
+ * query to a result. Sorting and paging only apply to lists.
+ */
+function shape(result, query) {
+  var fields = query.fields ? String(query.fields).split(',').filter(Boolean) : null;
+
+  if (Array.isArray(result)) {
+    if (query.sort) {
+      var order = query.order || 'desc';
+      if (order !== 'asc' && order !== 'desc') {
+        throw httpError(400, 'Invalid order: ' + order + ' (asc or desc)');
+      }
+      var direction = (order === 'asc') ? 1 : -1;
+      result = result.slice().sort(function(a, b) {
+        var left = get(a, query.sort);
+        var right = get(b, query.sort);
+        if (left === right) {
+          return 0;
+        }
+        // entries without the field go last either way
+        if (typeof(left) === 'undefined') {
+          return 1;
+        }
+        if (typeof(right) === 'undefined') {
+          return -1;
+        }
+        return (left < right ? -1 : 1) * direction;
+      });
+    }
+    var offset = integer(query, 'offset', 0);
+    var limit = integer(query, 'limit', null);
+    result = result.slice(offset, (limit === null) ? undefined : offset + limit);
+    if (fields) {
+      result = result.map(function(entry) {
+        return select(entry, fields);
+      });
+    }
+    return result;
+  }
+
+  return fields ? select(result, fields) : result;
+}
+
+/**
+ * Turn the process map of ``ps()`` into a list, which can be sorted.
+ */
+function processList(processes) {
+  return MetrinixError.warn(Object.keys(processes).map(function(pid) {
+    return processes[pid];
+  }), processes.warnings || []);
+}
+
+/**
+ * The routes of the API. Each reads from metrinix given the query, the
+ * matches of its pattern and the ``{ signal, timeout }`` to read with.
+ */
+var routes = [
+  {
+    pattern: /^\/cpu$/,
+    collect: function(metrinix, query, matches, reading) {
+      return metrinix.cpuUsage(rateOptions(query, reading));
+    },
+  },
+  {
+    pattern: /^\/memory$/,
+    collect: function(metrinix, query, matches, reading) {
+      return metrinix.memory(reading);
+    },
+  },
+  {
+    pattern: /^\/disk$/,
+    collect: function(metrinix, query, matches, reading) {
+      return metrinix.df(reading);
+    },
+  },
+  {
+    pattern: /^\/network$/,
+    collect: function(metrinix, query, matches, reading) {
+      return metrinix.network(rateOptions(query, reading));
+    },
+  },
+  {
+    pattern: /^\/load$/,
+    collect: function(metrinix, query, matches, reading) {
+      return metrinix.loadAvg(reading);
+    },
+  },
+  {
+    pattern: /^\/uptime$/,
+    collect: function(metrinix, query, matches, reading) {
+      return metrinix.uptime(reading);
+    },
+  },
+  {
+    pattern: /^\/processes$/,
+    collect: function(metrinix, query, matches, reading) {
+      return metrinix.ps(rateOptions(query, reading)).then(processList);
+    },
+  },
+  {
+    pattern: /^\/processes\/([0-9]+)$/,
+    collect: function(metrinix, query, matches, reading) {
+      return metrinix.ps(rateOptions(query, reading)).then(function(processes) {
+        if (!processes[matches[1]]) {
+          throw httpError(404, 'No such process: ' + matches[1]);
+        }
+        return processes[matches[1]];
+      });
+    },
+  },
+];
+
+/**
+ * The most warnings sent in a header: a ps() of a busy host can have one for
+ * every process, which would go past the header size clients accept.
+ */
+var MAX_WARNINGS = 10;
+
+/**
+ * Send the warnings of a partial result, which are left out of its JSON, as
+ * a ``Metrinix-Warnings`` header holding the JSON of the first few, and a
+ * ``Metrinix-Warnings-Count`` header with how many there are.
+ */
+function warn(res, warnings) {
+  if (warnings && warnings.length > 0) {
+    res.setHeader('Metrinix-Warnings-Count', String(warnings.length));
+    var json = JSON.stringify(warnings.slice(0, MAX_WARNINGS));
+    // headers only take ASCII
+    res.setHeader('Metrinix-Warnings', json.replace(/[\u007f-\uffff]/g, function(character) {
+      return '\\u' + ('000' + character.charCodeAt(0).toString(16)).slice(-4);
+    }));
+  }
+}
+
+/**
+ * Send a JSON response.
+ */
+function respond(res, status, body) {
+  var json = JSON.stringify(body, null, 2) + '\n';
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    'Cache-Control': 'no-store',
+  });
+  res.end(json);
+}
+
+/**
+ * Create an HTTP request handler serving the collectors as JSON. Requests for
+ * other paths are passed to ``next()`` when given one (connect/express), and
+ * answered with a 404 otherwise.
+ *
+ * The warnings of a partial result, eg. processes which couldn't be read,
+ * are sent in a ``Metrinix-Warnings`` header as a JSON list of ``{ code,
+ * message, source }``, holding the first 10, and their number in a
+ * ``Metrinix-Warnings-Count`` header.
+ *
+ * Query parameters:
+ *    fields: comma separated dotted paths to return, eg. 'id.process,cpu.totalPercent'
+ *    sort: dotted path to sort a list by, eg. 'cpu.totalPercent'
+ *    order: 'desc' (default) or 'asc'
+ *    limit, offset: page through a list
+ *    interval: milliseconds between the readings of rate-based routes
+ *
+ * @param <Object>metrinix
+ * @param <Object>options
+ *    prefix: path prefix for the routes, eg. '/api' (default '')
+ *    timeout: milliseconds before giving up on a reading with a 504, eg.
+ *      when df hangs on a mount (default never)
+ *
+ * @return <Function>
+ */
+function handler(metrinix, options) {
+  options = options || {};
+  var prefix = (options.prefix || '').replace(/\/$/, '');
+
+  return function(req, res, next) {
+    var location = url.parse(req.url, true);
+    var pathname = location.pathname.replace(/\/$/, '') || '/';
+    var route = null;
+    var matches = null;
+    if (pathname.indexOf(prefix) === 0) {
+      routes.some(function(candidate) {
+        matches = candidate.pattern.exec(pathname.substr(prefix.length));
+        route = matches ? candidate : null;
+        return !!route;
+      });
+    }
+
+    if (!route) {
+      if (typeof(next) === 'function') {
+        return next();
+      }
+      return respond(res, 404, { error: { status: 404, message: 'Not found: ' + pathname } });
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return respond(res, 405, { error: { status: 405, message: 'Method not allowed: ' + req.method } });
+    }
+
+    // stop reading once the client has gone away
+    var controller = new AbortController();
+    res.on('close', function() {
+      if (!res.writableEnded) {
+        controller.abort();
+      }
+    });
+
+    Q.fcall(function() {
+      single(location.query);
+      return route.collect(metrinix, location.query, matches, {
+        signal: controller.signal,
+        timeout: options.timeout,
+      });
+    }).then(function(result) {
+      warn(res, result && result.warnings);
+      respond(res, 200, shape(result, location.query));
+    }).fail(function(err) {
+      var status = err.status || ((err.code === 'ETIMEOUT') ? 504 : 500);
+      respond(res, status, {
+        error: {
+          status: status,
+          message: err.message || String(err),
+        },
+      });
+    }).done();
+  };
+}
+
+/**
+ * Start an HTTP server with the API and, unless ``stream`` is false, the live
+ * stream at ``<prefix>/stream`` over Server-Sent Events and WebSocket. With
+ * ``dashboard`` set, a page charting the stream is served at
+ * ``<prefix>/dashboard``.
+ *
+ * @param <Object>metrinix
+ * @param <Object>options
+ *    port: the port to listen on (default 8080)
+ *    host: the address to listen on (default all)
+ *    prefix: path prefix for the routes (default '')
+ *    stream: serve the live stream (default true)
+ *    dashboard: serve the dashboard page, which needs the stream (default false)
+ *    timeout: milliseconds before giving up on a reading (default never)
+ *
+ * @return <Object>http.Server
+ */
+function serve(metrinix, options) {
+  options = options || {};
+  var prefix = (options.prefix || '').replace(/\/$/, '');
+  var handlers = [handler(metrinix, options)];
+  var hub = null;
+
+  if (options.stream !== false) {
+    hub = new stream.Hub(metrinix);
+    handlers.push(stream.handler(hub, { path: prefix + '/stream' }));
+  }
+  if (options.dashboard) {
+    if (!hub) {
+      throw new Error('The dashboard needs the stream, it can\'t be served with stream: false');
+    }
+    handlers.push(dashboard.handler({ path: prefix + '/dashboard' }));
+  }
+
+  var server = http.createServer(function(req, res) {
+    // try each handler in turn, until one of them answers
+    var next = function(offset) {
+      if (offset >= handlers.length) {
+        return respond(res, 404, { error: { status: 404, message: 'Not found: ' + url.parse(req.url).pathname } });
+      }
+      handlers[offset](req, res, function() {
+        next(offset + 1);
+      });
+    };
+    next(0);
+  });
+
+  if (hub) {
+    server.on('upgrade', stream.upgrade(hub, { path: prefix + '/stream' }));
+    server.on('close', function() {
+      hub.close();
+    });
+  }
+
+  server.listen((typeof(options.port) === 'number') ? options.port : 8080, options.host);
+  return server;
+}
+
+module.exports = {
+  routes: routes,
+  handler: handler,
+  serve: serve,
+  httpError: httpError,
+  get: get,
+  respond: respond,
+};
@@ -0,0 +1,262 @@
+var Q = require('q');
+var os = require('os');
+var flatten = require('./flatten.js');
+var udp = require('./udp.js');
+
+
+/**
+ * Make a value safe for use as a segment of a statsd metric name. Mount points
+ * lose their slashes, so ``/`` becomes ``root`` and ``/var/lib`` ``var_lib``.
+ */
+function sanitize(value) {
+  value = String(value).replace(/^\/+|\/+$/g, '');
+  if (value === '') {
+    return 'root';
+  }
+  return value.replace(/[^a-zA-Z0-9_\-]/g, '_');
+}
+
+/**
+ * Make a value safe for use in a DogStatsD tag.
+ */
+function sanitizeTag(value) {
+  return String(value).replace(/[,|#\s]/g, '_');
+}
+
+/**
+ * Add the numeric values of an object to a list of gauges.
+ */
+function gauges(list, collector, value, tags, identity) {
+  var paths = flatten('', value);
+  Object.keys(paths).forEach(function(path) {
+    list.push({
+      collector: collector,
+      path: path,
+      value: paths[path],
+      tags: tags || {},
+      identity: identity,
+    });
+  });
+  return list;
+}
+
+/**
+ * Break a collector result down into gauges. ``identity`` lists the name
+ * segments of what a gauge is about (a mount point, interface, process or
+ * core); it is folded into the metric name for plain statsd, DogStatsD gets
+ * ``tags`` instead.
+ *
+ * @param <String>collector
+ * @param <Object>result
+ *
+ * @return <Array>
+ */
+function metrics(collector, result) {
+  var list = [];
+  switch (collector) {
+    case 'df':
+      result.forEach(function(filesystem) {
+        gauges(list, collector, filesystem, {
+          mount: filesystem.mountPoint,
+          device: filesystem.filesystem,
+        }, [filesystem.mountPoint]);
+      });
+      break;
+    case 'network':
+      Object.keys(result.interfaces).forEach(function(name) {
+        gauges(list, collector, result.interfaces[name], {
+          interface: name,
+          type: result.interfaces[name].type,
+        }, [name]);
+      });
+      break;
+    case 'ps':
+      Object.keys(result).forEach(function(pid) {
+        var process = result[pid];
+        gauges(list, collector, {
+          cpu: process.cpu,
+          memory: process.memory,
+        }, {
+          process: process.executable,
+          pid: pid,
+        }, [process.executable, pid]);
+      });
+      break;
+    case 'cpuUsage':
+      gauges(list, collector, result.total, {
+        core: 'total',
+      }, ['total']);
+      result.cores.forEach(function(core) {
+        var values = {};
+        Object.keys(core).forEach(function(key) {
+          if (key !== 'core') {
+            values[key] = core[key];
+          }
+        });
+        gauges(list, collector, values, {
+          core: String(core.core),
+        }, ['core' + core.core]);
+      });
+      break;
+    default:
+      gauges(list, collector, result);
+  }
+  return list;
+}
+
+
+/**
+ * Sends collector results as gauges to a statsd agent over UDP.
+ *
+ * @param <Object>metrinix
+ * @param <Object>options
+ *    host: the statsd host (default 'localhost')
+ *    port: the statsd port (default 8125)
+ *    prefix: prepended to every metric name (default 'metrinix.<hostname>.')
+ *    sampleRate: the share of gauges to send, 0 to 1 (default 1)
+ *    dogstatsd: send interface, mount and process names as DogStatsD tags
+ *      instead of folding them into the metric name (default false)
+ *    tags: extra DogStatsD tags for every gauge, eg. { env: 'production' }
+ *    payloadSize: the most bytes per datagram (default 1432)
+ */
+function Client(metrinix, options) {
+  options = options || {};
+  this.metrinix = metrinix;
+  this.host = options.host || 'localhost';
+  this.port = options.port || 8125;
+  this.dogstatsd = !!options.dogstatsd;
+  this.prefix = (typeof(options.prefix) === 'string')
+    ? options.prefix
+    : 'metrinix.' + (this.dogstatsd ? '' : sanitize(os.hostname()) + '.');
+  this.sampleRate = (typeof(options.sampleRate) === 'number') ? options.sampleRate : 1;
+  this.tags = options.tags || {};
+  this.payloadSize = options.payloadSize || 1432;
+  this._socket = null;
+}
+
+/**
+ * Format a gauge as statsd lines. A negative gauge has to be reset to 0 first
+ * as statsd reads a leading sign as a change to the current value.
+ */
+Client.prototype._lines = function(gauge) {
+  var self = this;
+  var name = self.prefix + gauge.collector + '.';
+  if (!self.dogstatsd && typeof(gauge.identity) !== 'undefined') {
+    name += gauge.identity.map(sanitize).join('.') + '.';
+  }
+  name += gauge.path.replace(/[\[\]=]/g, '_');
+
+  var suffix = '|g';
+  if (self.sampleRate < 1) {
+    suffix += '|@' + self.sampleRate;
+  }
+  if (self.dogstatsd) {
+    var tags = [];
+    [self.tags, gauge.tags].forEach(function(set) {
+      Object.keys(set).forEach(function(key) {
+        tags.push(sanitizeTag(key) + ':' + sanitizeTag(set[key]));
+      });
+    });
+    if (tags.length > 0) {
+      suffix += '|#' + tags.join(',');
+    }
+  }
+
+  var lines = [];
+  if (gauge.value < 0) {
+    lines.push(name + ':0' + suffix);
+  }
+  lines.push(name + ':' + gauge.value + suffix);
+  return lines;
+};
+
+/**
+ * Send a collector result.
+ *
+ * @param <String>collector
+ * @param <Object>result
+ *
+ * @return <Object>defer
+ */
+Client.prototype.send = function(collector, result) {
+  var self = this;
+  var lines = [];
+  metrics(collector, result).forEach(function(gauge) {
+    if (self.sampleRate < 1 && Math.random() >= self.sampleRate) {
+      return true;
+    }
+    lines = lines.concat(self._lines(gauge));
+  });
+  if (lines.length === 0) {
+    return Q();
+  }
+  if (!self._socket) {
+    self._socket = udp.socket();
+  }
+  return udp.send(self._socket, lines, self.payloadSize, self.port, self.host);
+};
+
+/**
+ * Send every collector of a ``sample`` event from ``metrinix.watch()``.
+ *
+ * @param <Object>sample
+ *
+ * @return <Object>defer
+ */
+Client.prototype.record = function(sample) {
+  var self = this;
+  return Q.all(Object.keys(sample.data).map(function(collector) {
+    return self.send(collector, sample.data[collector]);
+  }));
+};
+
+/**
+ * Send every sample a watcher emits. Send failures are emitted as ``error``
+ * events on the watcher.
+ *
+ * @param <Object>watcher
+ *
+ * @return <Object>Client
+ */
+Client.prototype.listen = function(watcher) {
+  var self = this;
+  watcher.on('sample', function(sample) {
+    self.record(sample).fail(function(err) {
+      watcher.emit('error', err);
+    }).done();
+  });
+  return self;
+};
+
+/**
+ * Read the given collectors once and send their results.
+ *
+ * @param <Array>collectors collector names (default memory, loadAvg, cpuUsage, df)
+ *
+ * @return <Object>defer
+ */
+Client.prototype.collect = function(collectors) {
+  var self = this;
+  collectors = collectors || ['memory', 'loadAvg', 'cpuUsage', 'df'];
+  return Q.all(collectors.map(function(name) {
+    return self.metrinix[name]().then(function(result) {
+      return self.send(name, result);
+    });
+  }));
+};
+
+/**
+ * Release the UDP socket.
+ */
+Client.prototype.close = function() {
+  if (this._socket) {
+    this._socket.close();
+    this._socket = null;
+  }
+};
+
+module.exports = {
+  metrics: metrics,
+  sanitize: sanitize,
+  Client: Client,
+};
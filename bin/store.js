@@ -0,0 +1,444 @@
+var Q = require('q');
+var fs = require('fs');
+var path = require('path');
+var duration = require('./duration.js');
+var flatten = require('./flatten.js');
+
+
+/**
+ * Identifies a store file, followed by the format version.
+ */
+var MAGIC = 'MRRD';
+var VERSION = 1;
+
+/**
+ * The header is the magic, version, archive count and row size, then the
+ * step and row count of each archive.
+ */
+var HEADER_SIZE = 16;
+var ARCHIVE_HEADER_SIZE = 16;
+
+/**
+ * A row is the start of its interval, the number of values consolidated into
+ * it and the average, min, max and last of them, all as doubles. A row whose
+ * time isn't the interval its slot stands for holds nothing.
+ */
+var ROW_SIZE = 48;
+
+/**
+ * The ways rows consolidate values, in the order they are stored.
+ */
+var consolidations = ['average', 'min', 'max', 'last'];
+
+
+function readRow(buffer, offset) {
+  return {
+    time: buffer.readDoubleLE(offset),
+    count: buffer.readDoubleLE(offset + 8),
+    average: buffer.readDoubleLE(offset + 16),
+    min: buffer.readDoubleLE(offset + 24),
+    max: buffer.readDoubleLE(offset + 32),
+    last: buffer.readDoubleLE(offset + 40),
+  };
+}
+
+function writeRow(row) {
+  var buffer = Buffer.alloc(ROW_SIZE);
+  buffer.writeDoubleLE(row.time, 0);
+  buffer.writeDoubleLE(row.count, 8);
+  buffer.writeDoubleLE(row.average, 16);
+  buffer.writeDoubleLE(row.min, 24);
+  buffer.writeDoubleLE(row.max, 32);
+  buffer.writeDoubleLE(row.last, 40);
+  return buffer;
+}
+
+/**
+ * Read a point in time: milliseconds since epoch, a Date, or a duration
+ * before ``now`` such as '1d'.
+ */
+function pointInTime(value, now) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof(value) === 'number') {
+    return value;
+  }
+  return now - duration(value);
+}
+
+
+/**
+ * A round-robin time series store on disk, in the manner of RRDtool.
+ *
+ * Every metric path gets a file of fixed size holding a set of archives, each
+ * a ring of rows at its own step: by default 10 seconds for a day, a minute
+ * for a week and an hour for a year. Every value recorded is consolidated into
+ * the current row of each archive as its average, min, max and last, so the
+ * files never grow. Rows are written as they change, so a restart loses
+ * nothing already recorded.
+ *
+ * @param <Object>options
+ *    directory: where to keep the files, created if needed
+ *    archives: list of ``{ step, retention }`` durations (default 10s for
+ *      1d, 1m for 1w and 1h for 1y); a store can't change its archives once
+ *      its files exist
+ *    filter: function(path) to choose the metric paths to store (default
+ *      ``Store.filter``)
+ */
+function Store(options) {
+  options = options || {};
+  if (!options.directory) {
+    throw new Error('A store needs a directory');
+  }
+  this.directory = options.directory;
+  this.filter = options.filter || Store.filter;
+  this.archives = (options.archives || Store.archives).map(function(archive) {
+    var step = duration(archive.step);
+    var retention = duration(archive.retention);
+    if (!(step > 0) || !(retention >= step)) {
+      throw new Error('Invalid archive: step ' + archive.step + ', retention ' + archive.retention);
+    }
+    return {
+      step: step,
+      rows: Math.ceil(retention / step),
+    };
+  }).sort(function(a, b) {
+    return a.step - b.step;
+  });
+
+  var offset = HEADER_SIZE + this.archives.length * ARCHIVE_HEADER_SIZE;
+  this.archives.forEach(function(archive) {
+    archive.offset = offset;
+    offset += archive.rows * ROW_SIZE;
+  });
+  this.size = offset;
+
+  this._files = {};
+  this._queues = {};
+  this._rows = {};
+  this._directory = null;
+}
+
+/**
+ * The archives of a store when none are given.
+ */
+Store.archives = [
+  { step: '10s', retention: '1d' },
+  { step: '1m', retention: '1w' },
+  { step: '1h', retention: '1y' },
+];
+
+/**
+ * The metric paths a store keeps when no filter is given: all but those of
+ * processes and of the veth interfaces containers come and go with, as every
+ * pid and container would leave a file behind for good.
+ */
+Store.filter = function(metric) {
+  return !/^ps\./.test(metric) && !/^network\.interfaces\.veth/.test(metric);
+};
+
+/**
+ * The file a metric path is stored in.
+ */
+Store.prototype._filename = function(metric) {
+  return path.join(this.directory, encodeURIComponent(metric) + '.rrd');
+};
+
+/**
+ * The header of a file with this store's archives.
+ */
+Store.prototype._header = function() {
+  var header = Buffer.alloc(HEADER_SIZE + this.archives.length * ARCHIVE_HEADER_SIZE);
+  header.write(MAGIC, 0, 'ascii');
+  header.writeUInt32LE(VERSION, 4);
+  header.writeUInt32LE(this.archives.length, 8);
+  header.writeUInt32LE(ROW_SIZE, 12);
+  this.archives.forEach(function(archive, index) {
+    var offset = HEADER_SIZE + index * ARCHIVE_HEADER_SIZE;
+    header.writeDoubleLE(archive.step, offset);
+    header.writeUInt32LE(archive.rows, offset + 8);
+  });
+  return header;
+};
+
+/**
+ * Run ``task`` once the earlier tasks on the same metric path are done, so
+ * the rows of a file are never read and written at the same time.
+ */
+Store.prototype._queue = function(metric, task) {
+  var self = this;
+  var queued = (self._queues[metric] || Q()).then(task);
+  // a failure is reported to the caller, it doesn't block the next task
+  self._queues[metric] = queued.fail(function() {});
+  return queued;
+};
+
+/**
+ * Open the file of a metric path, creating it with empty archives or checking
+ * an existing one has the same archives as the store.
+ *
+ * @return <Object>defer, resolved with the file descriptor
+ */
+Store.prototype._open = function(metric, create) {
+  var self = this;
+  if (self._files[metric]) {
+    return self._files[metric];
+  }
+  var filename = self._filename(metric);
+  var header = self._header();
+
+  var opened = self._mkdir().then(function() {
+    return Q.nfcall(fs.open, filename, 'r+').fail(function(err) {
+      if (err.code !== 'ENOENT' || !create) {
+        throw err;
+      }
+      // 'wx' so two stores racing to create the file don't both write it
+      return Q.nfcall(fs.open, filename, 'wx+').then(function(fd) {
+        return Q.nfcall(fs.write, fd, header, 0, header.length, 0).then(function() {
+          return Q.nfcall(fs.ftruncate, fd, self.size);
+        }).then(function() {
+          return fd;
+        });
+      });
+    });
+  }).then(function(fd) {
+    var existing = Buffer.alloc(header.length);
+    return Q.nfcall(fs.read, fd, existing, 0, existing.length, 0).then(function() {
+      if (!existing.equals(header)) {
+        fs.close(fd, function() {});
+        throw new Error('The archives of ' + filename + ' differ from those of the store');
+      }
+      return fd;
+    });
+  });
+
+  self._files[metric] = opened;
+  opened.fail(function() {
+    delete self._files[metric];
+  });
+  return opened;
+};
+
+Store.prototype._mkdir = function() {
+  var self = this;
+  if (!self._directory) {
+    self._directory = Q.nfcall(fs.mkdir, self.directory, { recursive: true });
+    self._directory.fail(function() {
+      self._directory = null;
+    });
+  }
+  return self._directory;
+};
+
+/**
+ * Consolidate a value into the current row of each archive of a metric path.
+ */
+Store.prototype._update = function(metric, value, time) {
+  var self = this;
+  return self._open(metric, true).then(function(fd) {
+    var rows = self._rows[metric] = self._rows[metric] || [];
+    return Q.all(self.archives.map(function(archive, index) {
+      var bucket = Math.floor(time / archive.step);
+      var start = bucket * archive.step;
+      var position = archive.offset + (bucket % archive.rows) * ROW_SIZE;
+
+      var current = rows[index];
+      var row = (current && current.time === start) ? Q(current) : Q.fcall(function() {
+        // pick up a row written before a restart
+        var buffer = Buffer.alloc(ROW_SIZE);
+        return Q.nfcall(fs.read, fd, buffer, 0, ROW_SIZE, position).then(function() {
+          var stored = readRow(buffer, 0);
+          return (stored.time === start) ? stored : null;
+        });
+      });
+
+      return row.then(function(row) {
+        if (current && start < current.time) {
+          // rows already moved on are never rewritten
+          return;
+        }
+        if (!row) {
+          row = { time: start, count: 0, average: 0, min: value, max: value, last: value };
+        }
+        row.average = (row.average * row.count + value) / (row.count + 1);
+        row.count++;
+        row.min = Math.min(row.min, value);
+        row.max = Math.max(row.max, value);
+        row.last = value;
+        rows[index] = row;
+        var buffer = writeRow(row);
+        return Q.nfcall(fs.write, fd, buffer, 0, ROW_SIZE, position);
+      });
+    }));
+  });
+};
+
+/**
+ * Record a collector result.
+ *
+ * @param <String>collector
+ * @param <Object>result
+ * @param <Number>time milliseconds since epoch (default now)
+ *
+ * @return <Object>defer
+ */
+Store.prototype.add = function(collector, result, time) {
+  var self = this;
+  time = time || Date.now();
+  var paths = flatten(collector, result);
+  return Q.all(Object.keys(paths).filter(function(metric) {
+    return self.filter(metric);
+  }).map(function(metric) {
+    return self._queue(metric, function() {
+      return self._update(metric, paths[metric], time);
+    });
+  }));
+};
+
+/**
+ * Record a ``sample`` event from ``metrinix.watch()``.
+ *
+ * @param <Object>sample
+ *
+ * @return <Object>defer
+ */
+Store.prototype.record = function(sample) {
+  var self = this;
+  return Q.all(Object.keys(sample.data).map(function(collector) {
+    return self.add(collector, sample.data[collector], sample.time);
+  }));
+};
+
+/**
+ * Record every sample a watcher emits.
+ *
+ * @param <Object>watcher
+ * @param <Function>onError called with any error writing a sample
+ *
+ * @return <Object>Store
+ */
+Store.prototype.listen = function(watcher, onError) {
+  var self = this;
+  watcher.on('sample', function(sample) {
+    self.record(sample).fail(onError || function() {}).done();
+  });
+  return self;
+};
+
+/**
+ * Read the values of a metric path over a time range, from the finest archive
+ * which reaches back far enough, or is at least as coarse as ``step``.
+ * Intervals with nothing recorded have a ``null`` value.
+ *
+ * @example
+ *    > store.fetch('cpuUsage.total.percent', { from: '1d', consolidation: 'max' });
+ *    { path: 'cpuUsage.total.percent', step: 60000, consolidation: 'max', from: ..., to: ...,
+ *      points: [ { time: 1476522300000, value: 12.5 }, { time: 1476522360000, value: null }, ... ] }
+ *
+ * @param <String>metric the metric path, eg. 'df[mountPoint=/].remaining'
+ * @param <Object>options
+ *    from: milliseconds since epoch, a Date, or a duration ago such as '1d'
+ *      (default '1h')
+ *    to: likewise (default now)
+ *    consolidation: 'average', 'min', 'max' or 'last' (default 'average')
+ *    step: the finest step to return, as a duration
+ *
+ * @return <Object>defer
+ */
+Store.prototype.fetch = function(metric, options) {
+  var self = this;
+  options = options || {};
+  var now = Date.now();
+  var consolidation = options.consolidation || 'average';
+
+  return Q.fcall(function() {
+    if (consolidations.indexOf(consolidation) === -1) {
+      throw new Error('Invalid consolidation: ' + consolidation + ' (one of ' + consolidations.join(', ') + ')');
+    }
+    var from = pointInTime(options.from || '1h', now);
+    var to = pointInTime(options.to || now, now);
+    if (!(from <= to)) {
+      throw new Error('Invalid range: from ' + options.from + ' to ' + options.to);
+    }
+    var step = options.step ? duration(options.step) : 0;
+    var archive = self.archives.filter(function(candidate) {
+      return candidate.step >= step && now - from <= candidate.step * candidate.rows;
+    })[0] || self.archives[self.archives.length - 1];
+
+    return self._queue(metric, function() {
+      return self._open(metric, false).fail(function(err) {
+        if (err.code === 'ENOENT') {
+          throw new Error('No values stored for ' + metric);
+        }
+        throw err;
+      }).then(function(fd) {
+        var buffer = Buffer.alloc(archive.rows * ROW_SIZE);
+        return Q.nfcall(fs.read, fd, buffer, 0, buffer.length, archive.offset).then(function() {
+          var points = [];
+          var first = Math.max(Math.floor(from / archive.step), Math.floor(to / archive.step) - archive.rows + 1);
+          for (var bucket = first; bucket * archive.step <= to; bucket++) {
+            var row = readRow(buffer, (bucket % archive.rows) * ROW_SIZE);
+            var time = bucket * archive.step;
+            points.push({
+              time: time,
+              value: (row.time === time && row.count > 0) ? row[consolidation] : null,
+            });
+          }
+          return {
+            path: metric,
+            step: archive.step,
+            consolidation: consolidation,
+            from: from,
+            to: to,
+            points: points,
+          };
+        });
+      });
+    });
+  });
+};
+
+/**
+ * List the metric paths which have files.
+ *
+ * @return <Object>defer
+ */
+Store.prototype.paths = function() {
+  return Q.nfcall(fs.readdir, this.directory).then(function(files) {
+    return files.filter(function(file) {
+      return /\.rrd$/.test(file);
+    }).map(function(file) {
+      return decodeURIComponent(file.replace(/\.rrd$/, ''));
+    }).sort();
+  }, function(err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  });
+};
+
+/**
+ * Close the open files, once what is being written has been.
+ *
+ * @return <Object>defer
+ */
+Store.prototype.close = function() {
+  var self = this;
+  return Q.all(Object.keys(self._files).map(function(metric) {
+    return self._queue(metric, function() {
+      var opened = self._files[metric];
+      delete self._files[metric];
+      delete self._rows[metric];
+      return opened.then(function(fd) {
+        return Q.nfcall(fs.close, fd);
+      });
+    });
+  }));
+};
+
+module.exports = {
+  consolidations: consolidations,
+  Store: Store,
+};
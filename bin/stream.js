@@ -0,0 +1,337 @@
+var url = require('url');
+var websocket = require('./websocket.js');
+
+
+/**
+ * The collectors which can be streamed, by the names the REST routes use.
+ */
+var collectors = {
+  cpu: {
+    method: 'cpuUsage',
+  },
+  memory: {
+    method: 'memory',
+  },
+  disk: {
+    method: 'df',
+  },
+  network: {
+    method: 'network',
+  },
+  load: {
+    method: 'loadAvg',
+  },
+  uptime: {
+    method: 'uptime',
+  },
+  processes: {
+    method: 'ps',
+    transform: function(processes) {
+      return Object.keys(processes).map(function(pid) {
+        return processes[pid];
+      });
+    },
+  },
+};
+
+/**
+ * Streams are pushed every few seconds, never faster than the first, and
+ * never slower than the second, which keeps the timers in range.
+ */
+var MIN_INTERVAL = 1;
+var MAX_INTERVAL = 3600;
+
+
+/**
+ * Shares collection between every streaming client: there is one watcher per
+ * collector and interval, however many clients have subscribed to it, and it
+ * stops once the last one unsubscribes.
+ *
+ * @param <Object>metrinix
+ */
+function Hub(metrinix) {
+  this.metrinix = metrinix;
+  this.channels = {};
+}
+
+/**
+ * Subscribe to a collector. The listener is called with ``(err, sample)``
+ * where sample is ``{ collector, interval, time, data, warnings }``.
+ *
+ * @param <String>name collector name, eg. 'cpu'
+ * @param <Number>interval seconds between samples
+ * @param <Function>listener
+ *
+ * @return <Function> which unsubscribes
+ */
+Hub.prototype.subscribe = function(name, interval, listener) {
+  var self = this;
+  var collector = collectors[name];
+  if (!collector) {
+    throw new Error('Unknown collector: ' + name);
+  }
+
+  var key = name + '@' + interval;
+  var channel = self.channels[key];
+  if (!channel) {
+    channel = self.channels[key] = {
+      listeners: [],
+      watcher: self.metrinix.watch({
+        collectors: [collector.method],
+        interval: interval * 1000,
+      }),
+    };
+    channel.watcher.on('sample', function(sample) {
+      var data = sample.data[collector.method];
+      if (typeof(data) === 'undefined') {
+        return;
+      }
+      var message = {
+        collector: name,
+        interval: interval,
+        time: sample.time,
+        data: collector.transform ? collector.transform(data) : data,
+        // left out of the JSON of the data itself
+        warnings: data.warnings || [],
+      };
+      channel.listeners.slice().forEach(function(callback) {
+        callback(null, message);
+      });
+    });
+    channel.watcher.on('error', function(err) {
+      channel.listeners.slice().forEach(function(callback) {
+        callback(err);
+      });
+    });
+  }
+  channel.listeners.push(listener);
+
+  var subscribed = true;
+  return function() {
+    if (!subscribed) {
+      return;
+    }
+    subscribed = false;
+    channel.listeners.splice(channel.listeners.indexOf(listener), 1);
+    if (channel.listeners.length === 0) {
+      channel.watcher.stop();
+      delete self.channels[key];
+    }
+  };
+};
+
+/**
+ * Stop every watcher.
+ */
+Hub.prototype.close = function() {
+  var self = this;
+  Object.keys(self.channels).forEach(function(key) {
+    self.channels[key].watcher.stop();
+    delete self.channels[key];
+  });
+};
+
+
+/**
+ * Read the collectors and interval of a stream from a query, or a WebSocket
+ * message.
+ */
+function parse(query) {
+  var names = query.collectors || [];
+  if (typeof(names) === 'string') {
+    names = names.split(',');
+  }
+  names = names.map(function(name) {
+    return String(name).trim();
+  }).filter(Boolean);
+  names.forEach(function(name) {
+    if (!collectors[name]) {
+      throw new Error('Unknown collector: ' + name + ' (one of ' + Object.keys(collectors).join(', ') + ')');
+    }
+  });
+
+  var interval = (typeof(query.interval) === 'undefined' || query.interval === '') ? 2 : Number(query.interval);
+  if (!isFinite(interval) || interval < MIN_INTERVAL || interval > MAX_INTERVAL) {
+    throw new Error('Invalid interval: ' + query.interval +
+      ' (seconds, from ' + MIN_INTERVAL + ' to ' + MAX_INTERVAL + ')');
+  }
+  return {
+    collectors: names,
+    interval: interval,
+  };
+}
+
+/**
+ * Create an HTTP request handler streaming samples as Server-Sent Events at
+ * ``path``, eg. ``/stream?collectors=cpu,network&interval=2``.
+ *
+ * Each sample is a message event with ``{ collector, interval, time, data }``;
+ * failures are ``error`` events with ``{ collector, message }``.
+ *
+ * @param <Object>hub
+ * @param <Object>options
+ *    path: (default '/stream')
+ *
+ * @return <Function>
+ */
+function handler(hub, options) {
+  options = options || {};
+  var path = options.path || '/stream';
+
+  return function(req, res, next) {
+    var location = url.parse(req.url, true);
+    if (location.pathname !== path || req.method !== 'GET') {
+      return next();
+    }
+
+    var stream;
+    try {
+      stream = parse(location.query);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+      return res.end(JSON.stringify({ error: { status: 400, message: err.message } }) + '\n');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive',
+      // ask proxies such as nginx not to buffer the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: ' + (stream.interval * 1000) + '\n\n');
+
+    var unsubscribers = stream.collectors.map(function(name) {
+      return hub.subscribe(name, stream.interval, function(err, sample) {
+        if (err) {
+          res.write('event: error\ndata: ' + JSON.stringify({
+            collector: name,
+            message: err.message,
+          }) + '\n\n');
+          return;
+        }
+        res.write('data: ' + JSON.stringify(sample) + '\n\n');
+      });
+    });
+
+    // keep idle connections from being dropped by proxies
+    var heartbeat = setInterval(function() {
+      res.write(': heartbeat\n\n');
+    }, 15000);
+
+    req.on('close', function() {
+      clearInterval(heartbeat);
+      unsubscribers.forEach(function(unsubscribe) {
+        unsubscribe();
+      });
+    });
+  };
+}
+
+/**
+ * Create an ``upgrade`` handler accepting WebSocket connections at ``path``.
+ *
+ * Clients subscribe and unsubscribe by sending JSON messages:
+ *    { "subscribe": ["cpu", "network"], "interval": 2 }
+ *    { "unsubscribe": ["network"] }
+ *
+ * and receive:
+ *    { "type": "sample", "collector": "cpu", "interval": 2, "time": ..., "data": { ... } }
+ *    { "type": "subscribed", "collectors": ["cpu"], "interval": 2 }
+ *    { "type": "unsubscribed", "collectors": ["network"] }
+ *    { "type": "error", "message": "..." }
+ *
+ * The query of the connection URL can hold initial subscriptions in the same
+ * way as the SSE stream, eg. ``/stream?collectors=cpu&interval=5``.
+ *
+ * @param <Object>hub
+ * @param <Object>options
+ *    path: (default '/stream')
+ *
+ * @return <Function>
+ */
+function upgrade(hub, options) {
+  options = options || {};
+  var path = options.path || '/stream';
+
+  return function(req, socket, head) {
+    var location = url.parse(req.url, true);
+    if (location.pathname !== path) {
+      return socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    }
+    var client = websocket.accept(req, socket, head);
+    if (!client) {
+      return;
+    }
+
+    // collector name -> unsubscribe
+    var subscriptions = {};
+
+    var send = function(message) {
+      client.send(JSON.stringify(message));
+    };
+    var unsubscribe = function(names) {
+      names.forEach(function(name) {
+        if (subscriptions[name]) {
+          subscriptions[name]();
+          delete subscriptions[name];
+        }
+      });
+    };
+    var subscribe = function(request) {
+      var stream = parse(request);
+      // a collector is only streamed at one interval per client
+      unsubscribe(stream.collectors);
+      stream.collectors.forEach(function(name) {
+        subscriptions[name] = hub.subscribe(name, stream.interval, function(err, sample) {
+          if (err) {
+            return send({ type: 'error', collector: name, message: err.message });
+          }
+          send({
+            type: 'sample',
+            collector: sample.collector,
+            interval: sample.interval,
+            time: sample.time,
+            data: sample.data,
+            warnings: sample.warnings,
+          });
+        });
+      });
+      send({ type: 'subscribed', collectors: stream.collectors, interval: stream.interval });
+    };
+
+    client.on('message', function(data) {
+      try {
+        var request = JSON.parse(data);
+        if (request.subscribe) {
+          subscribe({ collectors: request.subscribe, interval: request.interval });
+        }
+        if (request.unsubscribe) {
+          var names = [].concat(request.unsubscribe);
+          unsubscribe(names);
+          send({ type: 'unsubscribed', collectors: names });
+        }
+      } catch (err) {
+        send({ type: 'error', message: err.message });
+      }
+    });
+    client.on('close', function() {
+      unsubscribe(Object.keys(subscriptions));
+    });
+
+    if (location.query.collectors) {
+      try {
+        subscribe(location.query);
+      } catch (err) {
+        send({ type: 'error', message: err.message });
+      }
+    }
+  };
+}
+
+module.exports = {
+  collectors: collectors,
+  Hub: Hub,
+  handler: handler,
+  upgrade: upgrade,
+};
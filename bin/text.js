@@ -0,0 +1,131 @@
+/**
+ * Format a number of bytes the way ``df -h`` and ``free -h`` do.
+ */
+function human(bytes) {
+  var units = ['B', 'K', 'M', 'G', 'T', 'P'];
+  var unit = 0;
+  var value = Math.abs(bytes);
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  var text = (unit === 0 || value >= 10) ? String(Math.round(value)) : value.toFixed(1);
+  return ((bytes < 0) ? '-' : '') + text + units[unit];
+}
+
+/**
+ * The units of ``format()``: powers of 1024 for IEC, of 1000 for SI.
+ */
+var systems = {
+  iec: { base: 1024, units: ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB', 'EiB'] },
+  si: { base: 1000, units: ['B', 'kB', 'MB', 'GB', 'TB', 'PB', 'EB'] },
+};
+
+/**
+ * Format a number of bytes, or a ``{ size, unit }`` or ``{ speed, unit }``
+ * entry of a result, in the largest unit it reaches.
+ *
+ * @example
+ *    > format(1536);
+ *    '1.5 KiB'
+ *    > format({ speed: 1250000, unit: 'B/s' }, { system: 'si', precision: 2 });
+ *    '1.25 MB/s'
+ *
+ * @param <Number|Object>value
+ * @param <Object>options
+ *    system: 'iec' (KiB, MiB, ...) or 'si' (kB, MB, ...) (default 'iec')
+ *    precision: the decimals to show (default 1)
+ *
+ * @return <String>
+ */
+function format(value, options) {
+  options = options || {};
+  var system = systems[options.system || 'iec'];
+  if (!system) {
+    throw new Error('Invalid unit system: ' + options.system + ' (expected iec or si)');
+  }
+  var precision = (typeof(options.precision) === 'number') ? options.precision : 1;
+
+  var suffix = '';
+  if (value && typeof(value) === 'object') {
+    if (value.unit !== 'B' && value.unit !== 'B/s') {
+      throw new Error('Not a number of bytes: ' + JSON.stringify(value));
+    }
+    suffix = (value.unit === 'B/s') ? '/s' : '';
+    value = (typeof(value.speed) === 'number') ? value.speed : value.size;
+  }
+
+  var unit = 0;
+  var scaled = Math.abs(value);
+  while (unit < system.units.length - 1 && Number(scaled.toFixed(precision)) >= system.base) {
+    scaled /= system.base;
+    unit++;
+  }
+  var text = (unit === 0) ? String(Math.round(scaled)) : scaled.toFixed(precision);
+  return ((value < 0) ? '-' : '') + text + ' ' + system.units[unit] + suffix;
+}
+
+/**
+ * Format a percentage with one decimal.
+ */
+function percent(value) {
+  return (typeof(value) === 'number') ? value.toFixed(1) : '-';
+}
+
+/**
+ * Lay out rows in columns. Columns named in ``right`` are right aligned, the
+ * last column isn't padded so long commands don't leave trailing space.
+ *
+ * @param <Array>headers
+ * @param <Array>rows lists of values, one per header
+ * @param <Array>right indexes of the right aligned columns
+ *
+ * @return <String>
+ */
+function table(headers, rows, right) {
+  right = right || [];
+  rows = [headers].concat(rows).map(function(row) {
+    return row.map(function(value) {
+      // command lines may hold newlines and tabs
+      return (value === null || typeof(value) === 'undefined') ? '-' : String(value).replace(/[\x00-\x1f\x7f]+/g, ' ');
+    });
+  });
+  var widths = headers.map(function(header, column) {
+    return Math.max.apply(null, rows.map(function(row) {
+      return row[column].length;
+    }));
+  });
+  return rows.map(function(row) {
+    return row.map(function(value, column) {
+      if (column === row.length - 1 && right.indexOf(column) === -1) {
+        return value;
+      }
+      var padding = new Array(widths[column] - value.length + 1).join(' ');
+      return (right.indexOf(column) > -1) ? padding + value : value + padding;
+    }).join('  ');
+  }).join('\n');
+}
+
+/**
+ * Format a number of seconds as ``3 days, 04:12:09``.
+ */
+function duration(seconds) {
+  seconds = Math.floor(seconds);
+  var days = Math.floor(seconds / 86400);
+  var clock = [
+    Math.floor(seconds % 86400 / 3600),
+    Math.floor(seconds % 3600 / 60),
+    seconds % 60,
+  ].map(function(part) {
+    return (part < 10 ? '0' : '') + part;
+  }).join(':');
+  return (days > 0 ? days + ' day' + (days === 1 ? '' : 's') + ', ' : '') + clock;
+}
+
+module.exports = {
+  human: human,
+  format: format,
+  percent: percent,
+  table: table,
+  duration: duration,
+};
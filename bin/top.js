@@ -0,0 +1,679 @@
+var Q = require('q');
+var readline = require('readline');
+var text = require('./text.js');
+
+
+/**
+ * ANSI escape sequences, enough to redraw a full screen in place.
+ */
+var ESC = '\x1b[';
+var screen = {
+  enter: ESC + '?1049h' + ESC + '?25l',
+  leave: ESC + '?25h' + ESC + '?1049l',
+  home: ESC + 'H',
+  clearLine: ESC + 'K',
+  clearBelow: ESC + 'J',
+};
+
+/**
+ * The signals which end a process by default, after which the terminal is
+ * given back before ending it.
+ */
+var signals = ['SIGTERM', 'SIGHUP'];
+
+/**
+ * Wrap a value in SGR codes, eg. ``style('x', [1, 31])`` for bold red.
+ */
+function style(value, codes) {
+  return ESC + codes.join(';') + 'm' + value + ESC + '0m';
+}
+
+/**
+ * Cut or pad a value to exactly ``width`` characters.
+ */
+function fit(value, width, right) {
+  value = String(value);
+  if (value.length >= width) {
+    return value.substr(0, Math.max(0, width));
+  }
+  var padding = new Array(width - value.length + 1).join(' ');
+  return right ? padding + value : value + padding;
+}
+
+/**
+ * Draw a meter such as ``  0[|||||       12.3%]``, coloured by how full it is
+ * unless ``plain`` is set.
+ */
+function meter(label, percent, value, width, plain) {
+  var inner = Math.max(0, width - label.length - 2);
+  value = fit(value, Math.min(value.length, inner));
+  var room = inner - value.length;
+  var filled = Math.max(0, Math.min(room, Math.round(room * percent / 100)));
+  var bar = new Array(filled + 1).join('|');
+  var space = new Array(room - filled + 1).join(' ');
+  if (plain) {
+    return label + '[' + bar + space + value + ']';
+  }
+  var colour = (percent >= 90) ? 31 : (percent >= 60) ? 33 : 32;
+  return style(label, [36]) + '[' + style(bar, [colour]) + space + style(value, [2]) + ']';
+}
+
+
+/**
+ * The columns of the process list. ``sort`` names the key bound to sorting by
+ * the column.
+ */
+var processColumns = [
+  {
+    name: 'PID',
+    width: 7,
+    right: true,
+    sort: 'pid',
+    value: function(process) {
+      return process.id.process;
+    },
+    key: function(process) {
+      return process.raw.pid;
+    },
+  },
+  {
+    name: 'PPID',
+    width: 7,
+    right: true,
+    sort: 'ppid',
+    value: function(process) {
+      return process.id.parent;
+    },
+  },
+  {
+    name: 'S',
+    width: 1,
+    sort: 'state',
+    value: function(process) {
+      return process.state.code;
+    },
+  },
+  {
+    name: 'CPU%',
+    width: 6,
+    right: true,
+    sort: 'cpu',
+    value: function(process) {
+      return text.percent(process.cpu ? process.cpu.totalPercent : null);
+    },
+    key: function(process) {
+      return process.cpu ? process.cpu.totalPercent : -1;
+    },
+  },
+  {
+    name: 'RSS',
+    width: 7,
+    right: true,
+    sort: 'mem',
+    value: function(process) {
+      return text.human(process.memory.size);
+    },
+    key: function(process) {
+      return process.memory.size;
+    },
+  },
+  {
+    name: 'THR',
+    width: 4,
+    right: true,
+    sort: 'threads',
+    value: function(process) {
+      return process.raw.num_threads;
+    },
+  },
+  {
+    name: 'Command',
+    sort: 'name',
+    value: function(process) {
+      // kernel threads have no command line
+      return (process.command || '[' + process.executable + ']').replace(/[\x00-\x1f\x7f]+/g, ' ');
+    },
+    key: function(process) {
+      return process.executable.toLowerCase();
+    },
+  },
+];
+
+/**
+ * The panes below the meters, switched between with tab or 1, 2 and 3.
+ */
+var panes = ['processes', 'network', 'disks'];
+
+/**
+ * The keys, as shown on the help screen.
+ */
+var help = [
+  ['Tab, 1 2 3', 'switch between the processes, network and disks panes'],
+  ['Up, Down', 'move the selection'],
+  ['PgUp, PgDn', 'move the selection a page'],
+  ['Home, End', 'move to the first or last line'],
+  ['c m p n s', 'sort processes by CPU, memory, pid, name or state'],
+  ['< >', 'sort processes by the previous or next column'],
+  ['r', 'reverse the sort order'],
+  ['t', 'show processes as a tree'],
+  ['/', 'filter processes by name or command, Esc clears'],
+  ['h, ?', 'show or hide this help'],
+  ['q, Ctrl-C', 'quit'],
+];
+
+
+/**
+ * A full-screen, top-like view of the host: meters for every core, memory,
+ * swap and load, over a sortable and filterable process list (optionally as
+ * a tree) and panes for network throughput and disk usage.
+ *
+ * The terminal is driven with plain ANSI escape sequences, so all it needs is
+ * a TTY.
+ *
+ * @param <Object>metrinix
+ * @param <Object>options
+ *    interval: milliseconds between updates (default 2000)
+ *    input: the stream keys are read from (default process.stdin)
+ *    output: the stream to draw on (default process.stdout)
+ */
+function Top(metrinix, options) {
+  options = options || {};
+  this.metrinix = metrinix;
+  this.interval = options.interval || 2000;
+  this.input = options.input || process.stdin;
+  this.output = options.output || process.stdout;
+
+  this.data = {};
+  this.error = null;
+  this.pane = 'processes';
+  this.sort = 'cpu';
+  this.descending = true;
+  this.tree = false;
+  this.filter = '';
+  this.editing = null;
+  this.help = false;
+  this.selected = {};
+  this.scroll = {};
+  panes.forEach(function(pane) {
+    this.selected[pane] = 0;
+    this.scroll[pane] = 0;
+  }, this);
+
+  this._watcher = null;
+  this._deferred = null;
+  this._onKeypress = this._keypress.bind(this);
+  this._onResize = this.render.bind(this);
+  this._onExit = this._restore.bind(this);
+  this._onSignal = this._signal.bind(this);
+}
+
+/**
+ * Take over the terminal and start updating.
+ *
+ * @return <Object>defer, resolved when the user quits
+ */
+Top.prototype.start = function() {
+  var self = this;
+  self._deferred = Q.defer();
+
+  readline.emitKeypressEvents(self.input);
+  if (self.input.isTTY) {
+    self.input.setRawMode(true);
+  }
+  self.input.on('keypress', self._onKeypress);
+  self.input.resume();
+  self.output.on('resize', self._onResize);
+  // leave the terminal usable however the process ends
+  process.on('exit', self._onExit);
+  signals.forEach(function(signal) {
+    process.on(signal, self._onSignal);
+  });
+  self.output.write(screen.enter);
+
+  self._watcher = self.metrinix.watch({
+    collectors: ['cpuUsage', 'memory', 'loadAvg', 'uptime', 'network', 'df', 'ps'],
+    interval: self.interval,
+  });
+  self._watcher.on('sample', function(sample) {
+    self.error = null;
+    self.data = sample.data;
+    self.render();
+  });
+  self._watcher.on('error', function(err) {
+    self.error = (err.collector ? err.collector + ': ' : '') + (err.message || err);
+    self.render();
+  });
+
+  self.render();
+  return self._deferred.promise;
+};
+
+/**
+ * Stop updating and give the terminal back.
+ */
+Top.prototype.stop = function() {
+  if (this._watcher) {
+    this._watcher.stop();
+    this._watcher = null;
+  }
+  this.input.removeListener('keypress', this._onKeypress);
+  this.input.pause();
+  this.output.removeListener('resize', this._onResize);
+  process.removeListener('exit', this._onExit);
+  signals.forEach(function(signal) {
+    process.removeListener(signal, this._onSignal);
+  }, this);
+  this._restore();
+  if (this._deferred) {
+    this._deferred.resolve();
+    this._deferred = null;
+  }
+};
+
+/**
+ * Give the terminal back, then end the process as the signal would have,
+ * the listener having taken its place.
+ */
+Top.prototype._signal = function(signal) {
+  this.stop();
+  process.kill(process.pid, signal);
+};
+
+Top.prototype._restore = function() {
+  if (this.input.isTTY) {
+    this.input.setRawMode(false);
+  }
+  this.output.write(screen.leave);
+};
+
+Top.prototype._keypress = function(str, key) {
+  key = key || {};
+  if (key.ctrl && key.name === 'c') {
+    return this.stop();
+  }
+
+  if (this.editing !== null) {
+    if (key.name === 'return' || key.name === 'enter') {
+      this.filter = this.editing;
+      this.editing = null;
+    } else if (key.name === 'escape') {
+      this.editing = null;
+    } else if (key.name === 'backspace') {
+      this.editing = this.editing.slice(0, -1);
+      this.filter = this.editing;
+    } else if (str && !key.ctrl && !key.meta && str >= ' ') {
+      this.editing += str;
+      this.filter = this.editing;
+    }
+    this.selected.processes = 0;
+    return this.render();
+  }
+
+  var page = Math.max(1, this._height() - 1);
+  var sorts = {
+    c: 'cpu',
+    m: 'mem',
+    p: 'pid',
+    n: 'name',
+    s: 'state',
+  };
+  switch (key.name || str) {
+    case 'q':
+      return this.stop();
+    case 'h':
+    case '?':
+      this.help = !this.help;
+      break;
+    case 'escape':
+      this.help = false;
+      this.filter = '';
+      break;
+    case 'tab':
+      this.pane = panes[(panes.indexOf(this.pane) + (key.shift ? panes.length - 1 : 1)) % panes.length];
+      break;
+    case '1':
+    case '2':
+    case '3':
+      this.pane = panes[Number(str) - 1];
+      break;
+    case 'up':
+      this._move(-1);
+      break;
+    case 'down':
+      this._move(1);
+      break;
+    case 'pageup':
+      this._move(-page);
+      break;
+    case 'pagedown':
+      this._move(page);
+      break;
+    case 'home':
+      this._move(-Infinity);
+      break;
+    case 'end':
+      this._move(Infinity);
+      break;
+    case 'c':
+    case 'm':
+    case 'p':
+    case 'n':
+    case 's':
+      this._sortBy(sorts[key.name]);
+      break;
+    case 'r':
+      this.descending = !this.descending;
+      break;
+    case 't':
+      this.tree = !this.tree;
+      break;
+    case '/':
+      this.pane = 'processes';
+      this.editing = this.filter;
+      break;
+    default:
+      if (str === '<' || str === '>') {
+        var sortable = processColumns.map(function(column) {
+          return column.sort;
+        });
+        var offset = sortable.indexOf(this.sort) + ((str === '>') ? 1 : sortable.length - 1);
+        this._sortBy(sortable[offset % sortable.length]);
+      }
+  }
+  this.render();
+};
+
+/**
+ * Sort by a column; numbers start with the largest, names with a.
+ */
+Top.prototype._sortBy = function(sort) {
+  this.sort = sort;
+  this.descending = ['name', 'state'].indexOf(sort) === -1;
+  this.pane = 'processes';
+};
+
+Top.prototype._move = function(rows) {
+  var selected = this.selected[this.pane] + rows;
+  var count = this._rows().length;
+  this.selected[this.pane] = Math.max(0, Math.min(count - 1, isFinite(selected) ? selected : (rows > 0 ? count - 1 : 0)));
+};
+
+/**
+ * The processes, filtered and sorted, with the prefix to draw for each in
+ * tree view.
+ */
+Top.prototype._processes = function() {
+  var self = this;
+  var ps = self.data.ps || {};
+  var column = processColumns.filter(function(candidate) {
+    return candidate.sort === self.sort;
+  })[0];
+  var key = column.key || column.value;
+  var direction = self.descending ? -1 : 1;
+  var compare = function(a, b) {
+    var left = key(a);
+    var right = key(b);
+    return ((left < right) ? -1 : (left > right) ? 1 : 0) * direction || a.raw.pid - b.raw.pid;
+  };
+
+  var filter = self.filter.toLowerCase();
+  var matches = function(process) {
+    return !filter || process.executable.toLowerCase().indexOf(filter) > -1 ||
+      process.command.toLowerCase().indexOf(filter) > -1;
+  };
+
+  var processes = Object.keys(ps).map(function(pid) {
+    return ps[pid];
+  });
+  if (!self.tree) {
+    return processes.filter(matches).sort(compare).map(function(process) {
+      return { process: process, prefix: '' };
+    });
+  }
+
+  // the ancestors of a match stay, so the tree keeps its shape
+  var shown = {};
+  processes.filter(matches).forEach(function(process) {
+    var pid = process.id.process;
+    while (ps[pid] && !shown[pid]) {
+      shown[pid] = true;
+      pid = String(ps[pid].id.parent);
+    }
+  });
+  var children = {};
+  var roots = [];
+  processes.filter(function(process) {
+    return shown[process.id.process];
+  }).forEach(function(process) {
+    var parent = String(process.id.parent);
+    if (shown[parent]) {
+      (children[parent] = children[parent] || []).push(process);
+    } else {
+      roots.push(process);
+    }
+  });
+
+  var rows = [];
+  var walk = function(list, indent) {
+    list.sort(compare).forEach(function(process, index) {
+      var last = index === list.length - 1;
+      rows.push({ process: process, prefix: (indent === null) ? '' : indent + (last ? '`- ' : '|- ') });
+      walk(children[process.id.process] || [], (indent === null) ? '' : indent + (last ? '   ' : '|  '));
+    });
+  };
+  walk(roots, null);
+  return rows;
+};
+
+/**
+ * The lines of the current pane: ``{ header, rows }`` where every row is a
+ * list of cells, one per column.
+ */
+Top.prototype._columns = function() {
+  if (this.pane === 'network') {
+    return [
+      { name: 'Interface', width: 16 },
+      { name: 'Type', width: 10 },
+      { name: 'RX/s', width: 10, right: true },
+      { name: 'TX/s', width: 10, right: true },
+      { name: 'RX total', width: 10, right: true },
+      { name: 'TX total', width: 10, right: true },
+      { name: '' },
+    ];
+  }
+  if (this.pane === 'disks') {
+    return [
+      { name: 'Mounted on', width: 24 },
+      { name: 'Filesystem', width: 20 },
+      { name: 'Size', width: 7, right: true },
+      { name: 'Used', width: 7, right: true },
+      { name: 'Avail', width: 7, right: true },
+      { name: 'Use%', width: 5, right: true },
+      { name: '' },
+    ];
+  }
+  return processColumns;
+};
+
+Top.prototype._rows = function() {
+  var self = this;
+  if (self.pane === 'network') {
+    var interfaces = (self.data.network || {}).interfaces || {};
+    return Object.keys(interfaces).sort().map(function(name) {
+      var entry = interfaces[name];
+      return [name, entry.type, text.human(entry.rx.speed), text.human(entry.tx.speed),
+        text.human(entry.raw.cur.receive.bytes), text.human(entry.raw.cur.transfer.bytes), ''];
+    });
+  }
+  if (self.pane === 'disks') {
+    return (self.data.df || []).map(function(filesystem) {
+      var used = 100 - filesystem.remaining;
+      return [filesystem.mountPoint, filesystem.filesystem, text.human(filesystem.capacity.size), text.human(filesystem.used.size),
+        text.human(filesystem.available.size), used + '%', { meter: used }];
+    });
+  }
+  return self._processes().map(function(entry) {
+    return processColumns.map(function(column, index) {
+      var value = column.value(entry.process);
+      return (index === processColumns.length - 1) ? entry.prefix + value : value;
+    });
+  });
+};
+
+/**
+ * The lines of the meters: cores side by side in two columns when there are
+ * many, then memory, swap, load and uptime.
+ */
+Top.prototype._meters = function(width) {
+  var data = this.data;
+  var lines = [];
+  if (!data.cpuUsage) {
+    return ['Collecting...'];
+  }
+
+  var cores = data.cpuUsage.cores;
+  var columns = (cores.length > 4 && width >= 80) ? 2 : 1;
+  var columnWidth = Math.floor((width - (columns - 1) * 2) / columns);
+  var label = String(cores.length - 1).length;
+  var rows = Math.ceil(cores.length / columns);
+  for (var row = 0; row < rows; row++) {
+    var cells = [];
+    for (var column = 0; column < columns; column++) {
+      var core = cores[column * rows + row];
+      if (core) {
+        cells.push(meter(fit(core.core, label, true), core.percent, text.percent(core.percent) + '%', columnWidth));
+      }
+    }
+    lines.push(cells.join('  '));
+  }
+
+  var memory = data.memory;
+  if (memory) {
+    var bytes = function(key) {
+      return memory.raw[key] ? memory.raw[key].size : 0;
+    };
+    // used the way free(1) counts it, leaving out buffers and page cache
+    var total = bytes('MemTotal');
+    var used = total - bytes('MemFree') - bytes('Buffers') - bytes('Cached');
+    var swapTotal = bytes('SwapTotal');
+    var swapUsed = swapTotal - bytes('SwapFree');
+    lines.push(meter('Mem', total ? 100 * used / total : 0, text.human(used) + '/' + text.human(total), width));
+    lines.push(meter('Swp', swapTotal ? 100 * swapUsed / swapTotal : 0, text.human(swapUsed) + '/' + text.human(swapTotal), width));
+  }
+
+  var summary = [];
+  if (data.loadAvg) {
+    summary.push('Load average: ' + [data.loadAvg.min1, data.loadAvg.min5, data.loadAvg.min15].map(function(load) {
+      return load.toFixed(2);
+    }).join(' '));
+  }
+  if (data.ps) {
+    var ps = data.ps;
+    var running = Object.keys(ps).filter(function(pid) {
+      return ps[pid].state.code === 'R';
+    }).length;
+    summary.push('Tasks: ' + Object.keys(ps).length + ', ' + running + ' running');
+  }
+  if (data.uptime) {
+    summary.push('Uptime: ' + text.duration(data.uptime.up));
+  }
+  lines.push(fit(summary.join('   '), width));
+  return lines;
+};
+
+/**
+ * How many rows of the pane fit under the meters.
+ */
+Top.prototype._height = function() {
+  return (this.output.rows || 24) - this._meters(this.output.columns || 80).length - 4;
+};
+
+/**
+ * Draw the whole screen.
+ */
+Top.prototype.render = function() {
+  var self = this;
+  var width = self.output.columns || 80;
+  var lines = self._meters(width);
+  lines.push('');
+
+  // tabs, with the sort and filter on the right
+  var tabs = panes.map(function(pane, index) {
+    var label = ' ' + (index + 1) + ' ' + pane.charAt(0).toUpperCase() + pane.substr(1) + ' ';
+    return (pane === self.pane) ? style(label, [7]) : label;
+  }).join(' ');
+  var status = (self.pane === 'processes') ?
+    'sort: ' + self.sort + (self.descending ? ' desc' : ' asc') + (self.tree ? ', tree' : '') +
+    (self.filter ? ', filter: ' + self.filter : '') : '';
+  var tabsWidth = panes.reduce(function(length, pane) {
+    return length + pane.length + 5;
+  }, -1);
+  lines.push(tabs + fit(status, width - tabsWidth, true));
+
+  var height = self._height();
+  var columns = self._columns();
+  var rows = self._rows();
+  if (self.help) {
+    columns = [{ name: 'Key', width: 12 }, { name: 'Action' }];
+    rows = help;
+  }
+
+  // widths: the last column takes what the others leave
+  var fixed = columns.slice(0, -1).reduce(function(total, column) {
+    return total + column.width + 1;
+  }, 0);
+  var widths = columns.map(function(column, index) {
+    return (index === columns.length - 1) ? Math.max(0, width - fixed) : column.width;
+  });
+  var line = function(cells, plain) {
+    return cells.map(function(cell, index) {
+      if (cell && typeof(cell.meter) === 'number') {
+        return meter('', cell.meter, '', widths[index], plain);
+      }
+      return fit((cell === null || typeof(cell) === 'undefined') ? '-' : cell, widths[index], columns[index].right);
+    }).join(' ');
+  };
+  lines.push(style(fit(line(columns.map(function(column) {
+    var sorted = self.pane === 'processes' && !self.help && column.sort === self.sort;
+    return column.name + (sorted ? (self.descending ? 'v' : '^') : '');
+  })), width), [7]));
+
+  // keep the selection in view
+  var pane = self.help ? null : self.pane;
+  var selected = pane ? Math.min(self.selected[pane], Math.max(0, rows.length - 1)) : -1;
+  var scroll = pane ? self.scroll[pane] : 0;
+  if (pane) {
+    self.selected[pane] = selected;
+    scroll = Math.max(0, Math.min(scroll, selected, rows.length - height));
+    scroll = Math.max(scroll, selected - height + 1);
+    self.scroll[pane] = scroll;
+  }
+  for (var row = 0; row < height; row++) {
+    var cells = rows[scroll + row];
+    if (!cells) {
+      lines.push('');
+      continue;
+    }
+    lines.push((scroll + row === selected) ? style(line(cells, true), [30, 46]) : line(cells));
+  }
+
+  // the footer: the filter being typed, an error, or the keys
+  var footer;
+  if (self.editing !== null) {
+    footer = 'Filter: ' + self.editing + '_';
+  } else if (self.error) {
+    footer = style(fit(self.error, width), [31]);
+  } else {
+    footer = style(fit('h Help  Tab Pane  c/m/p/n/s Sort  r Reverse  t Tree  / Filter  q Quit', width), [2]);
+  }
+  lines.push(footer);
+
+  self.output.write(screen.home + lines.map(function(content) {
+    return content + screen.clearLine;
+  }).join('\r\n') + screen.clearBelow);
+};
+
+module.exports = {
+  Top: Top,
+  processColumns: processColumns,
+};
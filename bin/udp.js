@@ -0,0 +1,63 @@
+var Q = require('q');
+var dgram = require('dgram');
+
+
+/**
+ * Pack lines into as few newline separated payloads as fit within
+ * ``payloadSize`` bytes each. A line longer than that is sent on its own.
+ *
+ * @param <Array>lines
+ * @param <Number>payloadSize
+ *
+ * @return <Array>
+ */
+function pack(lines, payloadSize) {
+  var payloads = [];
+  var payload = '';
+  lines.forEach(function(entry) {
+    if (payload && Buffer.byteLength(payload + '\n' + entry) > payloadSize) {
+      payloads.push(payload);
+      payload = '';
+    }
+    payload = payload ? payload + '\n' + entry : entry;
+  });
+  if (payload) {
+    payloads.push(payload);
+  }
+  return payloads;
+}
+
+/**
+ * Send lines over UDP, packed into datagrams of up to ``payloadSize`` bytes.
+ *
+ * @param <Object>socket dgram socket
+ * @param <Array>lines
+ * @param <Number>payloadSize
+ * @param <Number>port
+ * @param <String>host
+ *
+ * @return <Object>defer
+ */
+function send(socket, lines, payloadSize, port, host) {
+  return Q.all(pack(lines, payloadSize).map(function(payload) {
+    var message = Buffer.from(payload);
+    return Q.ninvoke(socket, 'send', message, 0, message.length, port, host);
+  }));
+}
+
+/**
+ * Create a UDP socket which doesn't keep the process running on its own.
+ *
+ * @return <Object>dgram socket
+ */
+function socket() {
+  var result = dgram.createSocket('udp4');
+  result.unref();
+  return result;
+}
+
+module.exports = {
+  pack: pack,
+  send: send,
+  socket: socket,
+};
@@ -0,0 +1,227 @@
+var Q = require('q');
+var events = require('events');
+var util = require('util');
+
+
+/**
+ * Samples a set of metrinix collectors on one shared schedule.
+ *
+ * Collectors with a ``snapshot()``/``diff()`` pair (cpuUsage, ps, network)
+ * keep their previous snapshot as the baseline for the next sample, so after
+ * the first interval every sample is a rate over the time since the last one
+ * instead of a fresh blocking reading.
+ *
+ * Events:
+ *    sample: { time: <ms since epoch>, data: { <collector>: <result>, ... } }
+ *    error:  Error, with ``collector`` set to the collector which failed, or
+ *            thrown by a ``sample`` listener
+ *    warning: MetrinixError of a partial result, with ``collector`` set
+ *    pause, resume, stop
+ *
+ * Note: as with any EventEmitter, an ``error`` without a listener is thrown.
+ *
+ * @param <Object>metrinix
+ * @param <Object>options
+ *    collectors: list of collector names (default all of Watcher.collectors)
+ *    interval: milliseconds between samples (default 1000)
+ */
+function Watcher(metrinix, options) {
+  events.EventEmitter.call(this);
+  var self = this;
+  options = options || {};
+
+  self.metrinix = metrinix;
+  // a mock host's clock schedules the samples as well as timing them
+  self._clock = metrinix._clock || {
+    now: Date.now,
+    setInterval: setInterval,
+    clearInterval: clearInterval,
+  };
+  self.interval = (typeof(options.interval) === 'number') ? options.interval : 1000;
+  self.collectors = options.collectors || Watcher.collectors;
+  self.collectors.forEach(function(name) {
+    if (typeof(metrinix[name]) !== 'function') {
+      throw new Error('Unknown collector: ' + name);
+    }
+  });
+
+  self.paused = false;
+  self.stopped = false;
+  self._baselines = {};
+  self._timer = null;
+  self._busy = false;
+  // moved on by pause() and stop(), so readings begun before them are dropped
+  self._generation = 0;
+
+  self._start();
+}
+
+util.inherits(Watcher, events.EventEmitter);
+
+/**
+ * The collectors sampled when none are given.
+ */
+Watcher.collectors = ['cpuUsage', 'uptime', 'ps', 'df', 'memory', 'loadAvg', 'network'];
+
+/**
+ * Take fresh baselines for the rate-based collectors and start the schedule.
+ */
+Watcher.prototype._start = function() {
+  var self = this;
+  var generation = self._generation;
+  self._baselines = {};
+  self.collectors.forEach(function(name) {
+    var collector = self.metrinix[name];
+    if (!collector.snapshot) {
+      return true;
+    }
+    collector.snapshot().then(function(snapshot) {
+      // a tick may have already set a baseline if the snapshot was slow
+      if (self._generation === generation && !self._baselines[name]) {
+        self._baselines[name] = snapshot;
+      }
+    }, function(err) {
+      self._error(name, err);
+    });
+  });
+  self._timer = self._clock.setInterval(function() {
+    self._tick();
+  }, self.interval);
+};
+
+/**
+ * Emit a collector failure as an ``error`` event.
+ */
+Watcher.prototype._error = function(name, err) {
+  if (!(err instanceof Error)) {
+    err = new Error(String(err));
+  }
+  err.collector = name;
+  this.emit('error', err);
+};
+
+/**
+ * Emit the warnings of a partial result.
+ */
+Watcher.prototype._warn = function(name, result) {
+  var self = this;
+  ((result && result.warnings) || []).forEach(function(warning) {
+    warning.collector = name;
+    self.emit('warning', warning);
+  });
+};
+
+/**
+ * Read a single collector. Rate-based collectors resolve ``undefined`` until
+ * they have a baseline to compare against, or if the watcher was paused in
+ * the meantime.
+ */
+Watcher.prototype._collect = function(name, generation) {
+  var self = this;
+  var collector = self.metrinix[name];
+  if (!collector.snapshot) {
+    return collector().then(function(result) {
+      self._warn(name, result);
+      return result;
+    });
+  }
+  return collector.snapshot().then(function(cur) {
+    if (self._generation !== generation) {
+      // taken before a pause, as the baseline it would make the first rate
+      // after resuming average over the pause
+      return undefined;
+    }
+    // only the warnings of this reading, not those of the baseline again
+    self._warn(name, cur);
+    var prev = self._baselines[name];
+    self._baselines[name] = cur;
+    return prev ? collector.diff(prev, cur) : undefined;
+  });
+};
+
+/**
+ * Sample every collector once and emit the results.
+ */
+Watcher.prototype._tick = function() {
+  var self = this;
+  if (self._busy) {
+    // the previous sample is still being collected, skip this one rather
+    // than letting them pile up
+    return;
+  }
+  self._busy = true;
+
+  var time = self._clock.now();
+  var generation = self._generation;
+  Q.allSettled(self.collectors.map(function(name) {
+    return self._collect(name, generation);
+  })).then(function(results) {
+    self._busy = false;
+    if (self.paused || self.stopped || self._generation !== generation) {
+      return;
+    }
+
+    var data = {};
+    results.forEach(function(result, offset) {
+      var name = self.collectors[offset];
+      if (result.state === 'rejected') {
+        self._error(name, result.reason);
+      } else if (typeof(result.value) !== 'undefined') {
+        data[name] = result.value;
+      }
+    });
+    self.emit('sample', {
+      time: time,
+      data: data,
+    });
+  }).fail(function(err) {
+    // eg. a sample listener which threw
+    self.emit('error', err);
+  }).done();
+};
+
+/**
+ * Stop sampling until ``resume()`` is called.
+ */
+Watcher.prototype.pause = function() {
+  if (this.paused || this.stopped) {
+    return this;
+  }
+  this._clock.clearInterval(this._timer);
+  this._timer = null;
+  this._generation++;
+  this.paused = true;
+  this.emit('pause');
+  return this;
+};
+
+/**
+ * Start sampling again after a ``pause()``. The baselines are taken afresh so
+ * the first rates after resuming don't average over the pause.
+ */
+Watcher.prototype.resume = function() {
+  if (!this.paused || this.stopped) {
+    return this;
+  }
+  this.paused = false;
+  this._start();
+  this.emit('resume');
+  return this;
+};
+
+/**
+ * Stop sampling for good.
+ */
+Watcher.prototype.stop = function() {
+  if (this.stopped) {
+    return this;
+  }
+  this._clock.clearInterval(this._timer);
+  this._timer = null;
+  this._generation++;
+  this.stopped = true;
+  this.emit('stop');
+  return this;
+};
+
+module.exports = Watcher;
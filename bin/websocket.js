@@ -0,0 +1,247 @@
+var crypto = require('crypto');
+var events = require('events');
+var util = require('util');
+
+
+/**
+ * https://tools.ietf.org/html/rfc6455#section-1.3
+ */
+var GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * https://tools.ietf.org/html/rfc6455#section-5.2
+ */
+var opcodes = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+/**
+ * The largest message accepted from a client, clients only send small
+ * subscription requests.
+ */
+var MAX_PAYLOAD = 1024 * 1024;
+
+
+/**
+ * The server end of a WebSocket connection, just enough of RFC 6455 to
+ * exchange text messages with browsers: no extensions and no subprotocols.
+ *
+ * Events:
+ *    message: String
+ *    close: code
+ *
+ * @param <Object>socket net.Socket, after the handshake
+ */
+function WebSocket(socket) {
+  events.EventEmitter.call(this);
+  var self = this;
+  self.socket = socket;
+  self.closed = false;
+  self._buffer = Buffer.alloc(0);
+  self._fragments = [];
+  // the bytes of the fragments so far
+  self._fragmentsLength = 0;
+
+  socket.setNoDelay(true);
+  socket.on('data', function(data) {
+    self._buffer = Buffer.concat([self._buffer, data]);
+    self._parse();
+  });
+  // http.Server sockets allow half-open connections, which would keep a
+  // client gone without a close frame open on this end
+  socket.on('end', function() {
+    socket.end();
+  });
+  socket.on('close', function() {
+    self._closed(1006);
+  });
+  socket.on('error', function() {
+    // followed by close
+  });
+}
+
+util.inherits(WebSocket, events.EventEmitter);
+
+/**
+ * Read as many complete frames as there are in the buffer.
+ */
+WebSocket.prototype._parse = function() {
+  while (!this.closed && this._buffer.length >= 2) {
+    var buffer = this._buffer;
+    var fin = (buffer[0] & 0x80) !== 0;
+    var opcode = buffer[0] & 0x0f;
+    var masked = (buffer[1] & 0x80) !== 0;
+    var length = buffer[1] & 0x7f;
+    var offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) {
+        return;
+      }
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) {
+        return;
+      }
+      // anything needing the high 32 bits is far beyond MAX_PAYLOAD anyway
+      length = (buffer.readUInt32BE(2) * 0x100000000) + buffer.readUInt32BE(6);
+      offset = 10;
+    }
+
+    if (!masked) {
+      // clients must mask every frame
+      return this.close(1002);
+    }
+    // data frames count towards the whole message, so that a stream of
+    // small fragments can't grow it beyond MAX_PAYLOAD either
+    if ((opcode < 0x8 ? this._fragmentsLength : 0) + length > MAX_PAYLOAD) {
+      return this.close(1009);
+    }
+    if (buffer.length < offset + 4 + length) {
+      return;
+    }
+
+    var mask = buffer.slice(offset, offset + 4);
+    var payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+    for (var i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    this._buffer = buffer.slice(offset + 4 + length);
+    this._frame(fin, opcode, payload);
+  }
+};
+
+/**
+ * Handle a single frame.
+ */
+WebSocket.prototype._frame = function(fin, opcode, payload) {
+  switch (opcode) {
+    case opcodes.text:
+    case opcodes.binary:
+    case opcodes.continuation:
+      this._fragments.push(payload);
+      this._fragmentsLength += payload.length;
+      if (fin) {
+        var message = Buffer.concat(this._fragments);
+        this._fragments = [];
+        this._fragmentsLength = 0;
+        this.emit('message', message.toString('utf8'));
+      }
+      break;
+    case opcodes.ping:
+      this._send(opcodes.pong, payload);
+      break;
+    case opcodes.pong:
+      break;
+    case opcodes.close:
+      this.close((payload.length >= 2) ? payload.readUInt16BE(0) : 1000);
+      break;
+    default:
+      this.close(1002);
+  }
+};
+
+/**
+ * Write a single, unmasked, frame.
+ */
+WebSocket.prototype._send = function(opcode, payload) {
+  if (this.closed || this.socket.destroyed) {
+    return;
+  }
+  var header;
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+    header.writeUInt32BE(payload.length % 0x100000000, 6);
+  }
+  header[0] = 0x80 | opcode;
+  this.socket.write(Buffer.concat([header, payload]));
+};
+
+/**
+ * Send a text message.
+ *
+ * @param <String>message
+ */
+WebSocket.prototype.send = function(message) {
+  this._send(opcodes.text, Buffer.from(message, 'utf8'));
+};
+
+/**
+ * Close the connection.
+ *
+ * @param <Number>code (default 1000, normal closure)
+ */
+WebSocket.prototype.close = function(code) {
+  if (this.closed) {
+    return;
+  }
+  var payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code || 1000, 0);
+  this._send(opcodes.close, payload);
+  this.socket.end();
+  this._closed(code || 1000);
+};
+
+WebSocket.prototype._closed = function(code) {
+  if (this.closed) {
+    return;
+  }
+  this.closed = true;
+  this.emit('close', code);
+};
+
+/**
+ * Complete the opening handshake of an ``upgrade`` request.
+ *
+ * @param <Object>req http.IncomingMessage
+ * @param <Object>socket net.Socket
+ * @param <Buffer>head anything already read past the request headers
+ *
+ * @return <Object>WebSocket, or null if the request wasn't a valid handshake
+ */
+function accept(req, socket, head) {
+  var key = req.headers['sec-websocket-key'];
+  if (req.method !== 'GET' || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+  var digest = crypto.createHash('sha1').update(key + GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    'Sec-WebSocket-Accept: ' + digest,
+    '',
+    '',
+  ].join('\r\n'));
+
+  var websocket = new WebSocket(socket);
+  if (head && head.length > 0) {
+    // give the caller a chance to listen for the message first
+    process.nextTick(function() {
+      websocket._buffer = Buffer.concat([head, websocket._buffer]);
+      websocket._parse();
+    });
+  }
+  return websocket;
+}
+
+module.exports = {
+  accept: accept,
+  WebSocket: WebSocket,
+};
@@ -0,0 +1,703 @@
+// Type definitions for metrinix. The result shapes match the JSON Schemas in
+// schemas/v2, which metrinix.validate() checks results against.
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+import * as http from 'http';
+
+declare namespace metrinix {
+  type CollectorName = 'cpuUsage' | 'uptime' | 'ps' | 'df' | 'memory' | 'loadAvg' | 'network';
+
+  /**
+   * A duration such as '30s', '5m', '1h' or '1d', or milliseconds.
+   */
+  type Duration = string | number;
+
+  interface ReaderOptions {
+    /** give up on the reading once aborted */
+    signal?: AbortSignal;
+    /** milliseconds to give up after */
+    timeout?: number;
+  }
+
+  interface RateOptions extends ReaderOptions {
+    /** milliseconds between the two readings (default 1000) */
+    interval?: number;
+  }
+
+  // cpuUsage
+
+  /**
+   * Clock ticks spent in each state since boot, as /proc/stat names them.
+   */
+  interface CpuTimes {
+    user: number;
+    nice: number;
+    system: number;
+    idle: number;
+    iowait: number;
+    irq: number;
+    softirq: number;
+    steal: number;
+    guest: number;
+    guest_nice: number;
+  }
+
+  /**
+   * Percent of the interval spent in each state.
+   */
+  interface CpuUsage {
+    user: number;
+    nice: number;
+    system: number;
+    idle: number;
+    iowait: number;
+    irq: number;
+    softirq: number;
+    steal: number;
+    guest: number;
+    guestNice: number;
+    /** percent of the interval not spent idle or waiting on io */
+    percent: number;
+    raw: {
+      ticks: number;
+      prev: CpuTimes;
+      cur: CpuTimes;
+    };
+  }
+
+  interface CpuUsageResult {
+    /** milliseconds between the readings */
+    interval: number;
+    total: CpuUsage;
+    cores: Array<CpuUsage & { core: number }>;
+  }
+
+  interface CpuSnapshot {
+    time: number;
+    total: CpuTimes;
+    cores: Array<{ core: number; times: CpuTimes }>;
+  }
+
+  // uptime
+
+  interface UptimeResult {
+    /** seconds since boot */
+    up: number;
+    /** seconds idle, per core */
+    idle: number;
+    /** seconds idle, summed over the cores */
+    idleTotal: number;
+  }
+
+  // loadAvg
+
+  interface LoadAvgResult {
+    min1: number;
+    min5: number;
+    min15: number;
+    raw: [number, number, number];
+  }
+
+  // memory
+
+  interface Size {
+    /** bytes */
+    size: number;
+    unit: 'B';
+  }
+
+  interface MemoryResult {
+    ram: {
+      /** MemTotal */
+      total: Size;
+      /** MemTotal less MemAvailable, as free(1) counts it */
+      used: Size;
+      free: Size;
+      /** MemAvailable */
+      available: Size;
+      cached: Size;
+      buffers: Size;
+    };
+    swap: {
+      total: Size;
+      used: Size;
+      free: Size;
+      cached: Size;
+    };
+    /** every field of /proc/meminfo, in bytes but for counts such as HugePages_Total */
+    raw: { [field: string]: Size | { size: number; unit?: string } };
+  }
+
+  // df
+
+  interface DfOptions extends ReaderOptions {
+    /** also list the filesystems without blocks and every mount of a device (default false) */
+    all?: boolean;
+    /** filesystem types to leave out */
+    exclude?: string[];
+    /** false to leave out the types of df.pseudo, such as tmpfs, overlay and squashfs (default true) */
+    pseudo?: boolean;
+  }
+
+  interface Filesystem {
+    /** the mounted device, eg. '/dev/sda1' */
+    filesystem: string;
+    /** major:minor */
+    device: string;
+    type: string;
+    options: string[];
+    readOnly: boolean;
+    capacity: Size;
+    used: Size;
+    free: Size;
+    /** free to users other than root */
+    available: Size;
+    /** free to root only */
+    reserved: Size;
+    /** percent of the capacity left */
+    remaining: number;
+    blocks: {
+      /** bytes */
+      size: number;
+      total: number;
+      used: number;
+      free: number;
+      available: number;
+      reserved: number;
+    };
+    inodes: {
+      total: number;
+      used: number;
+      free: number;
+    };
+    mountPoint: string;
+    /** the fields of the /proc/self/mountinfo line */
+    raw: string[];
+  }
+
+  type DfResult = Filesystem[];
+
+  // ps
+
+  interface ProcessInfo {
+    id: {
+      process: string;
+      parent: number;
+    };
+    executable: string;
+    command: string;
+    state: {
+      code: string;
+      /** eg. 'Sleeping', unset for codes metrinix doesn't know */
+      value?: string;
+    };
+    /** the fields of /proc/<pid>/stat, see bin/statMap.js */
+    raw: {
+      pid: number;
+      comm: string;
+      state: string;
+      ppid: number;
+      utime: number;
+      stime: number;
+      cutime: number;
+      cstime: number;
+      starttime: number;
+      rss: number;
+      [field: string]: number | string;
+    };
+    /** the resident set size */
+    memory: Size & {
+      pages: number;
+      pagesize: number;
+    };
+  }
+
+  interface ProcessUsage extends ProcessInfo {
+    cpu: {
+      /** percent of one core */
+      totalPercent: number;
+      userPercent: number;
+      systemPercent: number;
+      /** seconds over the interval */
+      raw: {
+        user: number;
+        system: number;
+        total: number;
+      };
+    };
+  }
+
+  type PsResult = { [pid: string]: ProcessUsage };
+
+  interface PsSnapshot {
+    time: number;
+    hertz: number;
+    pagesize: number;
+    processes: { [pid: string]: ProcessInfo };
+  }
+
+  // network
+
+  type InterfaceType = 'physical' | 'docker' | 'bridge' | 'tun/tap';
+
+  interface Speed {
+    /** bytes per second */
+    speed: number;
+    unit: 'B/s';
+  }
+
+  interface InterfaceCounters {
+    name: string;
+    type: InterfaceType;
+    receive: {
+      bytes: number;
+      packets: number;
+      errs: number;
+      drop: number;
+      fifo: number;
+      frame: number;
+      compressed: number;
+      multicast: number;
+    };
+    transfer: {
+      bytes: number;
+      packets: number;
+      errs: number;
+      drop: number;
+      fifo: number;
+      colls: number;
+      carrier: number;
+      compressed: number;
+    };
+    raw: string[];
+  }
+
+  interface InterfaceUsage {
+    type: InterfaceType;
+    rx: Speed;
+    tx: Speed;
+    raw: {
+      prev: InterfaceCounters;
+      cur: InterfaceCounters;
+    };
+  }
+
+  interface NetworkResult {
+    interfaces: { [name: string]: InterfaceUsage };
+    total: { [type in InterfaceType]?: { rx: Speed; tx: Speed } };
+  }
+
+  interface NetworkSnapshot {
+    time: number;
+    interfaces: { [name: string]: InterfaceCounters };
+  }
+
+  interface Results {
+    cpuUsage: CpuUsageResult;
+    uptime: UptimeResult;
+    ps: PsResult;
+    df: DfResult;
+    memory: MemoryResult;
+    loadAvg: LoadAvgResult;
+    network: NetworkResult;
+  }
+
+  // readers
+
+  interface Reader<T, O = ReaderOptions> {
+    (options?: O): Promise<T>;
+  }
+
+  interface RateReader<T, S> extends Reader<T, RateOptions> {
+    snapshot: Reader<S>;
+    diff(prev: S, cur: S): T;
+  }
+
+  /**
+   * The error the readers reject with, and the warnings of partial results.
+   */
+  class MetrinixError extends Error {
+    constructor(code: MetrinixError.Code, message: string, details?: { source?: string; cause?: Error });
+    name: 'MetrinixError';
+    code: MetrinixError.Code;
+    /** the file or command which failed */
+    source: string | null;
+    cause: Error | null;
+    static read(file: string, cause: Error): MetrinixError;
+    static parse(source: string, problem: string, cause?: Error): MetrinixError;
+    static warn<T extends object>(result: T, warnings: MetrinixError[]): T & Partial<WithWarnings>;
+    static fromJSON(json: WarningJSON): MetrinixError;
+    toJSON(): WarningJSON;
+  }
+
+  namespace MetrinixError {
+    type Code = 'EREAD' | 'EPARSE' | 'EEXEC' | 'EABORT' | 'ETIMEOUT';
+  }
+
+  /**
+   * Partial results carry the problems met, left out of their keys and JSON.
+   */
+  interface WithWarnings {
+    warnings: MetrinixError[];
+  }
+
+  /**
+   * A warning as written out next to the JSON of its result.
+   */
+  interface WarningJSON {
+    code: MetrinixError.Code;
+    message: string;
+    source: string | null;
+  }
+
+  interface ValidationError {
+    /** eg. 'memory.ram.free.size' */
+    path: string;
+    message: string;
+  }
+
+  interface Validation {
+    valid: boolean;
+    errors: ValidationError[];
+  }
+
+  // watching and what is built on it
+
+  interface Sample {
+    /** milliseconds since epoch */
+    time: number;
+    data: Partial<Results>;
+  }
+
+  interface WatchOptions {
+    collectors?: CollectorName[];
+    /** milliseconds between samples (default 1000) */
+    interval?: number;
+  }
+
+  interface Watcher extends EventEmitter {
+    collectors: CollectorName[];
+    interval: number;
+    pause(): void;
+    resume(): void;
+    stop(): void;
+    on(event: 'sample', listener: (sample: Sample) => void): this;
+    on(event: 'error', listener: (err: Error & { collector: CollectorName }) => void): this;
+    on(event: 'warning', listener: (warning: MetrinixError & { collector: CollectorName }) => void): this;
+    on(event: 'pause' | 'resume' | 'stop', listener: () => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+  }
+
+  interface Point {
+    time: number;
+    value: number;
+  }
+
+  interface Stats {
+    count: number;
+    min: number;
+    max: number;
+    average: number;
+    last: number;
+    percentiles: { [percentile: string]: number };
+  }
+
+  interface HistoryOptions {
+    retention?: Duration;
+    capacity?: number;
+  }
+
+  interface History {
+    add(collector: CollectorName, result: any, time?: number): void;
+    record(sample: Sample): void;
+    listen(watcher: Watcher): this;
+    prune(now?: number): void;
+    paths(): string[];
+    series(path: string, window?: Duration): Point[];
+    stats(path: string, window?: Duration, percentiles?: number[]): Stats;
+    windows(path: string): { min1: Stats; min5: Stats; min15: Stats };
+  }
+
+  type Consolidation = 'average' | 'min' | 'max' | 'last';
+
+  interface StoreOptions {
+    directory: string;
+    archives?: Array<{ step: Duration; retention: Duration }>;
+    /** the metric paths to store (default all but those of processes and veth interfaces) */
+    filter?: (path: string) => boolean;
+  }
+
+  interface FetchOptions {
+    from?: Duration | Date;
+    to?: Duration | Date;
+    consolidation?: Consolidation;
+    step?: Duration;
+  }
+
+  interface Series {
+    path: string;
+    step: number;
+    consolidation: Consolidation;
+    from: number;
+    to: number;
+    points: Array<{ time: number; value: number | null }>;
+  }
+
+  interface Store {
+    add(collector: CollectorName, result: any, time?: number): PromiseLike<void>;
+    record(sample: Sample): PromiseLike<void>;
+    listen(watcher: Watcher, onError?: (err: Error) => void): this;
+    fetch(metric: string, options?: FetchOptions): PromiseLike<Series>;
+    paths(): PromiseLike<string[]>;
+    close(): PromiseLike<void>;
+  }
+
+  type AlertState = 'pending' | 'firing' | 'resolved';
+
+  interface Rule {
+    /** eg. 'memory.ram.free.size < 200000 for 5m' */
+    expression: string;
+    name?: string;
+    severity?: string;
+    clear?: number;
+    annotations?: any;
+  }
+
+  interface Alert {
+    name: string;
+    expression: string;
+    severity: string;
+    annotations: any;
+    path: string;
+    state: AlertState;
+    value: number | null;
+    threshold: number;
+    time: number;
+    since: number | null;
+    firedAt: number | null;
+    resolvedAt: number | null;
+  }
+
+  interface Alerts extends EventEmitter {
+    add(rule: Rule | string): this;
+    remove(name: string): void;
+    rule(name: string): (Rule & { name: string }) | null;
+    evaluate(collector: CollectorName, result: any, time?: number): void;
+    record(sample: Sample): void;
+    listen(watcher: Watcher): this;
+    alerts(state?: AlertState): Alert[];
+    on(event: AlertState | 'alert', listener: (alert: Alert) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+  }
+
+  // exporters
+
+  interface PrometheusOptions {
+    path?: string;
+    collectors?: CollectorName[];
+  }
+
+  interface PrometheusHandler {
+    (req: http.IncomingMessage, res: http.ServerResponse, next?: () => void): void;
+    metrics(): PromiseLike<string>;
+  }
+
+  interface InfluxOptions {
+    url?: string;
+    database?: string;
+    username?: string;
+    password?: string;
+    retentionPolicy?: string;
+    tags?: { [tag: string]: string };
+    batchSize?: number;
+    flushInterval?: number;
+    payloadSize?: number;
+  }
+
+  interface InfluxWriter extends EventEmitter {
+    write(collector: CollectorName, result: any, time?: number): PromiseLike<void>;
+    record(sample: Sample): PromiseLike<void>;
+    listen(watcher: Watcher): this;
+    collect(collectors?: CollectorName[]): PromiseLike<void>;
+    flush(): PromiseLike<void>;
+    close(): PromiseLike<void>;
+  }
+
+  interface StatsdOptions {
+    host?: string;
+    port?: number;
+    prefix?: string;
+    sampleRate?: number;
+    dogstatsd?: boolean;
+    tags?: { [tag: string]: string };
+    payloadSize?: number;
+  }
+
+  interface StatsdClient {
+    send(collector: CollectorName, result: any): PromiseLike<void>;
+    record(sample: Sample): PromiseLike<void>;
+    listen(watcher: Watcher): this;
+    collect(collectors?: CollectorName[]): PromiseLike<void>;
+    close(): void;
+  }
+
+  interface GraphiteOptions {
+    host?: string;
+    port?: number;
+    template?: string | ((metric: any) => string);
+    pickle?: boolean;
+    batchSize?: number;
+    flushInterval?: number;
+    maxQueue?: number;
+    reconnectDelay?: number;
+  }
+
+  interface GraphiteClient extends EventEmitter {
+    metrics(collector: CollectorName, result: any, time?: number): Array<[string, number, number]>;
+    send(collector: CollectorName, result: any, time?: number): void;
+    record(sample: Sample): void;
+    listen(watcher: Watcher): this;
+    collect(collectors?: CollectorName[]): PromiseLike<void>;
+    close(): PromiseLike<void>;
+  }
+
+  interface OtlpOptions {
+    endpoint?: string;
+    headers?: { [header: string]: string };
+    resource?: { [attribute: string]: string | number | boolean };
+    interval?: number;
+    processes?: boolean;
+  }
+
+  interface OtlpExporter {
+    metrics(): PromiseLike<any>;
+    export(): PromiseLike<MetrinixError[]>;
+    start(interval?: number, onError?: (err: Error) => void): this;
+    stop(): void;
+  }
+
+  interface ServeOptions {
+    port?: number;
+    host?: string;
+    prefix?: string;
+    stream?: boolean;
+    dashboard?: boolean;
+    timeout?: number;
+  }
+
+  // record, replay and mock
+
+  interface RecordedSample extends Sample {
+    /** the warnings of the partial results, by collector */
+    warnings?: { [collector: string]: WarningJSON[] };
+  }
+
+  interface Recording {
+    file: string;
+    loop: boolean;
+    samples(): PromiseLike<RecordedSample[]>;
+    next<K extends CollectorName>(collector: K): PromiseLike<Results[K]>;
+    rewind(): void;
+  }
+
+  interface Clock extends EventEmitter {
+    now(): number;
+    setTimeout(callback: () => void, ms: number): number;
+    setInterval(callback: () => void, ms: number): number;
+    clearTimeout(id: number): void;
+    clearInterval(id: number): void;
+    advance(ms: Duration): this;
+  }
+
+  interface MockProcess {
+    pid: number;
+    ppid?: number;
+    name?: string;
+    command?: string;
+    state?: string;
+    /** percent of one core */
+    cpu?: number;
+    /** the share of cpu spent in the kernel */
+    system?: number;
+    /** bytes */
+    rss?: number;
+    threads?: number;
+  }
+
+  interface MockFixture {
+    time?: number;
+    uptime?: number;
+    hertz?: number;
+    pagesize?: number;
+    cpus?: Array<Partial<Record<keyof CpuTimes, number>>>;
+    load?: [number, number, number];
+    memory?: { [field: string]: number };
+    mounts?: Array<{ filesystem: string; mountPoint: string; size: number; used?: number; growth?: number }>;
+    interfaces?: { [name: string]: { type?: InterfaceType; rx?: number; tx?: number; rxPackets?: number; txPackets?: number } };
+    processes?: MockProcess[];
+  }
+
+  interface MockHost {
+    clock: Clock;
+    processes: { [pid: string]: MockProcess };
+    interfaces: MockFixture['interfaces'];
+    spawn(process: MockProcess): void;
+    kill(pid: number): void;
+    file(path: string): string | null;
+  }
+
+  interface MetrinixOptions {
+    /** where procfs is mounted (default '/proc') */
+    procRoot?: string;
+    /** where sysfs is mounted (default '/sys') */
+    sysRoot?: string;
+    /** where the root filesystem is mounted (default '/') */
+    rootfs?: string;
+  }
+
+  interface Metrinix {
+    cpuUsage: RateReader<CpuUsageResult, CpuSnapshot>;
+    uptime: Reader<UptimeResult>;
+    ps: RateReader<PsResult, PsSnapshot>;
+    df: Reader<DfResult, DfOptions> & {
+      /** the types df({ pseudo: false }) leaves out */
+      pseudo: string[];
+    };
+    memory: Reader<MemoryResult>;
+    loadAvg: Reader<LoadAvgResult>;
+    network: RateReader<NetworkResult, NetworkSnapshot>;
+
+    watch(options?: WatchOptions): Watcher;
+    history(options?: HistoryOptions): History;
+    alerts(options?: { rules?: Array<Rule | string> }): Alerts;
+    store(options: StoreOptions): Store;
+    prometheus(options?: PrometheusOptions): PrometheusHandler;
+    influx(options?: InfluxOptions): InfluxWriter;
+    statsd(options?: StatsdOptions): StatsdClient;
+    graphite(options?: GraphiteOptions): GraphiteClient;
+    otlp(options?: OtlpOptions): OtlpExporter;
+    serve: {
+      (options?: ServeOptions): http.Server;
+      handler(options?: { prefix?: string; timeout?: number }): (req: http.IncomingMessage, res: http.ServerResponse, next?: () => void) => void;
+    };
+
+    format(value: number | Size | Speed, options?: { system?: 'iec' | 'si'; precision?: number }): string;
+    validate(collector: CollectorName, result: any, options?: { version?: number }): Validation;
+    schemas: {
+      /** the version of the results this metrinix returns */
+      version: number;
+      versions: { [version: number]: { [collector in CollectorName]: object } };
+    };
+
+    MetrinixError: typeof MetrinixError;
+    createMetrinix(options?: MetrinixOptions): Metrinix;
+    mock(fixture?: MockFixture | string, options?: { auto?: boolean }): Metrinix & { host: MockHost };
+    replay(file: string, options?: { loop?: boolean }): Metrinix & { recording: Recording };
+  }
+}
+
+declare const metrinix: metrinix.Metrinix;
+
+export = metrinix;
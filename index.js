@@ -1,8 +1,24 @@
 var Q = require('q');
 var fs = require('fs');
-var os = require('os');
+var path = require('path');
 var child_process = require('child_process');
 var statMap = require('./bin/statMap.js');
+var cpuStatMap = require('./bin/cpuStatMap.js');
+var Watcher = require('./bin/watcher.js');
+var History = require('./bin/history.js');
+var Alerts = require('./bin/alerts.js').Alerts;
+var Store = require('./bin/store.js').Store;
+var Recording = require('./bin/recording.js').Recording;
+var MockHost = require('./bin/mockHost.js').MockHost;
+var MetrinixError = require('./bin/metrinixError.js');
+var schema = require('./bin/schema.js');
+var prometheus = require('./bin/prometheus.js');
+var influx = require('./bin/influx.js');
+var statsd = require('./bin/statsd.js');
+var graphite = require('./bin/graphite.js');
+var otlp = require('./bin/otlp.js');
+var server = require('./bin/server.js');
+var text = require('./bin/text.js');
 
 
 function defer(f) {
@@ -11,153 +27,395 @@ function defer(f) {
   return deferred.promise;
 }
 
+/**
+ * Turn a reader into one which returns a native Promise and can be given up
+ * on, by aborting ``options.signal`` or after ``options.timeout``
+ * milliseconds. The reader is given its own signal in ``options.signal``,
+ * aborted either way, to stop its sleeps and kill its commands.
+ */
+function cancellable(reader) {
+  return function(options) {
+    options = options || {};
+    var signal = options.signal;
+    var timeout = options.timeout;
+    var controller = new AbortController();
+    var settings = {};
+    Object.keys(options).forEach(function(key) {
+      settings[key] = options[key];
+    });
+    settings.signal = controller.signal;
+
+    return new Promise(function(resolve, reject) {
+      var timer = null;
+      var finish = function() {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', aborted);
+        }
+      };
+      var stop = function(err) {
+        if (controller.signal.aborted) {
+          return;
+        }
+        finish();
+        controller.abort(err);
+        reject(err);
+      };
+      var aborted = function() {
+        stop(new MetrinixError('EABORT', 'Aborted', { cause: signal.reason }));
+      };
+
+      if (typeof(timeout) !== 'undefined' && !(typeof(timeout) === 'number' && timeout >= 0)) {
+        return reject(new TypeError('Invalid timeout: ' + timeout + ' (milliseconds)'));
+      }
+      if (signal && signal.aborted) {
+        return aborted();
+      }
+      if (signal) {
+        signal.addEventListener('abort', aborted);
+      }
+      if (typeof(timeout) === 'number') {
+        // real time even on a mock host, whose clock may never move
+        timer = setTimeout(function() {
+          stop(new MetrinixError('ETIMEOUT', 'Timed out after ' + timeout + 'ms'));
+        }, timeout);
+      }
+      Q.fcall(reader, settings).then(function(result) {
+        finish();
+        resolve(result);
+      }, function(err) {
+        finish();
+        reject(err);
+      }).done();
+    });
+  };
+}
+
+
+/**
+ * Compare two sets of ``/proc/stat`` cpu counters and return the share of the
+ * elapsed ticks spent in each state as a percentage.
+ */
+function cpuUtilisation(prev, cur) {
+  var diff = {};
+  var ticks = 0;
+  Object.keys(cpuStatMap).forEach(function(key) {
+    // iowait is allowed to step backwards, never report a negative share
+    diff[key] = Math.max(0, cur[key] - prev[key]);
+    // guest and guest_nice are already accounted for in user and nice
+    if (key !== 'guest' && key !== 'guest_nice') {
+      ticks += diff[key];
+    }
+  });
+
+  var usage = {};
+  Object.keys(cpuStatMap).forEach(function(key) {
+    var name = key.replace(/_([a-z])/g, function(match, letter) {
+      return letter.toUpperCase();
+    });
+    usage[name] = (ticks === 0) ? 0 : (100 * diff[key] / ticks);
+  });
+  usage.percent = (ticks === 0) ? 0 : (100 * (ticks - diff.idle - diff.iowait) / ticks);
+  usage.raw = {
+    ticks: ticks,
+    prev: prev,
+    cur: cur,
+  };
+  return usage;
+}
+
 
 module.exports = (function() {
-  function Metrinix() {
+  function Metrinix(options) {
     var self = this;
+    options = options || {};
+
+    // where the readers get their data from: this host, unless a mock
+    // host's are given
+    self._fs = options.fs || fs;
+    self._clock = options.clock || {
+      now: Date.now,
+      setTimeout: setTimeout,
+      clearTimeout: clearTimeout,
+      setInterval: setInterval,
+      clearInterval: clearInterval,
+    };
+
+    self.procRoot = options.procRoot || '/proc';
+    self.sysRoot = options.sysRoot || '/sys';
+    self.rootfs = options.rootfs || '/';
 
-    self._exec = function(command, params) {
+    self._proc = function(file) {
+      return path.join(self.procRoot, file);
+    };
+
+    self._sys = function(file) {
+      return path.join(self.sysRoot, file);
+    };
+
+    // resolves with what the command writes to stdout; if it fails, the
+    // error has its ``status``, ``stdout`` and ``stderr``. Aborting the
+    // signal kills the command.
+    self._exec = function(command, params, signal) {
+      var source = [command].concat(params || []).join(' ');
       return defer(function(deferred) {
-        var buffer = '';
+        if (signal && signal.aborted) {
+          return deferred.reject(signal.reason);
+        }
+        var stdout = '';
+        var stderr = '';
         var child = child_process.spawn(command, params || []);
+        var aborted = function() {
+          // SIGKILL, as a command blocked on eg. a hung NFS mount won't
+          // handle anything else
+          child.kill('SIGKILL');
+          deferred.reject(signal.reason);
+        };
+        if (signal) {
+          signal.addEventListener('abort', aborted);
+          child.on('close', function() {
+            signal.removeEventListener('abort', aborted);
+          });
+        }
         child.stdout.on('data', function (data) {
-          buffer += data;
+          stdout += data;
         });
         child.stderr.on('data', function (data) {
-          buffer += data;
+          stderr += data;
+        });
+        child.on('error', function(err) {
+          deferred.reject(new MetrinixError('EEXEC', 'Unable to run ' + source + ': ' + err.message, {
+            source: source,
+            cause: err,
+          }));
         });
-        child.on('close', function(code) {
-          deferred.resolve(buffer);
+        child.on('close', function(code, signal) {
+          if (code === 0) {
+            return deferred.resolve(stdout);
+          }
+          var err = new MetrinixError('EEXEC', source + ' ' + (signal ? 'was killed by ' + signal : 'exited with ' + code) +
+            (stderr.trim() ? ': ' + stderr.trim().split("\n")[0] : ''), {
+            source: source,
+          });
+          err.status = code;
+          err.stdout = stdout;
+          err.stderr = stderr;
+          deferred.reject(err);
         });
       });
     };
 
-    self._getconf = function(key) {
-      return self._exec('getconf', [key]);
+    if (options.exec) {
+      self._exec = function(command, params, signal) {
+        return Q(options.exec(command, params || [], signal));
+      };
+    }
+
+    // wait on the clock, or until the signal is aborted
+    self._sleep = function(ms, signal) {
+      return defer(function(deferred) {
+        if (signal && signal.aborted) {
+          return deferred.reject(signal.reason);
+        }
+        var aborted = function() {
+          self._clock.clearTimeout(timer);
+          deferred.reject(signal.reason);
+        };
+        var timer = self._clock.setTimeout(function() {
+          if (signal) {
+            signal.removeEventListener('abort', aborted);
+          }
+          deferred.resolve();
+        }, ms);
+        if (signal) {
+          signal.addEventListener('abort', aborted);
+        }
+      });
+    };
+
+    self._getconf = function(key, signal) {
+      return self._exec('getconf', [key], signal).then(function(output) {
+        if (isNaN(parseInt(output, 10))) {
+          throw MetrinixError.parse('getconf ' + key, 'expected a number, got "' + output.trim() + '"');
+        }
+        return output;
+      });
+    };
+
+    // the number of cores, from the stat file rather than os.cpus() so that
+    // it is the host's when reading a host procfs from a container
+    self._cores = function() {
+      var file = self._proc('stat');
+      return Q.ninvoke(self._fs, 'readFile', file, 'utf8').then(function(data) {
+        var cores = data.split("\n").filter(function(line) {
+          return /^cpu[0-9]+\s/.test(line);
+        }).length;
+        if (cores === 0) {
+          throw MetrinixError.parse(file, 'no cpu lines');
+        }
+        return cores;
+      }, function(err) {
+        throw MetrinixError.read(file, err);
+      });
     };
 
     /**
-     * Returns a list of the cpu core loads as a percentage
+     * Returns the current cpu utilisation, per core and in aggregate, as a
+     * percentage of the time elapsed between two ``cpuUsage.snapshot()``
+     * readings taken ``interval`` milliseconds apart.
+     *
+     * Every state is reported separately (user, nice, system, idle, iowait,
+     * irq, softirq, steal, guest and guestNice). ``percent`` is the busy time,
+     * which is everything except idle and iowait. Guest time is already
+     * included in user and nice by the kernel so it is not counted twice.
      *
      * @example
      *    > var metrinix = require('metrinix');
-     *    > metrinix.uptime().then(function(result) { console.log(result); });
+     *    > metrinix.cpuUsage({ interval: 500 }).then(function(result) { console.log(result); });
      *    {
+     *      "interval": 501,
      *      "total": {
+     *        "user": 3.5,
+     *        "nice": 0,
+     *        "system": 1.25,
+     *        "idle": 94.5,
+     *        "iowait": 0.5,
+     *        "irq": 0,
+     *        "softirq": 0.25,
+     *        "steal": 0,
+     *        "guest": 0,
+     *        "guestNice": 0,
+     *        "percent": 5,
      *        "raw": {
-     *          "idle": 80831294000,
-     *          "usage": 1232634800
-     *        },
-     *        "percent": 26
+     *          "ticks": 400,
+     *          "prev": { "user": 105852, "nice": 12912, "system": 17681, ... },
+     *          "cur": { "user": 105866, "nice": 12912, "system": 17686, ... }
+     *        }
      *      },
      *      "cores": [
      *        {
-     *          "user": 3,
+     *          "user": 4,
      *          "nice": 0,
-     *          "sys": 1,
-     *          "idle": 96,
-     *          "irq": 0,
-     *          "total": {
-     *            "percent": 4,
-     *            "raw": {
-     *              "idle": 3263462400,
-     *              "usage": 136446200
-     *            }
-     *          },
-     *          "raw": {
-     *            "model": "Intel(R) Xeon(R) CPU           X5650  @ 2.67GHz",
-     *            "speed": 1600,
-     *            "times": {
-     *              "user": 105852400,
-     *              "nice": 12912200,
-     *              "sys": 17681600,
-     *              "idle": 3263462400,
-     *              "irq": 0
-     *            }
-     *          }
+     *          "system": 2,
+     *          "idle": 94,
+     *          ...
+     *          "percent": 6,
+     *          "raw": { ... },
+     *          "core": 0
      *        },
      *        ...
-     *      ],
+     *      ]
      *    }
      *
-     * @return <Object>defer
+     * @param <Object>options
+     *    interval: milliseconds between the two readings (default 1000)
+     *    signal: AbortSignal to give up on the reading
+     *    timeout: milliseconds to give up after
+     *
+     * @return <Promise>
      */
-    self.cpuUsage = function() {
+    self.cpuUsage = cancellable(function(options) {
+      var interval = (typeof(options.interval) === 'number') ? options.interval : 1000;
+
       return defer(function(deferred) {
-        /**
-         * https://nodejs.org/api/os.html#os_os_cpus
-         *
-         * @example
-            [{
-              model: 'Intel(R) Xeon(R) CPU           X5650  @ 2.67GHz',
-              speed: 1610,
-              times: {
-                user: 4632100,
-                nice: 3240800,
-                sys: 2068200,
-                idle: 3077137800,
-                irq: 0
-              }
-            },]
-         */
-        var cpus = os.cpus();
-        var cpuCoresPercent = [];
-        var cpuTotalLoadPercent = 0;
-        cpus.forEach(function(cpu, offset) {
-          var total = 0;
-          var coreUsage = 0;
-          var totalIdle = 0;
-          var totalUsage = 0;
-          cpuCoresPercent[offset] = {};
-
-          // sum the totals for this cpu core
-          Object.keys(cpu.times).forEach(function(key) {
-            total += cpu.times[key];
-          });
+        self.cpuUsage.snapshot({ signal: options.signal }).then(function(prev) {
+          self._sleep(interval, options.signal).then(function() {
+            return self.cpuUsage.snapshot({ signal: options.signal });
+          }).then(function(cur) {
+            deferred.resolve(self.cpuUsage.diff(prev, cur));
+          }, deferred.reject);
+        }, deferred.reject);
+      });
+    });
+
+    /**
+     * Take a reading of the cumulative cpu time counters in ``/proc/stat``.
+     *
+     * The counters are in USER_HZ ticks since boot, so on their own they only
+     * give an average over the life-time of the system. Compare two readings
+     * with ``cpuUsage.diff()`` to get the utilisation in between.
+     *
+     * @param <Object>options
+     *    signal: AbortSignal to give up on the reading
+     *    timeout: milliseconds to give up after
+     *
+     * @return <Promise>
+     */
+    self.cpuUsage.snapshot = cancellable(function(options) {
+      var file = self._proc('stat');
+      return defer(function(deferred) {
+        self._fs.readFile(file, 'utf8', function(err, data) {
+          if (err) {
+            return deferred.reject(MetrinixError.read(file, err));
+          }
+
+          var stat = {
+            time: self._clock.now(),
+            total: null,
+            cores: [],
+          };
+          data.split("\n").forEach(function(line) {
+            var match = line.match(/^cpu([0-9]*)\s+(.+)$/);
+            if (!match) {
+              return true;
+            }
+
+            var parts = match[2].trim().split(/\s+/);
+            var times = {};
+            Object.keys(cpuStatMap).forEach(function(key) {
+              // older kernels don't report the trailing columns
+              times[key] = parseInt(parts[cpuStatMap[key]] || 0, 10);
+            });
 
-          // calculate the usage percentage for each core
-          Object.keys(cpu.times).forEach(function(key) {
-            var percent = Math.round(100 * (cpu.times[key] / total));
-            cpuCoresPercent[offset][key] = percent;
-            if (key !== 'idle') {
-              cpuTotalLoadPercent += percent;
-              coreUsage += percent;
-              totalUsage += cpu.times[key];
+            if (match[1] === '') {
+              stat.total = times;
             } else {
-              totalIdle += cpu.times[key];
+              stat.cores.push({
+                core: parseInt(match[1], 10),
+                times: times,
+              });
             }
           });
 
-          // add totals
-          cpuCoresPercent[offset].total = {
-            percent: coreUsage,
-            raw: {
-              idle: totalIdle,
-              usage: totalUsage,
-            }
-          };
-          cpuCoresPercent[offset].raw = cpu;
+          if (!stat.total) {
+            return deferred.reject(MetrinixError.parse(file, 'no cpu line'));
+          }
+          deferred.resolve(stat);
         });
+      });
+    });
 
-        var totalIdle = 0;
-        var totalPercent = 0;
-        var totalUsage = 0;
-        cpuCoresPercent.forEach(function(cpu, offset) {
-          totalIdle += cpu.total.raw.idle;
-          totalUsage += cpu.total.raw.usage;
-          totalPercent += cpu.total.percent;
-        });
-        deferred.resolve({
-          total: {
-            raw: {
-              idle: totalIdle,
-              usage: totalUsage,
-            },
-            percent: totalPercent,
-          },
-          cores: cpuCoresPercent,
-        });
+    /**
+     * Compare two ``cpuUsage.snapshot()`` readings and calculate the cpu
+     * utilisation over the time that passed between them.
+     *
+     * @param <Object>prev
+     * @param <Object>cur
+     *
+     * @return <Object>
+     */
+    self.cpuUsage.diff = function(prev, cur) {
+      var prevCores = {};
+      prev.cores.forEach(function(core) {
+        prevCores[core.core] = core.times;
+      });
+
+      var cores = [];
+      cur.cores.forEach(function(core) {
+        if (!prevCores[core.core]) {
+          // the core came online between the readings
+          return true;
+        }
+        var usage = cpuUtilisation(prevCores[core.core], core.times);
+        usage.core = core.core;
+        cores.push(usage);
       });
+
+      return {
+        interval: cur.time - prev.time,
+        total: cpuUtilisation(prev.total, cur.total),
+        cores: cores,
+      };
     };
 
     /**
@@ -177,33 +435,45 @@ module.exports = (function() {
      *      idleTotal: 6538434.06  // total idle time for all cores
      *    }
      *
-     * @return <Object>defer
+     * @param <Object>options
+     *    signal: AbortSignal to give up on the reading
+     *    timeout: milliseconds to give up after
+     *
+     * @return <Promise>
      */
-    self.uptime = function() {
+    self.uptime = cancellable(function(options) {
       return defer(function(deferred) {
-        fs.readFile('/proc/uptime', 'utf8', function(err, data) {
+        var file = self._proc('uptime');
+        self._fs.readFile(file, 'utf8', function(err, data) {
           if (err) {
-            throw err;
+            return deferred.reject(MetrinixError.read(file, err));
           }
 
           var parts = data.split(' ');
-          if (typeof(parts) !== 'object' || !parts.forEach || parts.length !== 2) {
-            throw new Error('Invalid uptime file');
+          if (typeof(parts) !== 'object' || !parts.forEach || parts.length !== 2 || parts.some(function(part) {
+            return isNaN(parseFloat(part));
+          })) {
+            return deferred.reject(MetrinixError.parse(file, 'expected two numbers'));
           }
 
-          return deferred.resolve({
-            up: parseFloat(parts[0]), // uptime in seconds
-            idle: (parseFloat(parts[1]) / os.cpus().length), // time spent idle, avg.
-            idleTotal: parseFloat(parts[1]), // time spend idle for all cpus
-          });
+          self._cores().then(function(cores) {
+            deferred.resolve({
+              up: parseFloat(parts[0]), // uptime in seconds
+              idle: (parseFloat(parts[1]) / cores), // time spent idle, avg.
+              idleTotal: parseFloat(parts[1]), // time spend idle for all cpus
+            });
+          }, deferred.reject);
         });
       });
-    };
+    });
 
 
     /**
      * Get metrics of all currently running processes
      *
+     * Takes two ``ps.snapshot()`` readings ``interval`` milliseconds apart and
+     * returns their ``ps.diff()``.
+     *
      * @example:
      *    > var metrinix = require('metrinix');
      *    > metrinix.ps().then(function(result) { console.log(result); });
@@ -284,388 +554,563 @@ module.exports = (function() {
      *            }
      *         },
      *         memory: {
+     *           size: 0,
+     *           unit: 'B',
      *           pages: 0,
      *           pagesize: 0,
-     *           bytes: 0,
-     *           mb: 0,
      *         }
      *      }
      *
-     * @return <Object>defer
+     * @param <Object>options
+     *    interval: milliseconds between the two readings (default 1000)
+     *    signal: AbortSignal to give up on the reading
+     *    timeout: milliseconds to give up after
+     *
+     * @return <Promise>
      */
-    self.ps = function() {
-      var readAll = function() {
+    self.ps = cancellable(function(options) {
+      var interval = (typeof(options.interval) === 'number') ? options.interval : 1000;
+
+      return defer(function(deferred) {
+        self.ps.snapshot({ signal: options.signal }).then(function(prev) {
+          // to calculate the percent usage right now we need to compare
+          // it against some recent figures, otherwise we would only
+          // be able to achieve an average percentage value over the
+          // life-time of the process.
+          self._sleep(interval, options.signal).then(function() {
+            return self.ps.snapshot({ signal: options.signal });
+          }).then(function(cur) {
+            deferred.resolve(self.ps.diff(prev, cur));
+          }, deferred.reject);
+        }, deferred.reject);
+      });
+    });
+
+    /**
+     * Take a reading of all currently running processes.
+     *
+     * The reading holds the cumulative cpu times of each process, along with
+     * the time it was taken, so two readings can be compared with
+     * ``ps.diff()`` to work out the cpu usage in between.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > metrinix.ps.snapshot().then(function(result) { console.log(result); });
+     *    {
+     *      time: 1476522300123,
+     *      hertz: 100,
+     *      pagesize: 4096,
+     *      processes: {
+     *        '32764': { id: { ... }, executable: 'docker-ssh', ... },
+     *        ...
+     *      }
+     *    }
+     *
+     * @param <Object>options
+     *    signal: AbortSignal to give up on the reading
+     *    timeout: milliseconds to give up after
+     *
+     * @return <Promise>
+     */
+    self.ps.snapshot = cancellable(function(options) {
+      var readAll = function(pagesize) {
         return defer(function(deferred) {
-          self._getconf('PAGESIZE').then(function(pagesize) {
-            fs.readdir('/proc', function(err, dirs) {
-              if (err) {
-                throw err;
-              }
+          self._fs.readdir(self.procRoot, function(err, dirs) {
+            if (err) {
+              return deferred.reject(MetrinixError.read(self.procRoot, err));
+            }
+            var processes = {};
+            // processes which end during the scan, or can't be read for lack
+            // of permissions, are left out or reported in part
+            var warnings = [];
+            var read = function(file) {
               try {
-                var processes = {};
-                dirs.forEach(function(dir) {
-                  var match = dir.match(/[0-9]+$/);
-                  if (!match) {
-                    return true;
-                  }
-                  var PID = match[0];
-                  var command = fs.readFileSync('/proc/'+PID+'/cmdline').toString().replace(/[\x00]/g, ' ');
-
-                  var stat = fs.readFileSync('/proc/'+PID+'/stat').toString().trim();
-
-                  // process names can contain spaces, but they're all wrapped in ()
-                  // so we need to filter these out so we can accurately parse
-                  // the stat file.
-                  var processName = stat.match(/(\([^\)]+\))/);
-                  stat = stat.replace(processName[0], processName[0].replace(/\s/g, '_'));
-
-                  // now that spaces have been replaced with _ in the process names
-                  // of the original stat string, we should be able to split the
-                  // string accurately for kernel 3.5 minimum.
-                  var parts = stat.split(' ');
-                  if (parts.length !== 52) {
-                    console.warn('Stat for process '+PID+' may be inaccurate. Expected 52 entries (as of kernel 3.5), found ' + parts.length);
-                  }
+                return self._fs.readFileSync(file).toString();
+              } catch (err) {
+                warnings.push(MetrinixError.read(file, err));
+                return null;
+              }
+            };
+            var readProcess = function(dir) {
+              var match = dir.match(/[0-9]+$/);
+              if (!match) {
+                return true;
+              }
+              var PID = match[0];
+              var statFile = self._proc(PID+'/stat');
+              var stat = read(statFile);
+              if (stat === null) {
+                return true;
+              }
+              stat = stat.trim();
 
-                  // return the process name back to its original form
-                  parts[statMap.comm] = processName[0];
-
-                  // map the state code to a term to make it human-readable
-                  var state;
-                  switch (parts[statMap.state]) {
-                    case 'S':
-                      state = 'Sleeping';
-                      break;
-                    case 'R':
-                      state = 'Running';
-                      break;
-                    case 'D':
-                      state = 'Waiting';
-                      break;
-                    case 'Z':
-                      state = 'Zombie';
-                      break;
-                    case 'T':
-                      state = 'Stopped';
-                      break;
-                    case 't':
-                      state = 'Tracing stop';
-                      break;
-                    case 'W':
-                      state = 'Paging';
-                      break;
-                    case 'X':
-                    case 'x':
-                      state = 'Dead';
-                      break;
-                    case 'K':
-                      state = 'Wakekill';
-                      break;
-                    case 'W':
-                      state = 'Waking';
-                      break;
-                    case 'P':
-                      state = 'Parked';
-                      break;
-                  }
+              // without the command line, eg. for lack of permissions, the
+              // rest of the process can still be reported
+              var command = read(self._proc(PID+'/cmdline'));
+              command = (command === null) ? '' : command.replace(/[\x00]/g, ' ');
+
+              // process names can contain spaces, but they're all wrapped in ()
+              // so we need to filter these out so we can accurately parse
+              // the stat file.
+              var processName = stat.match(/(\([^\)]+\))/);
+              if (!processName) {
+                warnings.push(MetrinixError.parse(statFile, 'no process name'));
+                return true;
+              }
+              stat = stat.replace(processName[0], processName[0].replace(/\s/g, '_'));
+
+              // now that spaces have been replaced with _ in the process names
+              // of the original stat string, we should be able to split the
+              // string accurately for kernel 3.5 minimum.
+              var parts = stat.split(' ');
+              if (parts.length !== 52) {
+                warnings.push(MetrinixError.parse(statFile, 'may be inaccurate, expected 52 entries (as of kernel 3.5), found ' + parts.length));
+              }
+
+              // return the process name back to its original form
+              parts[statMap.comm] = processName[0];
+
+              // map the state code to a term to make it human-readable
+              var state;
+              switch (parts[statMap.state]) {
+                case 'S':
+                  state = 'Sleeping';
+                  break;
+                case 'R':
+                  state = 'Running';
+                  break;
+                case 'D':
+                  state = 'Waiting';
+                  break;
+                case 'Z':
+                  state = 'Zombie';
+                  break;
+                case 'T':
+                  state = 'Stopped';
+                  break;
+                case 't':
+                  state = 'Tracing stop';
+                  break;
+                case 'W':
+                  state = 'Paging';
+                  break;
+                case 'X':
+                case 'x':
+                  state = 'Dead';
+                  break;
+                case 'K':
+                  state = 'Wakekill';
+                  break;
+                case 'W':
+                  state = 'Waking';
+                  break;
+                case 'P':
+                  state = 'Parked';
+                  break;
+              }
 
-                  // map file to a dict
-                  var rawMap = {};
-                  Object.keys(statMap).forEach(function(key) {
-                    var value = parts[statMap[key]];
-                    if (value.match(/[0-9\.]+$/)) {
-                      value = parseFloat(value);
-                    }
-                    rawMap[key] = value;
-                  });
-
-                  processes[''+PID] = {
-                    id: {
-                      process: PID,
-                      parent: rawMap.ppid,
-                    },
-                    executable: rawMap.comm.replace(/[\(\)]/g, '').trim(),
-                    command: command.trim(),
-                    state: {
-                      code: rawMap.state,
-                      value: state,
-                    },
-                    raw: rawMap,
-                    memory: {
-                      pages: rawMap.rss,
-                      pagesize: pagesize,
-                      bytes: (rawMap.rss*pagesize),
-                      mb: (rawMap.rss===0)?0: ((rawMap.rss*pagesize)/(1024*1024)),
-                    }
-                  };
-                });
-                deferred.resolve(processes);
+              // map file to a dict
+              var rawMap = {};
+              Object.keys(statMap).forEach(function(key) {
+                var value = parts[statMap[key]];
+                if (value.match(/[0-9\.]+$/)) {
+                  value = parseFloat(value);
+                }
+                rawMap[key] = value;
+              });
+
+              processes[''+PID] = {
+                id: {
+                  process: PID,
+                  parent: rawMap.ppid,
+                },
+                executable: rawMap.comm.replace(/[\(\)]/g, '').trim(),
+                command: command.trim(),
+                state: {
+                  code: rawMap.state,
+                  value: state,
+                },
+                raw: rawMap,
+                memory: {
+                  size: rawMap.rss * pagesize,
+                  unit: 'B',
+                  pages: rawMap.rss,
+                  pagesize: pagesize,
+                }
+              };
+            };
+            dirs.forEach(function(dir) {
+              try {
+                readProcess(dir);
               } catch (e) {
-                console.log(e);
+                warnings.push(MetrinixError.parse(self._proc(dir+'/stat'), e.message, e));
               }
             });
+            deferred.resolve(MetrinixError.warn(processes, warnings));
           });
         });
       };
 
       return defer(function(deferred) {
-        self.uptime().then(function(prevUptime) {
-          defer(function(_deferred) {
-            readAll().then(function(prevProcesses) {
-              // to calculate the percent usage right now we need to compare
-              // it against some recent figures, otherwise we would only
-              // be able to achieve an average percentage value over the
-              // life-time of the process.
-              setTimeout(function() {
-                _deferred.resolve({
-                  prevProcesses: prevProcesses,
-                  prevUptime: prevUptime,
-                });
-              }, 1000);
-            });
-          }).then(function(prefab) {
-            return defer(function(_deferred) {
-              // get the uptime right now
-              self.uptime().then(function(curUptime) {
-                var upDiff = curUptime.up - prevUptime.up;
-                prefab.upDiff = upDiff;
-                prefab.curUptime = curUptime;
-                _deferred.resolve(prefab);
-              });
-            });
-          }).then(function(prefab) {
-            // get the list of current processes
-            return defer(function(_deferred) {
-              readAll().then(function(curProcesses) {
-                prefab.curProcesses = curProcesses;
-                _deferred.resolve(prefab);
-              });
-            });
-          }).then(function(prefab) {
-            // get the cpu hertz
-            return defer(function(_deferred) {
-              self._getconf('CLK_TCK').then(function(hertz) {
-                prefab.hertz = hertz;
-                _deferred.resolve(prefab);
-              });
-            });
-          }).then(function(prefab) {
-            try {
-              Object.keys(prefab.curProcesses).forEach(function(pid) {
-                // calculate the cpu usage
-                var prevProcess = prefab.prevProcesses[pid];
-                var curProcess = prefab.curProcesses[pid];
-
-                if (!prevProcess) {
-                  // this is a new process, we have nothing to benchmark
-                  // against. Instead, we will remove it from the list.
-                  delete prefab.curProcesses[pid];
-                  return true;
-                }
+        Q.all([
+          self._getconf('PAGESIZE', options.signal),
+          self._getconf('CLK_TCK', options.signal),
+        ]).then(function(conf) {
+          var pagesize = parseInt(conf[0], 10);
+          var hertz = parseInt(conf[1], 10);
+          readAll(pagesize).then(function(processes) {
+            deferred.resolve(MetrinixError.warn({
+              time: self._clock.now(),
+              hertz: hertz,
+              pagesize: pagesize,
+              processes: processes,
+            }, processes.warnings));
+          }, deferred.reject);
+        }, deferred.reject);
+      });
+    });
 
-                // diff in user space
-                var prevUserTime = prevProcess.raw.utime + prevProcess.raw.cutime;
-                var curUserTime = curProcess.raw.utime + curProcess.raw.cutime;
-                var userDiff = (curUserTime - prevUserTime) / prefab.hertz;
-
-                // diff in system space
-                var prevSystemTime = prevProcess.raw.stime + prevProcess.raw.cstime;
-                var curSystemTime = curProcess.raw.stime + curProcess.raw.cstime;
-                var systemDiff = (curSystemTime - prevSystemTime) / prefab.hertz;
-
-                // total diff
-                var totalDiff = userDiff + systemDiff;
-
-                prefab.curProcesses[pid].cpu = {
-                  totalPercent: (totalDiff/prefab.upDiff) * 100,
-                  userPercent: (userDiff/prefab.upDiff) * 100,
-                  systemPercent: (systemDiff/prefab.upDiff) * 100,
-                  raw: {
-                    user: userDiff,
-                    system: systemDiff,
-                    total: totalDiff,
-                  }
-                };
-              });
-            } catch (e) {
-              console.log(e);
-            }
-            deferred.resolve(prefab.curProcesses);
-          });
+    /**
+     * Compare two ``ps.snapshot()`` readings and calculate the cpu usage of
+     * each process over the time that passed between them.
+     *
+     * Processes which only appear in the current reading are left out as
+     * there is nothing to benchmark them against.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > metrinix.ps.snapshot().then(function(prev) {
+     *    >   // ... some time later
+     *    >   metrinix.ps.snapshot().then(function(cur) {
+     *    >     console.log(metrinix.ps.diff(prev, cur));
+     *    >   });
+     *    > });
+     *
+     * @param <Object>prev
+     * @param <Object>cur
+     *
+     * @return <Object>
+     */
+    self.ps.diff = function(prev, cur) {
+      // seconds between the two readings
+      var elapsed = (cur.time - prev.time) / 1000;
+      var percent = function(seconds) {
+        return (elapsed > 0) ? (seconds / elapsed) * 100 : 0;
+      };
+
+      var processes = {};
+      Object.keys(cur.processes).forEach(function(pid) {
+        var prevProcess = prev.processes[pid];
+        var curProcess = cur.processes[pid];
+
+        if (!prevProcess || prevProcess.raw.starttime !== curProcess.raw.starttime) {
+          // this is a new process (or the pid was recycled), we have nothing
+          // to benchmark against. Instead, we will leave it out of the list.
+          return true;
+        }
+
+        // diff in user space
+        var prevUserTime = prevProcess.raw.utime + prevProcess.raw.cutime;
+        var curUserTime = curProcess.raw.utime + curProcess.raw.cutime;
+        var userDiff = (curUserTime - prevUserTime) / cur.hertz;
+
+        // diff in system space
+        var prevSystemTime = prevProcess.raw.stime + prevProcess.raw.cstime;
+        var curSystemTime = curProcess.raw.stime + curProcess.raw.cstime;
+        var systemDiff = (curSystemTime - prevSystemTime) / cur.hertz;
+
+        // total diff
+        var totalDiff = userDiff + systemDiff;
+
+        var process = {};
+        Object.keys(curProcess).forEach(function(key) {
+          process[key] = curProcess[key];
         });
+        process.cpu = {
+          totalPercent: percent(totalDiff),
+          userPercent: percent(userDiff),
+          systemPercent: percent(systemDiff),
+          raw: {
+            user: userDiff,
+            system: systemDiff,
+            total: totalDiff,
+          }
+        };
+        processes[pid] = process;
       });
+      return MetrinixError.warn(processes, (prev.warnings || []).concat(cur.warnings || []));
     };
 
     /**
-     * Returns summary information about mounted disks
+     * Returns summary information about the mounted filesystems, from
+     * ``/proc/self/mountinfo`` and ``statfs()``, with sizes in bytes.
+     *
+     * Like df, filesystems without any blocks, such as proc and sysfs, are
+     * left out, as are all but the shortest mount point of a device mounted
+     * more than once, unless ``all`` is given.
      *
      * @example:
      *    > var metrinix = require('metrinix');
-     *    > metrinix.df().then(function(result) { console.log(result); });
-     *    [ { filesystem: 'udev',
-     *        capacity: { size: 78848, unit: 'M' },
-     *        used: { size: 0, unit: 'M' },
-     *        available: { size: 78848, unit: 'M' },
-     *        remaining: 100,
-     *        mountPoint: '/dev',
-     *        raw: [ 'udev', '77G', '0', '77G', '0%', '/dev' ] },
-     *      { filesystem: 'tmpfs',
-     *        capacity: { size: 16384, unit: 'M' },
-     *        used: { size: 28, unit: 'M' },
-     *        available: { size: 16384, unit: 'M' },
-     *        remaining: 99,
-     *        mountPoint: '/run',
-     *        raw: [ 'tmpfs', '16G', '28M', '16G', '1%', '/run' ] },
-     *      { filesystem: '/dev/mapper/darkangel--vg-root',
-     *        capacity: { size: 6081740.8, unit: 'M' },
-     *        used: { size: 3565158.4, unit: 'M' },
-     *        available: { size: 2411724.8, unit: 'M' },
-     *        remaining: 39,
+     *    > metrinix.df({ pseudo: false }).then(function(result) { console.log(result); });
+     *    [ { filesystem: '/dev/mapper/darkangel--vg-root',
+     *        device: '253:1',
+     *        type: 'ext4',
+     *        options: [ 'rw', 'relatime' ],
+     *        readOnly: false,
+     *        capacity: { size: 6369543041024, unit: 'B' },
+     *        used: { size: 3735302938624, unit: 'B' },
+     *        free: { size: 2634240102400, unit: 'B' },
+     *        available: { size: 2310603943936, unit: 'B' },
+     *        reserved: { size: 323636158464, unit: 'B' },
+     *        remaining: 38,
+     *        blocks:
+     *         { size: 4096,
+     *           total: 1555064219,
+     *           used: 911939194,
+     *           free: 643125025,
+     *           available: 564112291,
+     *           reserved: 79012734 },
+     *        inodes: { total: 388767744, used: 2291367, free: 386476377 },
      *        mountPoint: '/',
      *        raw:
-     *         [ '/dev/mapper/darkangel--vg-root',
-     *           '5.8T',
-     *           '3.4T',
-     *           '2.3T',
-     *           '61%',
-     *           '/' ] } ]
+     *         [ '29', '1', '253:1', '/', '/', 'rw,relatime', 'shared:1', '-',
+     *           'ext4', '/dev/mapper/darkangel--vg-root', 'rw,errors=remount-ro' ] } ]
      *
-     * @return <Object>defer
+     * @param <Object>options
+     *    all: also list the filesystems without blocks and every mount of a
+     *        device (default false)
+     *    exclude: list of filesystem types to leave out, eg. ['tmpfs']
+     *    pseudo: false to leave out the filesystems which aren't backed by a
+     *        disk of their own, the types of ``df.pseudo`` (default true)
+     *    signal: AbortSignal to give up on the reading
+     *    timeout: milliseconds to give up after
+     *
+     * @return <Promise>
      */
-    self.df = function() {
+    self.df = cancellable(function(options) {
+      var file = self._proc('self/mountinfo');
+      var exclude = (options.exclude || []).concat((options.pseudo === false) ? self.df.pseudo : []);
       return defer(function(deferred) {
-        // get the information via df because replicating this for the miriad of
-        // disk configurations would be far too much work right now.
-        self._exec('df', ['-H']).then(function(output) {
-          var lines = output.split("\n");
-          lines.splice(0, 1);
-          var df = [];
-          lines.forEach(function(line, offset) {
-            var parts = line.replace(/\s+/g, ' ').split(' ');
-            if (parts.length !== 6) {
+        if (typeof(self._fs.statfs) !== 'function') {
+          // rather than a warning for every filesystem, which would pass for
+          // none being mounted
+          return deferred.reject(new MetrinixError('EREAD', 'Unable to read the filesystems: fs.statfs() needs Node.js 18.15 or later', {
+            source: 'statfs',
+          }));
+        }
+        Q.ninvoke(self._fs, 'readFile', file, 'utf8').then(function(data) {
+          var warnings = [];
+          // with a rootfs only the filesystems mounted below it are the
+          // host's, and the host knows them by their path relative to it
+          var root = path.resolve(self.rootfs);
+          var mountPoint = function(mount) {
+            if (root === '/' || mount === root) {
+              return (root === '/') ? mount : '/';
+            }
+            return (mount.indexOf(root + '/') === 0) ? mount.substr(root.length) : null;
+          };
+          // spaces, tabs, newlines and backslashes are escaped in octal
+          var unescape = function(field) {
+            return field.replace(/\\([0-7]{3})/g, function(match, code) {
+              return String.fromCharCode(parseInt(code, 8));
+            });
+          };
+
+          var mounts = [];
+          data.split("\n").forEach(function(line, offset) {
+            if (!line.trim()) {
               return true;
             }
+            // the optional fields end with a lone dash, followed by the type,
+            // source and options of the filesystem itself
+            var parts = line.split(' ');
+            var separator = parts.indexOf('-', 6);
+            if (separator === -1 || parts.length !== separator + 4) {
+              warnings.push(MetrinixError.parse(file, 'line ' + (offset + 1) + ': expected the fields of a mount, found "' + line + '"'));
+              return true;
+            }
+            var mount = {
+              path: unescape(parts[4]),
+              type: parts[separator + 1],
+              raw: parts,
+            };
+            // a filesystem mounted over another hides it, and statfs() only
+            // reaches the one on top
+            mounts = mounts.filter(function(other) {
+              return other.path !== mount.path;
+            });
+            mounts.push(mount);
+          });
+          mounts = mounts.filter(function(mount) {
+            return mountPoint(mount.path) !== null && exclude.indexOf(mount.type) === -1;
+          });
 
-            var convertToBytes = function(string) {
-              var sizeParts = (new RegExp('([0-9\.]+)([TMG]{1})', 'g')).exec(string);
-              if (!sizeParts) {
-                return 0;
+          return Q.allSettled(mounts.map(function(mount) {
+            return Q.ninvoke(self._fs, 'statfs', mount.path);
+          })).then(function(stats) {
+            var df = [];
+            var devices = {};
+            stats.forEach(function(stat, offset) {
+              var mount = mounts[offset];
+              var parts = mount.raw;
+              if (stat.state !== 'fulfilled') {
+                // eg. a mount point this user can't reach
+                warnings.push(MetrinixError.read(mount.path, stat.reason));
+                return true;
               }
-
-              var size = sizeParts[1];
-              var suffix = sizeParts[2];
-              switch (suffix) {
-                case 'T':
-                  return (parseFloat(size) * (1024*1024*1024)) / 1024;
-                case 'G':
-                  return (parseFloat(size) * (1024*1024)) / 1024;
-                case 'M':
-                  return (parseFloat(size));
-                default:
-                  return 0;
+              stat = stat.value;
+              if (!options.all && stat.blocks === 0) {
+                return true;
               }
-            };
 
-            try {
-              df[offset] = {
-                filesystem: parts[0],
-                capacity: {
-                  size: convertToBytes(parts[1]),
-                  unit: 'M',
-                },
-                used: {
-                  size: convertToBytes(parts[2]),
-                  unit: 'M',
+              var mountOptions = parts[5].split(',');
+              var superOptions = parts[parts.length - 1].split(',');
+              var used = stat.blocks - stat.bfree;
+              var size = function(blocks) {
+                return {
+                  size: blocks * stat.bsize,
+                  unit: 'B',
+                };
+              };
+              var filesystem = {
+                filesystem: unescape(parts[parts.length - 2]),
+                device: parts[2],
+                type: mount.type,
+                options: mountOptions,
+                readOnly: mountOptions.indexOf('ro') > -1 || superOptions.indexOf('ro') > -1,
+                capacity: size(stat.blocks),
+                used: size(used),
+                free: size(stat.bfree),
+                available: size(stat.bavail),
+                // kept back for root
+                reserved: size(stat.bfree - stat.bavail),
+                // as df rounds its Use% up
+                remaining: (used + stat.bavail > 0) ? 100 - Math.ceil(100 * used / (used + stat.bavail)) : 100,
+                blocks: {
+                  size: stat.bsize,
+                  total: stat.blocks,
+                  used: used,
+                  free: stat.bfree,
+                  available: stat.bavail,
+                  reserved: stat.bfree - stat.bavail,
                 },
-                available: {
-                  size: convertToBytes(parts[3]),
-                  unit: 'M',
+                inodes: {
+                  total: stat.files,
+                  used: stat.files - stat.ffree,
+                  free: stat.ffree,
                 },
-                remaining: 100 - parseFloat(parts[4].replace('%', '')),
-                mountPoint: parts[5],
+                mountPoint: mountPoint(mount.path),
                 raw: parts,
               };
-            } catch (e) {
-              console.log(e);
-            }
+
+              // a device mounted more than once, eg. by bind mounts, is
+              // listed at its shortest mount point
+              var seen = devices[filesystem.device];
+              if (options.all || !seen) {
+                devices[filesystem.device] = filesystem;
+                df.push(filesystem);
+              } else if (filesystem.mountPoint.length < seen.mountPoint.length) {
+                df[df.indexOf(seen)] = devices[filesystem.device] = filesystem;
+              }
+            });
+            deferred.resolve(MetrinixError.warn(df, warnings));
           });
-          deferred.resolve(df);
-        });
+        }, function(err) {
+          throw MetrinixError.read(file, err);
+        }).fail(deferred.reject);
       });
-    };
+    });
+
+    /**
+     * The filesystem types ``df({ pseudo: false })`` leaves out: those held in
+     * memory, layered over or packed into other filesystems, or exposing the
+     * kernel's state.
+     */
+    self.df.pseudo = ['tmpfs', 'devtmpfs', 'ramfs', 'overlay', 'squashfs', 'aufs', 'proc', 'sysfs', 'cgroup', 'cgroup2',
+      'devpts', 'mqueue', 'debugfs', 'tracefs', 'securityfs', 'pstore', 'bpf', 'configfs', 'fusectl', 'hugetlbfs',
+      'autofs', 'binfmt_misc', 'nsfs', 'rpc_pipefs', 'efivarfs', 'selinuxfs'];
 
     /**
-     * Get the RAM and SWAP usages
+     * Get the RAM and SWAP usages, in bytes
+     *
+     * RAM used is MemTotal less MemAvailable, as free(1) counts it: what
+     * can't be had without swapping.
      *
      * @example:
      *    > var metrinix = require('metrinix');
      *    > metrinix.memory().then(function(result) { console.log(result); });
      *    { ram:
-     *       { total: { size: 142745588, unit: 'kB' },
-     *         used: { size: 5112264, unit: 'kB' },
-     *         free: { size: 451856, unit: 'kB' },
-     *         cached: { size: 137181468, unit: 'kB' },
-     *         buffers: { size: 1223528, unit: 'kB' } },
+     *       { total: { size: 152104382464, unit: 'B' },
+     *         used: { size: 5932900352, unit: 'B' },
+     *         free: { size: 462700544, unit: 'B' },
+     *         available: { size: 146171482112, unit: 'B' },
+     *         cached: { size: 140473823232, unit: 'B' },
+     *         buffers: { size: 1252892672, unit: 'B' } },
      *      swap:
-     *       { total: { size: 150982652, unit: 'kB' },
-     *         used: { size: 183372, unit: 'kB' },
-     *         free: { size: 150788892, unit: 'kB' },
-     *         cached: { size: 10388, unit: 'kB' } },
+     *       { total: { size: 154606235648, unit: 'B' },
+     *         used: { size: 187772928, unit: 'B' },
+     *         free: { size: 154407825408, unit: 'B' },
+     *         cached: { size: 10637312, unit: 'B' } },
      *      raw:
-     *       { MemTotal: { size: 148539436, unit: 'kB' },
-     *         MemFree: { size: 451856, unit: 'kB' },
-     *         MemAvailable: { size: 142745588, unit: 'kB' },
-     *         Buffers: { size: 1223528, unit: 'kB' },
-     *         Cached: { size: 137181468, unit: 'kB' },
-     *         SwapCached: { size: 10388, unit: 'kB' },
-     *         Active: { size: 37773196, unit: 'kB' },
-     *         Inactive: { size: 104922160, unit: 'kB' },
-     *         'Active(anon)': { size: 2560920, unit: 'kB' },
-     *         'Inactive(anon)': { size: 1778500, unit: 'kB' },
-     *         'Active(file)': { size: 35212276, unit: 'kB' },
-     *         'Inactive(file)': { size: 103143660, unit: 'kB' },
-     *         Unevictable: { size: 3656, unit: 'kB' },
-     *         Mlocked: { size: 3656, unit: 'kB' },
-     *         SwapTotal: { size: 150982652, unit: 'kB' },
-     *         SwapFree: { size: 150788892, unit: 'kB' },
-     *         Dirty: { size: 166584, unit: 'kB' },
-     *         Writeback: { size: 0, unit: 'kB' },
-     *         AnonPages: { size: 4285008, unit: 'kB' },
-     *         Mapped: { size: 242532, unit: 'kB' },
-     *         Shmem: { size: 46424, unit: 'kB' },
-     *         Slab: { size: 4755736, unit: 'kB' },
-     *         SReclaimable: { size: 4590048, unit: 'kB' },
-     *         SUnreclaim: { size: 165688, unit: 'kB' },
-     *         KernelStack: { size: 16800, unit: 'kB' },
-     *         PageTables: { size: 48316, unit: 'kB' },
-     *         NFS_Unstable: { size: 0, unit: 'kB' },
-     *         Bounce: { size: 0, unit: 'kB' },
-     *         WritebackTmp: { size: 0, unit: 'kB' },
-     *         CommitLimit: { size: 225252368, unit: 'kB' },
-     *         Committed_AS: { size: 10929632, unit: 'kB' },
-     *         VmallocTotal: { size: 34359738367, unit: 'kB' },
-     *         VmallocUsed: { size: 0, unit: 'kB' },
-     *         VmallocChunk: { size: 0, unit: 'kB' },
-     *         HardwareCorrupted: { size: 0, unit: 'kB' },
-     *         AnonHugePages: { size: 544768, unit: 'kB' },
-     *         CmaTotal: { size: 0, unit: 'kB' },
-     *         CmaFree: { size: 0, unit: 'kB' },
+     *       { MemTotal: { size: 152104382464, unit: 'B' },
+     *         MemFree: { size: 462700544, unit: 'B' },
+     *         MemAvailable: { size: 146171482112, unit: 'B' },
+     *         Buffers: { size: 1252892672, unit: 'B' },
+     *         Cached: { size: 140473823232, unit: 'B' },
+     *         SwapCached: { size: 10637312, unit: 'B' },
+     *         Active: { size: 38679752704, unit: 'B' },
+     *         Inactive: { size: 107440291840, unit: 'B' },
+     *         'Active(anon)': { size: 2622382080, unit: 'B' },
+     *         'Inactive(anon)': { size: 1821184000, unit: 'B' },
+     *         'Active(file)': { size: 36057370624, unit: 'B' },
+     *         'Inactive(file)': { size: 105619107840, unit: 'B' },
+     *         Unevictable: { size: 3743744, unit: 'B' },
+     *         Mlocked: { size: 3743744, unit: 'B' },
+     *         SwapTotal: { size: 154606235648, unit: 'B' },
+     *         SwapFree: { size: 154407825408, unit: 'B' },
+     *         Dirty: { size: 170582016, unit: 'B' },
+     *         Writeback: { size: 0, unit: 'B' },
+     *         AnonPages: { size: 4387848192, unit: 'B' },
+     *         Mapped: { size: 248352768, unit: 'B' },
+     *         Shmem: { size: 47538176, unit: 'B' },
+     *         Slab: { size: 4869873664, unit: 'B' },
+     *         SReclaimable: { size: 4700209152, unit: 'B' },
+     *         SUnreclaim: { size: 169664512, unit: 'B' },
+     *         KernelStack: { size: 17203200, unit: 'B' },
+     *         PageTables: { size: 49475584, unit: 'B' },
+     *         NFS_Unstable: { size: 0, unit: 'B' },
+     *         Bounce: { size: 0, unit: 'B' },
+     *         WritebackTmp: { size: 0, unit: 'B' },
+     *         CommitLimit: { size: 230658424832, unit: 'B' },
+     *         Committed_AS: { size: 11191943168, unit: 'B' },
+     *         VmallocTotal: { size: 35184372087808, unit: 'B' },
+     *         VmallocUsed: { size: 0, unit: 'B' },
+     *         VmallocChunk: { size: 0, unit: 'B' },
+     *         HardwareCorrupted: { size: 0, unit: 'B' },
+     *         AnonHugePages: { size: 557842432, unit: 'B' },
+     *         CmaTotal: { size: 0, unit: 'B' },
+     *         CmaFree: { size: 0, unit: 'B' },
      *         HugePages_Total: { size: 0, unit: undefined },
      *         HugePages_Free: { size: 0, unit: undefined },
      *         HugePages_Rsvd: { size: 0, unit: undefined },
      *         HugePages_Surp: { size: 0, unit: undefined },
-     *         Hugepagesize: { size: 2048, unit: 'kB' },
-     *         DirectMap4k: { size: 364732, unit: 'kB' },
-     *         DirectMap2M: { size: 35276800, unit: 'kB' },
-     *         DirectMap1G: { size: 116391936, unit: 'kB' } } }
+     *         Hugepagesize: { size: 2097152, unit: 'B' },
+     *         DirectMap4k: { size: 373485568, unit: 'B' },
+     *         DirectMap2M: { size: 36123443200, unit: 'B' },
+     *         DirectMap1G: { size: 119185342464, unit: 'B' } } }
+     *
+     * @param <Object>options
+     *    signal: AbortSignal to give up on the reading
+     *    timeout: milliseconds to give up after
      *
-     * @return <Object>defer
+     * @return <Promise>
      */
-    self.memory = function() {
+    self.memory = cancellable(function(options) {
       return defer(function(deferred) {
-        fs.readFile('/proc/meminfo', function(err, data) {
+        var file = self._proc('meminfo');
+        self._fs.readFile(file, function(err, data) {
           if (err) {
-            throw err;
+            return deferred.reject(MetrinixError.read(file, err));
           }
           var lines = data.toString().split("\n");
           var memoryMap = {};
@@ -675,19 +1120,32 @@ module.exports = (function() {
               return true;
             }
             var byteParts = parts[1].trim().split(' ');
-            memoryMap[parts[0]] = {
-              size: parseInt(byteParts[0], 10),
+            var size = parseInt(byteParts[0], 10);
+            // the kB of /proc/meminfo are blocks of 1024 bytes; counts, eg.
+            // HugePages_Total, have no unit
+            memoryMap[parts[0]] = (byteParts[1] === 'kB') ? {
+              size: size * 1024,
+              unit: 'B',
+            } : {
+              size: size,
               unit: byteParts[1],
             };
           });
+          var missing = ['MemTotal', 'MemAvailable', 'MemFree', 'Cached', 'Buffers', 'SwapTotal', 'SwapFree', 'SwapCached'].filter(function(field) {
+            return !memoryMap[field] || isNaN(memoryMap[field].size);
+          });
+          if (missing.length > 0) {
+            return deferred.reject(MetrinixError.parse(file, 'missing ' + missing.join(', ')));
+          }
           deferred.resolve({
             ram: {
-              total: memoryMap['MemAvailable'],
+              total: memoryMap['MemTotal'],
               used: {
-                size: memoryMap['MemAvailable'].size - memoryMap['MemFree'].size - memoryMap['Cached'].size,
-                unit: memoryMap['MemAvailable'].unit,
+                size: memoryMap['MemTotal'].size - memoryMap['MemAvailable'].size,
+                unit: 'B',
               },
               free: memoryMap['MemFree'],
+              available: memoryMap['MemAvailable'],
               cached: memoryMap['Cached'],
               buffers: memoryMap['Buffers'],
             },
@@ -695,7 +1153,7 @@ module.exports = (function() {
               total: memoryMap['SwapTotal'],
               used: {
                 size: memoryMap['SwapTotal'].size - memoryMap['SwapFree'].size - memoryMap['SwapCached'].size,
-                unit: memoryMap['SwapTotal'].unit,
+                unit: 'B',
               },
               free: memoryMap['SwapFree'],
               cached: memoryMap['SwapCached'],
@@ -704,7 +1162,7 @@ module.exports = (function() {
           });
         });
       });
-    };
+    });
 
     /**
      * System load average
@@ -717,23 +1175,40 @@ module.exports = (function() {
      *      min15: 0.0498046875,
      *      raw: [ 0.01806640625, 0.0576171875, 0.0498046875 ] }
      *
-     * @return <Object>defer
+     * @param <Object>options
+     *    signal: AbortSignal to give up on the reading
+     *    timeout: milliseconds to give up after
+     *
+     * @return <Promise>
      */
-    self.loadAvg = function() {
+    self.loadAvg = cancellable(function(options) {
       return defer(function(deferred) {
-        var loadAvg = os.loadavg();
-        deferred.resolve({
-          min1: loadAvg[0],
-          min5: loadAvg[1],
-          min15: loadAvg[2],
-          raw: loadAvg,
+        var file = self._proc('loadavg');
+        self._fs.readFile(file, 'utf8', function(err, data) {
+          if (err) {
+            return deferred.reject(MetrinixError.read(file, err));
+          }
+          var loadAvg = data.trim().split(/\s+/).slice(0, 3).map(parseFloat);
+          if (loadAvg.length !== 3 || loadAvg.some(isNaN)) {
+            return deferred.reject(MetrinixError.parse(file, 'expected three load averages'));
+          }
+          deferred.resolve({
+            min1: loadAvg[0],
+            min5: loadAvg[1],
+            min15: loadAvg[2],
+            raw: loadAvg,
+          });
         });
       });
-    };
+    });
 
     /**
      * Get network statistics
      *
+     * Takes two ``network.snapshot()`` readings ``interval`` milliseconds
+     * apart and returns their ``network.diff()``: the bytes per second each
+     * interface received (rx) and transmitted (tx) in between.
+     *
      * @example:
      *    > var metrinix = require('metrinix');
      *    > metrinix.network().then(function(result) { console.log(result); });
@@ -742,18 +1217,18 @@ module.exports = (function() {
      *        "veth5dda6cc": {
      *          "type": "docker",
      *          "rx": {
-     *            "speed": 0, "unit": "kB/s"
+     *            "speed": 0, "unit": "B/s"
      *          },
      *          "tx": {
-     *            "speed": 0, "unit": "kB/s"
+     *            "speed": 0, "unit": "B/s"
      *          },
      *          "raw": {
      *            "prev": {
      *              "name": "veth5dda6cc",
      *              "receive": {
      *                "bytes": 335337,
-     *                "errs": 399,
-     *                "packets": 0,
+     *                "packets": 399,
+     *                "errs": 0,
      *                "drop": 0,
      *                "fifo": 0,
      *                "frame": 0,
@@ -762,13 +1237,13 @@ module.exports = (function() {
      *              },
      *              "transfer": {
      *                "bytes": 12105717,
-     *                "errs": 171074,
-     *                "packets": 0,
+     *                "packets": 171074,
+     *                "errs": 0,
      *                "drop": 0,
      *                "fifo": 0,
-     *                "frame": 0,
-     *                "compressed": 0,
-     *                "multicast": 0
+     *                "colls": 0,
+     *                "carrier": 0,
+     *                "compressed": 0
      *              },
      *              "raw": [
      *                "veth5dda6cc:", "335337", "399", "0", "0", "0", "0", "0",
@@ -779,8 +1254,8 @@ module.exports = (function() {
      *              "name": "veth5dda6cc",
      *              "receive": {
      *                "bytes": 335337,
-     *                "errs": 399,
-     *                "packets": 0,
+     *                "packets": 399,
+     *                "errs": 0,
      *                "drop": 0,
      *                "fifo": 0,
      *                "frame": 0,
@@ -789,13 +1264,13 @@ module.exports = (function() {
      *              },
      *              "transfer": {
      *                "bytes": 12105717,
-     *                "errs": 171074,
-     *                "packets": 0,
+     *                "packets": 171074,
+     *                "errs": 0,
      *                "drop": 0,
      *                "fifo": 0,
-     *                "frame": 0,
-     *                "compressed": 0,
-     *                "multicast": 0
+     *                "colls": 0,
+     *                "carrier": 0,
+     *                "compressed": 0
      *              },
      *              "raw": [
      *                "veth5dda6cc:", "335337", "399", "0", "0", "0", "0", "0",
@@ -808,164 +1283,758 @@ module.exports = (function() {
      *      "total": {
      *        "docker": {
      *          "rx": {
-     *            "speed": 0.6533203125,
-     *            "unit": "kB/s"
+     *            "speed": 669,
+     *            "unit": "B/s"
      *          },
      *          "tx": {
-     *            "speed": 1.2529296875,
-     *            "unit": "kB/s"
+     *            "speed": 1283,
+     *            "unit": "B/s"
      *          }
      *        },
      *        "physical": {
      *          "rx": {
-     *            "speed": 11.572265625,
-     *            "unit": "kB/s"
+     *            "speed": 11850,
+     *            "unit": "B/s"
      *          },
      *          "tx": {
-     *            "speed": 3.337890625,
-     *            "unit": "kB/s"
+     *            "speed": 3418,
+     *            "unit": "B/s"
      *          }
      *        },
      *        "bridge": {
      *          "rx": {
-     *            "speed": 0.5849609375,
-     *            "unit": "kB/s"
+     *            "speed": 599,
+     *            "unit": "B/s"
      *          },
      *          "tx": {
-     *            "speed": 1.2529296875,
-     *            "unit": "kB/s"
+     *            "speed": 1283,
+     *            "unit": "B/s"
      *          }
      *        }
      *      }
      *    }
      *
-     * @return <Object>defer
+     * @param <Object>options
+     *    interval: milliseconds between the two readings (default 1000)
+     *    signal: AbortSignal to give up on the reading
+     *    timeout: milliseconds to give up after
+     *
+     * @return <Promise>
      */
-    self.network = function() {
-      var readAll = function() {
-        return defer(function(deferred) {
-          fs.readFile('/proc/net/dev', function(err, data) {
-            if (err) {
-              throw err;
-            }
-            var lines = data.toString().split("\n");
-            /**
-             * Inter-|   Receive                                                |  Transmit
-             * face |bytes    packets errs drop fifo frame compressed multicast|bytes    packets errs drop fifo colls carrier compressed
-             */
-            var interfaces = {};
-            lines.forEach(function(line) {
-              if (line.indexOf(':') > -1) {
-                line = line.replace(/\s+/g, ' ');
-                var parts = line.split(' ');
-                var name = parts[0].replace(':', '');
-                if (name.length == 0 ) {
-                  return true;
-                }
-                interfaces[name] = {
-                  name: name,
-                  receive: {
-                    bytes: parseInt(parts[1]),
-                    errs: parseInt(parts[2]),
-                    packets: parseInt(parts[3]),
-                    drop: parseInt(parts[4]),
-                    fifo: parseInt(parts[5]),
-                    frame: parseInt(parts[6]),
-                    compressed: parseInt(parts[7]),
-                    multicast: parseInt(parts[8]),
-                  },
-                  transfer: {
-                    bytes: parseInt(parts[9]),
-                    errs: parseInt(parts[10]),
-                    packets: parseInt(parts[11]),
-                    drop: parseInt(parts[12]),
-                    fifo: parseInt(parts[13]),
-                    frame: parseInt(parts[14]),
-                    compressed: parseInt(parts[15]),
-                    multicast: parseInt(parts[16]),
-                  },
-                  raw: parts,
-                };
-              }
-            });
-            deferred.resolve(interfaces);
-          });
-        });
-      };
+    self.network = cancellable(function(options) {
+      var interval = (typeof(options.interval) === 'number') ? options.interval : 1000;
+
       return defer(function(deferred) {
-        defer(function(_deferred) {
-          readAll().then(function(network) {
-            setTimeout(function() {
-              _deferred.resolve({
-                prevNetwork: network,
-              });
-            }, 1000);
-          });
-        }).then(function(prefab) {
-          return defer(function(_deferred) {
-            readAll().then(function(network) {
-              prefab.curNetwork = network;
-              _deferred.resolve(prefab);
-            });
-          });
-        }).then(function(prefab) {
-          var final = {
-            interfaces: {},
-            total: {},
-          };
-          Object.keys(prefab.curNetwork).forEach(function(name) {
-            try {
-              // calculate the current upload (tx) / download (rx) speed in kB/s
-              var rx = (prefab.curNetwork[name].receive.bytes - prefab.prevNetwork[name].receive.bytes) / 1024;
-              var tx = (prefab.curNetwork[name].transfer.bytes - prefab.prevNetwork[name].transfer.bytes) / 1024;
+        self.network.snapshot({ signal: options.signal }).then(function(prev) {
+          self._sleep(interval, options.signal).then(function() {
+            return self.network.snapshot({ signal: options.signal });
+          }).then(function(cur) {
+            deferred.resolve(self.network.diff(prev, cur));
+          }, deferred.reject);
+        }, deferred.reject);
+      });
+    });
 
-              // determine the device type
-              var type = 'physical';
-              try { fs.statSync('/sys/class/net/'+name+'/upper_docker0'); type = 'docker'; } catch (e) {}
-              try { fs.statSync('/sys/class/net/'+name+'/bridge'); type = 'bridge'; } catch (e) {}
-              try { fs.statSync('/sys/class/net/'+name+'/tun_flags'); type = 'tun/tap'; } catch (e) {}
-
-              // aggregate the totals by device type
-              if (typeof(final.total[type]) === 'undefined') {
-                final.total[type] = {
-                  rx: {
-                    speed: 0,
-                    unit: 'kB/s',
-                  },
-                  tx: {
-                    speed: 0,
-                    unit: 'kB/s',
-                  },
-                };
+    /**
+     * Take a reading of the cumulative interface counters in
+     * ``/proc/net/dev``, along with the time it was taken, so two readings can
+     * be compared with ``network.diff()``.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > metrinix.network.snapshot().then(function(result) { console.log(result); });
+     *    {
+     *      "time": 1476522300123,
+     *      "interfaces": {
+     *        "eth0": {
+     *          "name": "eth0",
+     *          "type": "physical",
+     *          "receive": { "bytes": 2770248, ... },
+     *          "transfer": { "bytes": 21145, ... },
+     *          "raw": [ ... ]
+     *        },
+     *        ...
+     *      }
+     *    }
+     *
+     * @param <Object>options
+     *    signal: AbortSignal to give up on the reading
+     *    timeout: milliseconds to give up after
+     *
+     * @return <Promise>
+     */
+    self.network.snapshot = cancellable(function(options) {
+      return defer(function(deferred) {
+        var file = self._proc('net/dev');
+        self._fs.readFile(file, function(err, data) {
+          if (err) {
+            return deferred.reject(MetrinixError.read(file, err));
+          }
+          var time = self._clock.now();
+          var lines = data.toString().split("\n");
+          /**
+           * Inter-|   Receive                                                |  Transmit
+           * face |bytes    packets errs drop fifo frame compressed multicast|bytes    packets errs drop fifo colls carrier compressed
+           */
+          var interfaces = {};
+          var warnings = [];
+          lines.forEach(function(line) {
+            if (line.indexOf(':') > -1) {
+              // the counters can run straight into the name once they get
+              // large, so split the name off before splitting the columns
+              var name = line.substr(0, line.indexOf(':')).trim();
+              if (name.length == 0 ) {
+                return true;
+              }
+              var parts = [name].concat(line.substr(line.indexOf(':') + 1).trim().split(/\s+/));
+              if (parts.length < 17) {
+                warnings.push(MetrinixError.parse(file, 'expected 16 counters for ' + name + ', found ' + (parts.length - 1)));
+                return true;
               }
-              final.total[type].rx.speed += rx;
-              final.total[type].tx.speed += tx;
 
-              // define the device stats
-              final.interfaces[name] = {
+              // determine the device type, by the files only that type has;
+              // not having them is the norm, anything else is worth a warning
+              var type = 'physical';
+              [['upper_docker0', 'docker'], ['bridge', 'bridge'], ['tun_flags', 'tun/tap']].forEach(function(marker) {
+                var markerFile = self._sys('class/net/'+name+'/'+marker[0]);
+                try {
+                  self._fs.statSync(markerFile);
+                  type = marker[1];
+                } catch (e) {
+                  if (e.code !== 'ENOENT') {
+                    warnings.push(MetrinixError.read(markerFile, e));
+                  }
+                }
+              });
+
+              interfaces[name] = {
+                name: name,
                 type: type,
-                rx: {
-                  speed: rx,
-                  unit: 'kB/s',
-                },
-                tx: {
-                  speed: tx,
-                  unit: 'kB/s',
+                receive: {
+                  bytes: parseInt(parts[1]),
+                  packets: parseInt(parts[2]),
+                  errs: parseInt(parts[3]),
+                  drop: parseInt(parts[4]),
+                  fifo: parseInt(parts[5]),
+                  frame: parseInt(parts[6]),
+                  compressed: parseInt(parts[7]),
+                  multicast: parseInt(parts[8]),
                 },
-                raw: {
-                  prev: prefab.prevNetwork[name],
-                  cur: prefab.curNetwork[name],
+                transfer: {
+                  bytes: parseInt(parts[9]),
+                  packets: parseInt(parts[10]),
+                  errs: parseInt(parts[11]),
+                  drop: parseInt(parts[12]),
+                  fifo: parseInt(parts[13]),
+                  colls: parseInt(parts[14]),
+                  carrier: parseInt(parts[15]),
+                  compressed: parseInt(parts[16]),
                 },
+                raw: parts,
               };
-            } catch (e) {
-              console.log(e);
             }
           });
-          deferred.resolve(final);
+          deferred.resolve(MetrinixError.warn({
+            time: time,
+            interfaces: interfaces,
+          }, warnings));
         });
       });
+    });
+
+    /**
+     * Compare two ``network.snapshot()`` readings and calculate the rx/tx
+     * speed of each interface over the time that passed between them.
+     *
+     * Interfaces which only appear in the current reading are left out.
+     *
+     * @param <Object>prev
+     * @param <Object>cur
+     *
+     * @return <Object>
+     */
+    self.network.diff = function(prev, cur) {
+      // seconds between the two readings
+      var elapsed = (cur.time - prev.time) / 1000;
+      var speed = function(bytes) {
+        return (elapsed > 0) ? Math.round(bytes / elapsed) : 0;
+      };
+
+      var final = {
+        interfaces: {},
+        total: {},
+      };
+      Object.keys(cur.interfaces).forEach(function(name) {
+        var prevInterface = prev.interfaces[name];
+        var curInterface = cur.interfaces[name];
+        if (!prevInterface) {
+          return true;
+        }
+
+        // calculate the current upload (tx) / download (rx) speed in bytes/s
+        var rx = speed(curInterface.receive.bytes - prevInterface.receive.bytes);
+        var tx = speed(curInterface.transfer.bytes - prevInterface.transfer.bytes);
+        var type = curInterface.type;
+
+        // aggregate the totals by device type
+        if (typeof(final.total[type]) === 'undefined') {
+          final.total[type] = {
+            rx: {
+              speed: 0,
+              unit: 'B/s',
+            },
+            tx: {
+              speed: 0,
+              unit: 'B/s',
+            },
+          };
+        }
+        final.total[type].rx.speed += rx;
+        final.total[type].tx.speed += tx;
+
+        // define the device stats
+        final.interfaces[name] = {
+          type: type,
+          rx: {
+            speed: rx,
+            unit: 'B/s',
+          },
+          tx: {
+            speed: tx,
+            unit: 'B/s',
+          },
+          raw: {
+            prev: prevInterface,
+            cur: curInterface,
+          },
+        };
+      });
+      return MetrinixError.warn(final, (prev.warnings || []).concat(cur.warnings || []));
+    };
+
+    /**
+     * Sample collectors continuously on one shared schedule.
+     *
+     * Returns an EventEmitter which emits a ``sample`` event every
+     * ``interval`` milliseconds, an ``error`` event whenever a collector
+     * fails and a ``warning`` event for each warning of a partial result.
+     * Rate-based collectors use the previous sample as their baseline.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > var watcher = metrinix.watch({ collectors: ['memory', 'network'], interval: 5000 });
+     *    > watcher.on('sample', function(sample) { console.log(sample); });
+     *    > watcher.on('error', function(err) { console.error(err.collector, err); });
+     *    {
+     *      "time": 1476522305123,
+     *      "data": {
+     *        "memory": { "ram": { ... }, "swap": { ... }, "raw": { ... } },
+     *        "network": { "interfaces": { ... }, "total": { ... } }
+     *      }
+     *    }
+     *    > watcher.pause();
+     *    > watcher.resume();
+     *    > watcher.stop();
+     *
+     * @param <Object>options
+     *    collectors: list of collector names (default all)
+     *    interval: milliseconds between samples (default 1000)
+     *
+     * @return <Object>Watcher
+     */
+    self.watch = function(options) {
+      return new Watcher(self, options);
+    };
+
+    /**
+     * Create an in-memory history of collector results.
+     *
+     * Every numeric value is kept in a ring buffer under its metric path, eg.
+     * ``cpuUsage.total.percent``, ``memory.ram.free.size``,
+     * ``network.interfaces.eth0.rx.speed`` or ``df[mountPoint=/].remaining``.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > var history = metrinix.history({ retention: '15m' });
+     *    > history.listen(metrinix.watch({ collectors: ['cpuUsage', 'memory'] }));
+     *    > // ... some time later
+     *    > history.stats('cpuUsage.total.percent', '5m');
+     *    { count: 300, min: 1.5, max: 32, average: 4.2, last: 3, percentiles: { '50': 3.5, ... } }
+     *    > history.series('cpuUsage.total.percent', '1m');
+     *    [ { time: 1476522300123, value: 4.5 }, ... ]
+     *
+     * @param <Object>options
+     *    retention: how long to keep values for, as a duration (default '15m')
+     *    capacity: the most values kept per path (default 1000)
+     *
+     * @return <Object>History
+     */
+    self.history = function(options) {
+      return new History(options);
+    };
+
+    /**
+     * Create a set of threshold rules which raise alerts.
+     *
+     * A rule is an expression on a metric path, the way ``history()`` names
+     * them: ``<path> <operator> <threshold> [for <duration>]``, where ``*``
+     * in the path matches any key, eg. ``df[mountPoint=*].remaining < 10``.
+     * An alert is ``pending`` while the condition holds for less than the
+     * duration, then ``firing`` until it stops holding, when it is
+     * ``resolved``. Give a rule a ``clear`` threshold to resolve only once the
+     * value is well clear of the limit.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > var alerts = metrinix.alerts({ rules: [
+     *    >   { expression: 'memory.ram.free.size < 200e6 for 5m', severity: 'critical' },
+     *    >   { expression: 'cpuUsage.total.percent > 90 for 1m', clear: 75 },
+     *    > ] });
+     *    > alerts.listen(metrinix.watch({ collectors: ['memory', 'cpuUsage'] }));
+     *    > alerts.on('alert', function(alert) { console.log(alert.state, alert.name, alert.value); });
+     *
+     * @param <Object>options
+     *    rules: list of expressions, or rules with
+     *      expression: the condition, as above
+     *      name: (default the expression)
+     *      severity: (default 'warning')
+     *      clear: the threshold to pass to resolve (default the threshold)
+     *      annotations: anything to pass along with the alerts
+     *
+     * @return <Object>Alerts
+     */
+    self.alerts = function(options) {
+      return new Alerts(options);
+    };
+
+    /**
+     * Create a round-robin store, which keeps collector results on disk for
+     * long periods in files that never grow.
+     *
+     * Each metric path is stored in its own file with several archives, each
+     * consolidating the values into rows of a fixed step as their average,
+     * min, max and last. Queries read from the finest archive which covers
+     * the range asked for.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > var store = metrinix.store({ directory: '/var/lib/metrinix' });
+     *    > store.listen(metrinix.watch({ collectors: ['cpuUsage', 'memory', 'network', 'df'], interval: 10000 }));
+     *    > // ... some time later
+     *    > store.fetch('cpuUsage.total.percent', { from: '1w', consolidation: 'max' }).then(function(result) { console.log(result); });
+     *    { path: 'cpuUsage.total.percent', step: 60000, consolidation: 'max', from: ..., to: ...,
+     *      points: [ { time: 1476522300000, value: 12.5 }, ... ] }
+     *
+     * @param <Object>options
+     *    directory: where to keep the files
+     *    archives: list of ``{ step, retention }`` (default 10s for 1d, 1m
+     *      for 1w and 1h for 1y)
+     *    filter: function(path) choosing the metric paths to store (default
+     *      all but those of processes and veth interfaces)
+     *
+     * @return <Object>Store
+     */
+    self.store = function(options) {
+      return new Store(options);
+    };
+
+    /**
+     * Create an HTTP request handler which serves the collectors in the
+     * Prometheus text exposition format, named the way node_exporter names
+     * them (eg. ``node_cpu_seconds_total``, ``node_memory_MemFree_bytes``,
+     * ``node_filesystem_avail_bytes{mountpoint="/"}``,
+     * ``node_network_receive_bytes_total{device="eth0"}``, ``node_load1``).
+     *
+     * The handler works with ``http.createServer()`` and, as it calls
+     * ``next()`` for other paths when given one, as connect/express
+     * middleware.
+     *
+     * @example:
+     *    > var http = require('http');
+     *    > var metrinix = require('metrinix');
+     *    > http.createServer(metrinix.prometheus()).listen(9100);
+     *    > metrinix.prometheus().metrics().then(function(text) { console.log(text); });
+     *    # HELP node_load1 1m load average.
+     *    # TYPE node_load1 gauge
+     *    node_load1 0.05
+     *    ...
+     *
+     * @param <Object>options
+     *    path: the path to serve the metrics on (default '/metrics')
+     *    collectors: list of collector names (default all)
+     *
+     * @return <Function>
+     */
+    self.prometheus = function(options) {
+      return prometheus.handler(self, options);
+    };
+
+    /**
+     * Create a writer which sends collector results to InfluxDB as line
+     * protocol, over HTTP (``/write``) or UDP. Every point is tagged with the
+     * ``host`` name; ``df()`` points are also tagged by ``mountPoint``,
+     * ``network()`` points by ``interface`` and ``ps()`` points by ``pid``.
+     * A partial batch which fails to write on the flush interval is emitted as
+     * an ``error`` event of the writer.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > var writer = metrinix.influx({ url: 'http://localhost:8086', database: 'telegraf' });
+     *    > writer.collect(['memory', 'loadAvg', 'df']).then(function() { console.log('written'); });
+     *    > writer.listen(metrinix.watch({ collectors: ['cpuUsage', 'network'], interval: 10000 }));
+     *    > metrinix.influx.serialize('loadAvg', { min1: 0.5, min5: 0.25, min15: 0.1 }, { host: 'web01' });
+     *    [ 'loadAvg,host=web01 min1=0.5,min5=0.25,min15=0.1 1476522300123000000' ]
+     *
+     * @param <Object>options
+     *    url: eg. 'http://localhost:8086' or 'udp://localhost:8089'
+     *    database: the database to write to over HTTP (default 'metrinix')
+     *    username, password: credentials for HTTP
+     *    retentionPolicy: the retention policy to write to over HTTP
+     *    tags: extra tags for every point, on top of ``host``
+     *    batchSize: lines to buffer before writing (default 5000)
+     *    flushInterval: milliseconds between writes of a partial batch (default 1000)
+     *    payloadSize: the most bytes per UDP datagram (default 512)
+     *
+     * @return <Object>Writer
+     */
+    self.influx = function(options) {
+      return new influx.Writer(self, options);
+    };
+    self.influx.serialize = influx.serialize;
+
+    /**
+     * Create a client which sends collector results as gauges to a statsd
+     * agent over UDP.
+     *
+     * With plain statsd, mount points, interfaces and processes are folded
+     * into the metric name (``metrinix.web01.df.var_lib.remaining``). With
+     * ``dogstatsd`` they are sent as tags instead
+     * (``metrinix.df.remaining:39|g|#mount:/var/lib,device:/dev/sda2``).
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > var client = metrinix.statsd({ prefix: 'hosts.', dogstatsd: true, tags: { env: 'prod' } });
+     *    > client.collect(['memory', 'loadAvg', 'cpuUsage', 'df']);
+     *    > client.listen(metrinix.watch({ collectors: ['memory', 'network'], interval: 10000 }));
+     *
+     * @param <Object>options
+     *    host: the statsd host (default 'localhost')
+     *    port: the statsd port (default 8125)
+     *    prefix: prepended to every metric name (default 'metrinix.<hostname>.')
+     *    sampleRate: the share of gauges to send, 0 to 1 (default 1)
+     *    dogstatsd: send names as DogStatsD tags (default false)
+     *    tags: extra DogStatsD tags for every gauge
+     *    payloadSize: the most bytes per datagram (default 1432)
+     *
+     * @return <Object>Client
+     */
+    self.statsd = function(options) {
+      return new statsd.Client(self, options);
+    };
+
+    /**
+     * Create a client which sends collector results to Graphite's carbon over
+     * TCP, with the plaintext protocol or batched with the pickle protocol.
+     *
+     * Paths come from ``template``, where ``{host}``, ``{collector}``,
+     * ``{identity}`` (mount point, interface, process or core) and ``{path}``
+     * are replaced, eg. ``host.web01.network.eth0.rx.speed`` or
+     * ``host.web01.df.var_lib.remaining``. Characters Graphite doesn't allow
+     * in a node, dots included, become ``_``.
+     *
+     * The connection is re-established when it drops, queueing up to
+     * ``maxQueue`` metrics meanwhile; each failure is emitted as an ``error``
+     * event of the client, and ``close()`` rejects if it can't write out the
+     * queue.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > var client = metrinix.graphite({ host: 'carbon', template: 'servers.{host}.{collector}.{identity}.{path}' });
+     *    > client.listen(metrinix.watch({ collectors: ['memory', 'network', 'df'], interval: 10000 }));
+     *    > metrinix.graphite({ host: 'carbon', pickle: true }).collect();
+     *
+     * @param <Object>options
+     *    host: the carbon host (default 'localhost')
+     *    port: the carbon port (default 2003, or 2004 for pickle)
+     *    template: path template or function(metric)
+     *      (default 'host.{host}.{collector}.{identity}.{path}')
+     *    pickle: batch with the pickle protocol (default false)
+     *    batchSize: metrics per pickle batch (default 500)
+     *    flushInterval: milliseconds between pickle batches (default 1000)
+     *    maxQueue: metrics queued while disconnected or behind (default 10000)
+     *    reconnectDelay: first reconnect delay in milliseconds (default 1000)
+     *
+     * @return <Object>Client
+     */
+    self.graphite = function(options) {
+      return new graphite.Client(self, options);
+    };
+
+    /**
+     * Create an exporter which POSTs the collectors as OTLP metrics (JSON) to
+     * an OpenTelemetry collector, following the host-metrics semantic
+     * conventions: ``system.cpu.time``, ``system.cpu.utilization``,
+     * ``system.memory.usage``, ``system.filesystem.usage``,
+     * ``system.network.io``, ``process.cpu.time`` and friends.
+     *
+     * Counters are cumulative sums starting at boot (or at the start of the
+     * process), values are gauges. Each process is a resource of its own.
+     * A collector which fails is left out of the export, which resolves with
+     * its error among the warnings.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > var exporter = metrinix.otlp({ endpoint: 'http://otel-collector:4318' });
+     *    > exporter.export().then(function() { console.log('exported'); });
+     *    > exporter.start(60000, function(err) { console.error(err); });
+     *
+     * @param <Object>options
+     *    endpoint: the collector's OTLP/HTTP endpoint (default 'http://localhost:4318')
+     *    headers: extra request headers
+     *    resource: extra resource attributes
+     *    interval: milliseconds between cpu readings for the first export (default 1000)
+     *    processes: export per-process metrics (default true)
+     *
+     * @return <Object>Exporter
+     */
+    self.otlp = function(options) {
+      return new otlp.Exporter(self, options);
+    };
+
+    /**
+     * Serve the collectors as JSON over HTTP.
+     *
+     * Routes: ``/cpu``, ``/memory``, ``/disk``, ``/network``, ``/load``,
+     * ``/uptime``, ``/processes`` and ``/processes/:pid``. Lists can be
+     * sorted and paged and every route can return selected fields, eg.
+     * ``/processes?sort=cpu.totalPercent&limit=10&fields=id.process,executable,cpu``.
+     * Errors are answered with a status code and ``{ "error": { ... } }``.
+     *
+     * ``/stream`` pushes samples to clients every ``interval`` seconds, over
+     * Server-Sent Events (``/stream?collectors=cpu,network&interval=2``) or
+     * over a WebSocket where clients subscribe and unsubscribe at runtime.
+     * Collection is shared by every client streaming the same collector at
+     * the same interval.
+     *
+     * With ``dashboard`` set, ``/dashboard`` is a page charting the stream:
+     * CPU per core, memory and swap, load, network and filesystems, and a
+     * sortable process table. It is self-contained, nothing is loaded from
+     * other hosts.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > var server = metrinix.serve({ port: 8080, dashboard: true });
+     *    > // open http://localhost:8080/dashboard
+     *    > // curl 'http://localhost:8080/disk?sort=remaining&order=asc&fields=mountPoint,remaining'
+     *    > server.close();
+     *
+     * @param <Object>options
+     *    port: the port to listen on (default 8080)
+     *    host: the address to listen on (default all)
+     *    prefix: path prefix for the routes, eg. '/api' (default '')
+     *    stream: serve the live stream (default true)
+     *    dashboard: serve the dashboard page (default false)
+     *    timeout: milliseconds before giving up on a reading with a 504 (default
+     *      never)
+     *
+     * @return <Object>http.Server
+     */
+    self.serve = function(options) {
+      return server.serve(self, options);
+    };
+
+    /**
+     * The request handler behind ``serve()``, for mounting the API in an
+     * existing server or connect/express app.
+     *
+     * @param <Object>options
+     *    prefix: path prefix for the routes (default '')
+     *
+     * @return <Function>
+     */
+    self.serve.handler = function(options) {
+      return server.handler(self, options);
+    };
+
+    /**
+     * The error the readers reject with, see ``bin/metrinixError.js``.
+     */
+    self.MetrinixError = MetrinixError;
+
+    /**
+     * Format a number of bytes for display, or an entry of a result with its
+     * unit: the sizes of ``memory()``, ``df()`` and ``ps()`` are in bytes
+     * (``unit: 'B'``), the speeds of ``network()`` in bytes per second
+     * (``unit: 'B/s'``).
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > metrinix.memory().then(function(result) { console.log(metrinix.format(result.ram.free)); });
+     *    5.2 GiB
+     *    > metrinix.format(1250000, { system: 'si', precision: 2 });
+     *    '1.25 MB'
+     *
+     * @param <Number|Object>value bytes, or ``{ size, unit }`` or ``{ speed, unit }``
+     * @param <Object>options
+     *    system: 'iec' for powers of 1024 (KiB, MiB, ...) or 'si' for powers
+     *        of 1000 (kB, MB, ...) (default 'iec')
+     *    precision: the decimals to show (default 1)
+     *
+     * @return <String>
+     */
+    self.format = function(value, options) {
+      return text.format(value, options);
+    };
+
+    /**
+     * Check a result, or its JSON, against the JSON Schema of its collector,
+     * eg. to reject malformed payloads where they are ingested.
+     *
+     * The schemas are versioned, and ``metrinix.schemas.version`` is the
+     * version of the results this metrinix returns. It only changes when a
+     * result changes shape in a way consumers would break on, so checking
+     * against the version a consumer was written for tells whether it can
+     * take the results of a newer metrinix. The schemas themselves are in
+     * ``schemas/v<version>/<collector>.json``.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > metrinix.memory().then(function(result) { console.log(metrinix.validate('memory', result)); });
+     *    { valid: true, errors: [] }
+     *    > metrinix.validate('loadAvg', '{"min1":0.5,"min5":0.4,"raw":[0.5,0.4,0.3]}', { version: 1 });
+     *    { valid: false, errors: [ { path: 'loadAvg.min15', message: 'is missing' } ] }
+     *
+     * @param <String>collector
+     * @param <Object|String>result
+     * @param <Object>options
+     *    version: the version of the schemas to check against (default the
+     *        current one)
+     *
+     * @return <Object>``{ valid, errors }``, with ``{ path, message }`` errors
+     */
+    self.validate = function(collector, result, options) {
+      return schema.validate(collector, result, options);
+    };
+
+    /**
+     * The JSON Schemas of the collector results: ``version`` and, by
+     * version, the schema of each collector.
+     */
+    self.schemas = {
+      version: schema.version,
+      versions: schema.versions,
+    };
+
+    /**
+     * Create a metrinix which reads another procfs, sysfs and root
+     * filesystem than its own, eg. the host's mounted into a container.
+     *
+     * Every collector reads below the given roots. ``df()`` only reports the
+     * filesystems mounted below ``rootfs``, by their mount point relative to
+     * it, so the host's root has to be mounted recursively (``rbind``).
+     * ``/proc/net/dev`` shows the network namespace of whoever reads it, so
+     * run the container in the host's network for host interfaces.
+     *
+     * @example:
+     *    > // docker run -v /proc:/host/proc:ro -v /sys:/host/sys:ro -v /:/rootfs:ro,rslave --net=host ...
+     *    > var metrinix = require('metrinix').createMetrinix({
+     *    >   procRoot: '/host/proc',
+     *    >   sysRoot: '/host/sys',
+     *    >   rootfs: '/rootfs',
+     *    > });
+     *    > metrinix.loadAvg().then(function(result) { console.log(result); });
+     *
+     * @param <Object>options
+     *    procRoot: where procfs is mounted (default '/proc')
+     *    sysRoot: where sysfs is mounted (default '/sys')
+     *    rootfs: where the root filesystem is mounted (default '/')
+     *
+     * @return <Object>Metrinix
+     */
+    self.createMetrinix = function(options) {
+      return new Metrinix(options);
+    };
+
+    /**
+     * Create a metrinix which reads a synthetic host instead of this one, for
+     * testing code which acts on what metrinix reports.
+     *
+     * The host is described by a fixture of cores, memory, mounts, interfaces
+     * and processes, with the rates their counters advance at (see
+     * ``bin/mockHost.js`` for the fields). Its clock only moves when told to,
+     * so rates come out exact: the sampling sleeps of ``cpuUsage()``,
+     * ``ps()`` and ``network()`` move it on by themselves, and
+     * ``host.clock.advance()`` drives ``watch()``. The state can be changed
+     * between readings through ``host``.
+     *
+     * @example:
+     *    > var mock = require('metrinix').mock({
+     *    >   cpus: [{ user: 40, system: 10 }, { user: 10 }],
+     *    >   interfaces: { eth0: { rx: 1024 * 1024, tx: 512 * 1024 } },
+     *    >   processes: [{ pid: 1, name: 'init' }, { pid: 42, ppid: 1, name: 'node', cpu: 80, rss: 64 * 1024 * 1024 }],
+     *    > });
+     *    > mock.ps().then(function(result) { console.log(result['42'].cpu.totalPercent); });
+     *    80
+     *    > mock.host.processes[42].cpu = 5;
+     *    > mock.host.interfaces.eth0.rx = 0;
+     *    > mock.host.clock.advance('1m');
+     *
+     * @param <Object|String>fixture or the path of a JSON file holding one
+     * @param <Object>options
+     *    auto: let the sampling sleeps move the clock on (default true)
+     *
+     * @return <Object>Metrinix, with the ``host``
+     */
+    self.mock = function(fixture, options) {
+      var host = new MockHost(fixture, options);
+      var mock = new Metrinix({
+        fs: host.fs,
+        exec: host.exec,
+        clock: host.clock,
+      });
+      mock.host = host;
+      return mock;
     };
 
+    /**
+     * Create a metrinix whose collectors return the results recorded in a
+     * file, in sequence, instead of reading this host. ``watch()``,
+     * ``serve()``, ``alerts()`` and everything else built on the collectors
+     * work on the recorded data, so an incident captured in production can be
+     * reproduced anywhere.
+     *
+     * The file is what ``metrinix record`` writes: one JSON ``sample`` event
+     * of ``watch()`` per line. Each collector reads its own results, and
+     * rejects once it has none left. The recording holds results, not raw
+     * counters, so there is no ``snapshot()`` to read and the Prometheus and
+     * OTLP exporters, which need the counters, don't replay.
+     *
+     * @example:
+     *    > var metrinix = require('metrinix');
+     *    > var replay = metrinix.replay('host.jsonl');
+     *    > replay.memory().then(function(result) { console.log(result); });
+     *    > // or the alert rules, at the times they were recorded
+     *    > replay.recording.samples().then(function(samples) { samples.forEach(alerts.record.bind(alerts)); });
+     *
+     * @param <String>file
+     * @param <Object>options
+     *    loop: start over from the first result at the end (default false)
+     *
+     * @return <Object>Metrinix
+     */
+    self.replay = function(file, options) {
+      return new Metrinix({ recording: new Recording(file, options) });
+    };
+
+    if (options.recording) {
+      self.recording = options.recording;
+      Watcher.collectors.forEach(function(name) {
+        self[name] = cancellable(function() {
+          return self.recording.next(name);
+        });
+      });
+    }
+
     return self;
   }
 
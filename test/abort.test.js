@@ -0,0 +1,65 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+var helpers = require('./helpers.js');
+
+
+/**
+ * A mock host whose clock only moves when told to, so that sampling never
+ * finishes by itself.
+ */
+function stopped() {
+  return metrinix.mock({}, { auto: false });
+}
+
+function rejection(promise) {
+  return promise.then(function() {
+    assert.fail('should reject');
+  }, function(err) {
+    return err;
+  });
+}
+
+test('a reading is aborted through its signal, before or while it runs', function() {
+  var mock = stopped();
+  var controller = new AbortController();
+  var reading = rejection(mock.cpuUsage({ signal: controller.signal }));
+  return helpers.settle().then(function() {
+    controller.abort(new Error('enough'));
+    return reading;
+  }).then(function(err) {
+    assert.ok(err instanceof metrinix.MetrinixError);
+    assert.strictEqual(err.code, 'EABORT');
+    assert.strictEqual(err.cause.message, 'enough');
+    return rejection(mock.memory({ signal: controller.signal }));
+  }).then(function(err) {
+    assert.strictEqual(err.code, 'EABORT');
+  });
+});
+
+test('a reading gives up after its timeout, in real time', function() {
+  var mock = stopped();
+  return Promise.all([
+    rejection(mock.network({ timeout: 20 })),
+    rejection(mock.ps({ timeout: -1 })),
+    mock.loadAvg({ timeout: 1000 }),
+  ]).then(function(results) {
+    assert.deepStrictEqual([results[0].code, results[0].message], ['ETIMEOUT', 'Timed out after 20ms']);
+    assert.ok(results[1] instanceof TypeError);
+    assert.strictEqual(results[1].message, 'Invalid timeout: -1 (milliseconds)');
+    assert.strictEqual(results[2].min1, 0);
+  });
+});
+
+test('the REST API answers a reading which times out with a 504', function() {
+  var server;
+  return helpers.serve(stopped().serve.handler({ timeout: 20 })).then(function(result) {
+    server = result;
+    return Promise.all([helpers.request(server, '/cpu'), helpers.request(server, '/load')]);
+  }).then(function(responses) {
+    assert.deepStrictEqual(JSON.parse(responses[0].body), { error: { status: 504, message: 'Timed out after 20ms' } });
+    assert.strictEqual(responses[1].status, 200);
+  }).finally(function() {
+    return server && helpers.close(server);
+  });
+});
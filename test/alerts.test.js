@@ -0,0 +1,70 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+var helpers = require('./helpers.js');
+
+
+test('an alert goes pending, firing and resolved as the samples come in', function() {
+  var mock = metrinix.mock({
+    time: 1476522300000,
+    interfaces: { eth0: { rx: 1250000 } },
+  });
+  var watcher = mock.watch({ collectors: ['network'], interval: 30000 });
+  var alerts = mock.alerts({ rules: [
+    { name: 'eth0-busy', expression: 'network.interfaces.eth0.rx.speed > 1000000 for 1m', clear: 500000 },
+  ] }).listen(watcher);
+  var transitions = [];
+  alerts.on('alert', function(alert) {
+    transitions.push([alert.state, alert.time - 1476522300000, alert.value]);
+  });
+
+  function tick() {
+    return helpers.tick(mock, watcher, '30s');
+  }
+
+  return helpers.settle().then(tick).then(function() {
+    assert.deepStrictEqual(transitions, [['pending', 30000, 1250000]]);
+    return tick();
+  }).then(function() {
+    // not for long enough yet
+    assert.strictEqual(transitions.length, 1);
+    return tick();
+  }).then(function() {
+    assert.deepStrictEqual(transitions[1], ['firing', 90000, 1250000]);
+    assert.strictEqual(alerts.alerts('firing')[0].since, 1476522330000);
+    // below the threshold, but not the clear threshold
+    mock.host.interfaces.eth0.rx = 800000;
+    return tick();
+  }).then(function() {
+    assert.strictEqual(transitions.length, 2);
+    mock.host.interfaces.eth0.rx = 0;
+    return tick();
+  }).then(function() {
+    assert.deepStrictEqual(transitions[2], ['resolved', 150000, 0]);
+    assert.strictEqual(alerts.alerts('resolved')[0].resolvedAt, 1476522450000);
+  }).finally(function() {
+    watcher.stop();
+  });
+});
+
+test('an alert which never fired is dropped rather than resolved', function() {
+  var mock = metrinix.mock({ interfaces: { eth0: { rx: 1250000 } } });
+  var watcher = mock.watch({ collectors: ['network'], interval: 30000 });
+  var alerts = mock.alerts({ rules: ['network.interfaces.eth0.rx.speed > 1000000 for 5m'] }).listen(watcher);
+  var transitions = [];
+  alerts.on('alert', function(alert) {
+    transitions.push(alert.state);
+  });
+
+  return helpers.settle().then(function() {
+    return helpers.tick(mock, watcher, '30s');
+  }).then(function() {
+    mock.host.interfaces.eth0.rx = 0;
+    return helpers.tick(mock, watcher, '30s');
+  }).then(function() {
+    assert.deepStrictEqual(transitions, ['pending']);
+    assert.deepStrictEqual(alerts.alerts(), []);
+  }).finally(function() {
+    watcher.stop();
+  });
+});
@@ -0,0 +1,90 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+var check = require('../bin/check.js');
+
+
+var fixture = {
+  cpus: [{}, {}, {}, {}],
+  load: [8, 4, 2],
+  memory: { MemTotal: 1048576, MemAvailable: 81920, SwapTotal: 1048576, SwapFree: 524288 },
+  mounts: [
+    { filesystem: '/dev/sda1', mountPoint: '/', size: 1073741824, used: 1020054732 },
+    { filesystem: '/dev/sdb1', mountPoint: '/var', size: 1073741824, used: 536870912 },
+  ],
+  processes: [{ pid: 1, name: 'init' }, { pid: 2, name: 'defunct', state: 'Z' }],
+};
+
+function run(name, options) {
+  return check.run(metrinix.mock(fixture), name, options).then(function(result) {
+    return result.output;
+  });
+}
+
+test('range() reads the threshold ranges of the plugin guidelines', function() {
+  var alerts = function(spec) {
+    var threshold = check.range(spec);
+    return [-1, 0, 5, 10, 11].filter(threshold.alert);
+  };
+  assert.deepStrictEqual(alerts('10'), [-1, 11]);
+  assert.deepStrictEqual(alerts('5:'), [-1, 0]);
+  assert.deepStrictEqual(alerts('~:5'), [10, 11]);
+  assert.deepStrictEqual(alerts('@0:5'), [0, 5]);
+  assert.throws(function() {
+    check.range('10:5');
+  }, /Invalid threshold: 10:5/);
+});
+
+test('the load check compares the averages, per core if asked', function() {
+  return Promise.all([
+    run('load', {}),
+    run('load', { 'per-core': true }),
+    run('load', { warning: '1,2' }),
+  ]).then(function(outputs) {
+    assert.deepStrictEqual(outputs, [
+      'LOAD WARNING - load average: 8.00, 4.00, 2.00 | load1=8;5;10;0 load5=4;4;8;0 load15=2;3;6;0',
+      'LOAD OK - load average per core: 2.00, 1.00, 0.50 | load1=2;5;10;0 load5=1;4;8;0 load15=0.5;3;6;0',
+      'LOAD UNKNOWN - Invalid threshold: 1,2 (one range, or three for 1, 5 and 15 minutes)',
+    ]);
+  });
+});
+
+test('the memory, swap, disk and process checks', function() {
+  return Promise.all([
+    run('mem', {}),
+    run('swap', {}),
+    run('disk', {}),
+    run('disk', { mount: '/var' }),
+    run('procs', { state: 'Z', max: 0 }),
+  ]).then(function(outputs) {
+    assert.deepStrictEqual(outputs, [
+      'MEMORY WARNING - 80M available of 1.0G (8%) | used=944MB;921.6;972.8;0;1024',
+      'SWAP OK - 512M free of 1.0G (50%) | used=512MB;512;819.2;0;1024',
+      'DISK CRITICAL - / 51M free (5%) | /=972.801MB;819.2;921.6;0;1024 /var=512MB;819.2;921.6;0;1024',
+      'DISK OK - /var 512M free (50%) | /var=512MB;819.2;921.6;0;1024',
+      'PROCS CRITICAL - 1 process in state Z | procs=1;;:0;0',
+    ]);
+  });
+});
+
+test('a check which fails or takes too long is UNKNOWN, and aborted', function() {
+  var signal;
+  var hung = {
+    loadAvg: function(options) {
+      signal = options.signal;
+      return new Promise(function() {});
+    },
+  };
+  return Promise.all([
+    run('nothing', {}),
+    check.run(hung, 'load', { timeout: 0.05 }),
+  ]).then(function(results) {
+    assert.strictEqual(results[0], 'CHECK UNKNOWN - Unknown check: nothing (one of disk, load, mem, swap, procs, net)');
+    assert.deepStrictEqual(results[1], {
+      status: check.UNKNOWN,
+      state: 'UNKNOWN',
+      output: 'LOAD UNKNOWN - Timed out after 0.05s',
+    });
+    assert.strictEqual(signal.aborted, true);
+  });
+});
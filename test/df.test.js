@@ -0,0 +1,86 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+
+
+var GB = 1024 * 1024 * 1024;
+
+var fixture = {
+  mounts: [
+    { filesystem: '/dev/sda1', mountPoint: '/', size: 10 * GB, used: 4 * GB, available: 5 * GB, inodes: 1000, inodesUsed: 250 },
+    { filesystem: '/dev/sdb1', mountPoint: '/mnt/my disk', size: GB, used: 0, options: 'ro,noatime' },
+    { filesystem: 'tmpfs', mountPoint: '/run', type: 'tmpfs', size: GB / 2, used: 0 },
+    { filesystem: 'proc', mountPoint: '/proc', type: 'proc', size: 0 },
+  ],
+};
+
+function mountPoints(df) {
+  return df.map(function(filesystem) {
+    return filesystem.mountPoint;
+  });
+}
+
+test('df() reads the mounts and their usage without running df', function() {
+  return metrinix.mock(fixture).df().then(function(df) {
+    assert.deepStrictEqual(mountPoints(df), ['/', '/mnt/my disk', '/run']);
+    var root = df[0];
+    assert.strictEqual(root.filesystem, '/dev/sda1');
+    assert.strictEqual(root.type, 'ext4');
+    assert.strictEqual(root.readOnly, false);
+    assert.deepStrictEqual(root.capacity, { size: 10 * GB, unit: 'B' });
+    assert.deepStrictEqual(root.used, { size: 4 * GB, unit: 'B' });
+    assert.deepStrictEqual(root.available, { size: 5 * GB, unit: 'B' });
+    // kept back for root
+    assert.deepStrictEqual(root.reserved, { size: GB, unit: 'B' });
+    assert.strictEqual(root.remaining, 55);
+    assert.deepStrictEqual(root.inodes, { total: 1000, used: 250, free: 750 });
+
+    assert.deepStrictEqual(df[1].options, ['ro', 'noatime']);
+    assert.strictEqual(df[1].readOnly, true);
+  });
+});
+
+test('df() leaves out the types asked, the pseudo ones and the empty ones', function() {
+  var mock = metrinix.mock(fixture);
+  return Promise.all([
+    mock.df({ exclude: ['ext4'] }),
+    mock.df({ pseudo: false }),
+    mock.df({ all: true }),
+  ]).then(function(results) {
+    assert.deepStrictEqual(results.map(mountPoints), [
+      ['/run'],
+      ['/', '/mnt/my disk'],
+      ['/', '/mnt/my disk', '/run', '/proc'],
+    ]);
+  });
+});
+
+test('df() lists a device mounted twice once, and warns of mounts it can\'t read', function() {
+  var mock = metrinix.mock(fixture);
+  mock.host.file = function() {
+    return [
+      '20 1 8:1 / / rw,relatime - ext4 /dev/sda1 rw',
+      '21 20 8:1 /srv /srv/bound rw,relatime - ext4 /dev/sda1 rw',
+      '22 20 8:2 / /gone rw,relatime - ext4 /dev/sdc1 rw',
+      'garbage',
+    ].join('\n') + '\n';
+  };
+  mock.host.mounts.push({ filesystem: '/dev/sda1', mountPoint: '/srv/bound', size: 10 * GB });
+  return mock.df().then(function(df) {
+    assert.deepStrictEqual(mountPoints(df), ['/']);
+    assert.deepStrictEqual(df.warnings.map(function(warning) {
+      return [warning.code, warning.source];
+    }), [['EPARSE', '/proc/self/mountinfo'], ['EREAD', '/gone']]);
+  });
+});
+
+test('df() rejects without fs.statfs() rather than find nothing mounted', function() {
+  var mock = metrinix.mock(fixture);
+  delete mock.host.fs.statfs;
+  return mock.df().then(function() {
+    assert.fail('df() should reject');
+  }, function(err) {
+    assert.strictEqual(err.code, 'EREAD');
+    assert.strictEqual(err.message, 'Unable to read the filesystems: fs.statfs() needs Node.js 18.15 or later');
+  });
+});
@@ -0,0 +1,94 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+var helpers = require('./helpers.js');
+
+
+/**
+ * A mock host some of whose files are replaced, or missing when null.
+ */
+function broken(fixture, files) {
+  var mock = metrinix.mock(fixture);
+  var file = mock.host.file;
+  mock.host.file = function(name) {
+    return files.hasOwnProperty(name) ? files[name] : file.call(mock.host, name);
+  };
+  return mock;
+}
+
+function rejection(promise) {
+  return promise.then(function() {
+    assert.fail('should reject');
+  }, function(err) {
+    return err;
+  });
+}
+
+function processes(count) {
+  var list = [];
+  for (var pid = 1; pid <= count; pid++) {
+    list.push({ pid: pid, name: 'worker' });
+  }
+  return list;
+}
+
+test('readers reject with the code, source and cause of the failure', function() {
+  var mock = broken({}, { '/proc/meminfo': null, '/proc/loadavg': 'garbage\n' });
+  return Promise.all([
+    rejection(mock.memory()),
+    rejection(mock.loadAvg()),
+  ]).then(function(errors) {
+    assert.ok(errors[0] instanceof metrinix.MetrinixError);
+    assert.strictEqual(errors[0].code, 'EREAD');
+    assert.strictEqual(errors[0].source, '/proc/meminfo');
+    assert.strictEqual(errors[0].cause.code, 'ENOENT');
+    assert.deepStrictEqual(errors[1].toJSON(), {
+      code: 'EPARSE',
+      message: 'Unable to parse /proc/loadavg: expected three load averages',
+      source: '/proc/loadavg',
+    });
+    assert.deepStrictEqual(metrinix.MetrinixError.fromJSON(errors[1].toJSON()).toJSON(), errors[1].toJSON());
+  });
+});
+
+test('a partial result carries its warnings, out of its keys and JSON', function() {
+  var mock = broken({ processes: processes(3) }, { '/proc/2/stat': 'garbage\n', '/proc/3/cmdline': null });
+  return mock.ps.snapshot().then(function(snapshot) {
+    var result = snapshot.processes;
+    assert.deepStrictEqual(Object.keys(result), ['1', '3']);
+    assert.strictEqual(JSON.parse(JSON.stringify(result)).warnings, undefined);
+    assert.deepStrictEqual(result.warnings.map(function(warning) {
+      return [warning.code, warning.source];
+    }), [['EPARSE', '/proc/2/stat'], ['EREAD', '/proc/3/cmdline']]);
+  });
+});
+
+test('the REST API answers failures with a 500, and warnings in capped headers', function() {
+  var files = { '/proc/meminfo': null };
+  for (var pid = 1; pid <= 12; pid++) {
+    files['/proc/' + pid + '/stat'] = 'garbage ' + pid + '\n';
+  }
+  var mock = broken({ processes: processes(13) }, files);
+  var server;
+  return helpers.serve(mock.serve.handler()).then(function(result) {
+    server = result;
+    return Promise.all([helpers.request(server, '/memory'), helpers.request(server, '/processes')]);
+  }).then(function(responses) {
+    assert.strictEqual(responses[0].status, 500);
+    assert.ok(/^Unable to read \/proc\/meminfo: /.test(JSON.parse(responses[0].body).error.message));
+
+    assert.strictEqual(responses[1].status, 200);
+    assert.strictEqual(JSON.parse(responses[1].body).length, 1);
+    // from each of the two readings of the cpu usage
+    assert.strictEqual(responses[1].headers['metrinix-warnings-count'], '24');
+    var warnings = JSON.parse(responses[1].headers['metrinix-warnings']);
+    assert.strictEqual(warnings.length, 10);
+    assert.deepStrictEqual(warnings[0], {
+      code: 'EPARSE',
+      message: 'Unable to parse /proc/1/stat: no process name',
+      source: '/proc/1/stat',
+    });
+  }).finally(function() {
+    return server && helpers.close(server);
+  });
+});
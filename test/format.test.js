@@ -0,0 +1,38 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+
+
+test('format() scales bytes to the largest unit they reach', function() {
+  assert.deepStrictEqual([0, 1023, 1024, 1536, 1048575, -2048].map(function(value) {
+    return metrinix.format(value);
+  }), ['0 B', '1023 B', '1.0 KiB', '1.5 KiB', '1.0 MiB', '-2.0 KiB']);
+  assert.strictEqual(metrinix.format(1536, { precision: 0 }), '2 KiB');
+  assert.strictEqual(metrinix.format(1e12, { system: 'si' }), '1.0 TB');
+});
+
+test('format() takes the size and speed entries of the results', function() {
+  assert.strictEqual(metrinix.format({ size: 1073741824, unit: 'B' }), '1.0 GiB');
+  assert.strictEqual(metrinix.format({ speed: 1250000, unit: 'B/s' }, { system: 'si', precision: 2 }), '1.25 MB/s');
+  assert.throws(function() {
+    metrinix.format({ size: 1, unit: 'kB' });
+  }, /^Error: Not a number of bytes: \{"size":1,"unit":"kB"\}$/);
+  assert.throws(function() {
+    metrinix.format(1, { system: 'metric' });
+  }, /^Error: Invalid unit system: metric \(expected iec or si\)$/);
+});
+
+test('the readers report integer bytes and bytes per second', function() {
+  var mock = metrinix.mock({
+    memory: { MemTotal: 1000, MemFree: 500 },
+    processes: [{ pid: 42, name: 'node', rss: 104857600 }],
+    interfaces: { eth0: { rx: 1024, tx: 512 } },
+  });
+  return Promise.all([mock.memory(), mock.ps(), mock.network()]).then(function(results) {
+    assert.deepStrictEqual(results[0].ram.total, { size: 1024000, unit: 'B' });
+    assert.deepStrictEqual(results[0].raw.MemFree, { size: 512000, unit: 'B' });
+    assert.deepStrictEqual(results[1][42].memory, { size: 104857600, unit: 'B', pages: 25600, pagesize: 4096 });
+    assert.deepStrictEqual(results[2].interfaces.eth0.rx, { speed: 1024, unit: 'B/s' });
+    assert.deepStrictEqual(results[2].interfaces.eth0.tx, { speed: 512, unit: 'B/s' });
+  });
+});
@@ -0,0 +1,252 @@
+var test = require('node:test');
+var assert = require('assert');
+var net = require('net');
+var events = require('events');
+var metrinix = require('..');
+var graphite = require('../bin/graphite.js');
+
+
+/**
+ * A carbon stand-in which keeps what it is sent.
+ */
+function carbon(port) {
+  var sockets = [];
+  var server = net.createServer(function(socket) {
+    sockets.push(socket);
+    socket.on('data', function(data) {
+      server.received = Buffer.concat([server.received, data]);
+      server.emit('received');
+    });
+  });
+  server.received = Buffer.alloc(0);
+  server.stop = function() {
+    sockets.forEach(function(socket) {
+      socket.destroy();
+    });
+    server.close();
+  };
+  return new Promise(function(resolve, reject) {
+    server.on('error', reject);
+    server.listen(port || 0, '127.0.0.1', function() {
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Wait until carbon has received at least the given bytes.
+ */
+function receive(server, length) {
+  return new Promise(function(resolve) {
+    var check = function() {
+      if (server.received.length >= length) {
+        server.removeListener('received', check);
+        resolve(server.received);
+      }
+    };
+    server.on('received', check);
+    check();
+  });
+}
+
+/**
+ * A port nothing listens on.
+ */
+function closedPort() {
+  return carbon().then(function(server) {
+    var port = server.address().port;
+    return new Promise(function(resolve) {
+      server.close(function() {
+        resolve(port);
+      });
+    });
+  });
+}
+
+/**
+ * Decode the length-prefixed pickle frames of ``encodePickle()``, which use
+ * only a handful of opcodes.
+ */
+function decodePickle(buffer) {
+  var frames = [];
+  var offset = 0;
+  while (offset < buffer.length) {
+    var end = offset + 4 + buffer.readUInt32BE(offset);
+    assert.deepStrictEqual(Array.from(buffer.slice(offset + 4, offset + 8)), [0x80, 2, 0x5d, 0x28]);
+    offset += 8;
+    var metrics = [];
+    var metric = [];
+    while (buffer[offset] !== 0x65) {
+      var opcode = buffer[offset++];
+      if (opcode === 0x58) {
+        var length = buffer.readUInt32LE(offset);
+        metric.push(buffer.toString('utf8', offset + 4, offset + 4 + length));
+        offset += 4 + length;
+      } else if (opcode === 0x4a) {
+        metric.push(buffer.readInt32LE(offset));
+        offset += 4;
+      } else if (opcode === 0x47) {
+        metric.push(buffer.readDoubleBE(offset));
+        offset += 8;
+      } else if (opcode === 0x86 && buffer[offset] === 0x86) {
+        offset++;
+        metrics.push(metric);
+        metric = [];
+      } else {
+        assert.fail('unexpected opcode ' + opcode);
+      }
+    }
+    assert.strictEqual(buffer[offset + 1], 0x2e);
+    assert.strictEqual(offset + 2, end);
+    offset = end;
+    frames.push(metrics);
+  }
+  return frames;
+}
+
+function client(options) {
+  options.host = '127.0.0.1';
+  options.hostname = 'web01.example.com';
+  options.reconnectDelay = options.reconnectDelay || 10;
+  return metrinix.mock().graphite(options);
+}
+
+test('expand() fills the template and drops the empty nodes', function() {
+  var metric = { host: 'web01.example.com', collector: 'df', identity: ['/var/lib'], path: 'inodes.free' };
+  assert.strictEqual(graphite.expand('host.{host}.{collector}.{identity}.{path}', metric),
+    'host.web01_example_com.df.var_lib.inodes.free');
+  metric.identity = undefined;
+  assert.strictEqual(graphite.expand('{collector}.{identity}.{path}.{unknown}', metric), 'df.inodes.free.{unknown}');
+  assert.strictEqual(graphite.expand(function(entry) {
+    return entry.collector + '-' + entry.path;
+  }, metric), 'df-inodes.free');
+});
+
+test('metrics() names the values and times them in seconds', function() {
+  assert.deepStrictEqual(client({}).metrics('network', {
+    interfaces: { eth0: { type: 'physical', rx: { speed: 1280, unit: 'B/s' } } },
+  }, 1476522300999), [['host.web01_example_com.network.eth0.rx.speed', 1476522300, 1280]]);
+});
+
+test('the client writes plaintext lines', function() {
+  var server;
+  var graphiteClient;
+  return carbon().then(function(result) {
+    server = result;
+    graphiteClient = client({ port: server.address().port });
+    graphiteClient.send('loadAvg', { min1: 0.5, min5: 0.25 }, 1476522300000);
+    return receive(server, 1);
+  }).then(function() {
+    return graphiteClient.close();
+  }).then(function() {
+    return receive(server, 96);
+  }).then(function(received) {
+    assert.strictEqual(received.toString(),
+      'host.web01_example_com.loadAvg.min1 0.5 1476522300\n' +
+      'host.web01_example_com.loadAvg.min5 0.25 1476522300\n');
+  }).finally(function() {
+    graphiteClient.close().fail(function() {});
+    server.stop();
+  });
+});
+
+test('the client writes full pickle batches, and the rest on close', function() {
+  var server;
+  var graphiteClient;
+  var first;
+  return carbon().then(function(result) {
+    server = result;
+    graphiteClient = client({ port: server.address().port, pickle: true, batchSize: 2, flushInterval: 60000 });
+    // once connected, what was sent meanwhile is written at once
+    graphiteClient.send('uptime', { up: 60 }, 1476522300000);
+    return receive(server, 1);
+  }).then(function(received) {
+    first = received.length;
+    assert.deepStrictEqual(decodePickle(received), [[['host.web01_example_com.uptime.up', 1476522300, 60]]]);
+    graphiteClient.send('loadAvg', { min1: 0.5, min5: 0.25, min15: 0.125 }, 1476522300000);
+    return receive(server, first + 1);
+  }).then(function(received) {
+    assert.deepStrictEqual(decodePickle(received.slice(first)), [[
+      ['host.web01_example_com.loadAvg.min1', 1476522300, 0.5],
+      ['host.web01_example_com.loadAvg.min5', 1476522300, 0.25],
+    ]]);
+    assert.strictEqual(graphiteClient.queue.length, 1);
+    first = received.length;
+    return graphiteClient.close();
+  }).then(function() {
+    return receive(server, first + 1);
+  }).then(function(received) {
+    assert.deepStrictEqual(decodePickle(received.slice(first)), [[['host.web01_example_com.loadAvg.min15', 1476522300, 0.125]]]);
+  }).finally(function() {
+    graphiteClient.close().fail(function() {});
+    server.stop();
+  });
+});
+
+test('the client reports a failed connection, queues and writes out once connected', function() {
+  var port;
+  var server;
+  var graphiteClient;
+  return closedPort().then(function(result) {
+    port = result;
+    graphiteClient = client({ port: port, pickle: true, batchSize: 10, flushInterval: 1, maxQueue: 2 });
+    var error = events.once(graphiteClient, 'error');
+    graphiteClient.send('loadAvg', { min1: 0.5, min5: 0.25, min15: 0.125 }, 1476522300000);
+    return error;
+  }).then(function(args) {
+    assert.strictEqual(args[0].code, 'ECONNREFUSED');
+    // the oldest is dropped
+    assert.deepStrictEqual(graphiteClient.queue.map(function(metric) {
+      return metric[2];
+    }), [0.25, 0.125]);
+    return carbon(port);
+  }).then(function(result) {
+    server = result;
+    // the partial batch, as the flush timer has long fired
+    return receive(server, 1);
+  }).then(function(received) {
+    assert.deepStrictEqual(decodePickle(received), [[
+      ['host.web01_example_com.loadAvg.min5', 1476522300, 0.25],
+      ['host.web01_example_com.loadAvg.min15', 1476522300, 0.125],
+    ]]);
+    return graphiteClient.close();
+  }).finally(function() {
+    graphiteClient.close().fail(function() {});
+    return server && server.stop();
+  });
+});
+
+test('close() rejects when the queue can\'t be written', function() {
+  var graphiteClient;
+  return closedPort().then(function(port) {
+    graphiteClient = client({ port: port });
+    graphiteClient.on('error', function() {});
+    graphiteClient.send('loadAvg', { min1: 0.5 });
+    return graphiteClient.close();
+  }).then(function() {
+    assert.fail('close() should reject');
+  }, function(err) {
+    assert.ok(/^Not connected to carbon at 127\.0\.0\.1:[0-9]+, dropped 1 queued metrics$/.test(err.message), err.message);
+    assert.deepStrictEqual(graphiteClient.queue, []);
+    assert.throws(function() {
+      graphiteClient.send('loadAvg', { min1: 0.5 });
+    }, /closed/);
+  });
+});
+
+test('listen() passes connection failures on to the watcher', function() {
+  var mock = metrinix.mock({ load: [0.5, 0.25, 0.1] });
+  var watcher = mock.watch({ collectors: ['loadAvg'], interval: 1000 });
+  var graphiteClient;
+  return closedPort().then(function(port) {
+    graphiteClient = mock.graphite({ host: '127.0.0.1', port: port, reconnectDelay: 10 }).listen(watcher);
+    var error = events.once(watcher, 'error');
+    mock.host.clock.advance('1s');
+    return error;
+  }).then(function(args) {
+    assert.strictEqual(args[0].code, 'ECONNREFUSED');
+  }).finally(function() {
+    watcher.stop();
+    return graphiteClient.close().fail(function() {});
+  });
+});
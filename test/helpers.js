@@ -0,0 +1,109 @@
+var events = require('events');
+var http = require('http');
+
+
+/**
+ * Wait for the readings already under way, eg. the baselines a watcher takes
+ * when it starts, which the mock host answers on later turns of the loop.
+ *
+ * @return <Object>Promise
+ */
+function settle() {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 20);
+  });
+}
+
+/**
+ * Move the clock of a mock host on and wait for the sample the watcher takes.
+ *
+ * @param <Object>mock
+ * @param <Object>watcher
+ * @param <Number|String>ms
+ *
+ * @return <Object>Promise of the sample
+ */
+function tick(mock, watcher, ms) {
+  var sample = events.once(watcher, 'sample');
+  mock.host.clock.advance(ms);
+  return sample.then(function(args) {
+    return args[0];
+  });
+}
+
+/**
+ * Serve a request handler on a free port of the loopback interface.
+ *
+ * @param <Function>handler
+ *
+ * @return <Object>Promise of the http.Server
+ */
+function serve(handler) {
+  var server = http.createServer(handler);
+  return new Promise(function(resolve, reject) {
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', function() {
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Make a request of a server from ``serve()`` and read the whole response.
+ *
+ * @param <Object>server
+ * @param <String>path
+ * @param <Object>options as for http.request(), eg. ``{ method: 'HEAD' }``
+ *
+ * @return <Object>Promise of ``{ status, headers, body }``
+ */
+function request(server, path, options) {
+  options = options || {};
+  return new Promise(function(resolve, reject) {
+    var req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path: path,
+      method: options.method || 'GET',
+      headers: options.headers,
+    }, function(res) {
+      var chunks = [];
+      res.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      res.on('end', function() {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8'),
+        });
+      });
+    });
+    req.on('error', reject);
+    req.end(options.body);
+  });
+}
+
+/**
+ * Close a server from ``serve()``.
+ *
+ * @param <Object>server
+ *
+ * @return <Object>Promise
+ */
+function close(server) {
+  return new Promise(function(resolve) {
+    server.close(resolve);
+    if (server.closeAllConnections) {
+      server.closeAllConnections();
+    }
+  });
+}
+
+module.exports = {
+  settle: settle,
+  tick: tick,
+  serve: serve,
+  request: request,
+  close: close,
+};
@@ -0,0 +1,189 @@
+var test = require('node:test');
+var assert = require('assert');
+var dgram = require('dgram');
+var events = require('events');
+var metrinix = require('..');
+var influx = require('../bin/influx.js');
+var helpers = require('./helpers.js');
+
+
+/**
+ * An InfluxDB stand-in which keeps the writes it is sent.
+ */
+function database(status) {
+  var writes = [];
+  return helpers.serve(function(req, res) {
+    var body = '';
+    req.on('data', function(data) {
+      body += data;
+    });
+    req.on('end', function() {
+      writes.push({ url: req.url, body: body });
+      res.writeHead(status || 204);
+      res.end(status ? 'database not found' : undefined);
+    });
+  }).then(function(server) {
+    server.writes = writes;
+    return server;
+  });
+}
+
+test('line() escapes the line protocol and writes nanoseconds', function() {
+  assert.strictEqual(influx.line('disk usage', { mount: '/mnt/my disk', 'a,b': 'c=d', empty: '' },
+    { 'free bytes': 10, label: 'say "hi"', ok: true }, 1476522300123.5),
+    'disk\\ usage,a\\,b=c\\=d,mount=/mnt/my\\ disk free\\ bytes=10,label="say \\"hi\\"",ok=true 1476522300123500000');
+  assert.strictEqual(influx.line('empty', {}, {}, 0), null);
+});
+
+test('serialize() writes a point per filesystem, interface, process and core', function() {
+  var mock = metrinix.mock({
+    time: 1476522300000,
+    cpus: [{ user: 50 }, {}],
+    interfaces: { eth0: { rx: 1000 } },
+    mounts: [{ filesystem: '/dev/sda1', mountPoint: '/', size: 1 << 30 }],
+    processes: [{ pid: 42, name: 'node', command: 'node server.js' }],
+  });
+  return Promise.all([mock.cpuUsage(), mock.network(), mock.df(), mock.ps()]).then(function(results) {
+    var tags = { host: 'web01' };
+    var cpu = influx.serialize('cpuUsage', results[0], tags, 1476522300000);
+    assert.deepStrictEqual(cpu.map(function(entry) {
+      return entry.split(' ')[0];
+    }), ['cpuUsage,cpu=cpu-total,host=web01', 'cpuUsage,cpu=cpu0,host=web01', 'cpuUsage,cpu=cpu1,host=web01']);
+    assert.strictEqual(cpu[1], 'cpuUsage,cpu=cpu0,host=web01 user=50,nice=0,system=0,idle=50,iowait=0,irq=0,' +
+      'softirq=0,steal=0,guest=0,guestNice=0,percent=50 1476522300000000000');
+
+    var network = influx.serialize('network', results[1], tags, 1476522300000);
+    assert.strictEqual(network.length, 1);
+    assert.ok(/^network,host=web01,interface=eth0,type=physical rx_speed=1000,tx_speed=0 /.test(network[0]), network[0]);
+
+    var df = influx.serialize('df', results[2], tags, 1476522300000);
+    assert.ok(/^df,filesystem=\/dev\/sda1,host=web01,mountPoint=\/ /.test(df[0]), df[0]);
+
+    var ps = influx.serialize('ps', results[3], tags, 1476522300000);
+    assert.ok(/^ps,executable=node,host=web01,pid=42 /.test(ps[0]), ps[0]);
+    assert.ok(/,state="S",command="node server\.js" 1476522300000000000$/.test(ps[0]), ps[0]);
+  });
+});
+
+test('the writer posts a full batch to /write', function() {
+  var mock = metrinix.mock({ load: [0.5, 0.25, 0.1] });
+  var server;
+  return database().then(function(result) {
+    server = result;
+    var writer = mock.influx({
+      url: 'http://127.0.0.1:' + server.address().port + '/influx/',
+      database: 'hosts',
+      retentionPolicy: 'week',
+      username: 'metrinix',
+      password: 's3cret',
+      tags: { host: 'web01', env: 'prod' },
+      batchSize: 3,
+      flushInterval: 0,
+    });
+    return writer.write('loadAvg', { min1: 1 }, 1000).then(function() {
+      return writer.write('loadAvg', { min1: 2 }, 2000);
+    }).then(function() {
+      assert.strictEqual(server.writes.length, 0);
+      return writer.write('loadAvg', { min1: 3 }, 3000);
+    }).then(function() {
+      assert.deepStrictEqual(server.writes, [{
+        url: '/influx/write?db=hosts&precision=ns&rp=week&u=metrinix&p=s3cret',
+        body: [1, 2, 3].map(function(value) {
+          return 'loadAvg,env=prod,host=web01 min1=' + value + ' ' + value + '000000000';
+        }).join('\n'),
+      }]);
+      assert.deepStrictEqual(writer.buffer, []);
+    });
+  }).finally(function() {
+    return server && helpers.close(server);
+  });
+});
+
+test('collect() reads the collectors and writes them at once', function() {
+  var mock = metrinix.mock({ load: [0.5, 0.25, 0.1] });
+  var server;
+  return database().then(function(result) {
+    server = result;
+    var writer = mock.influx({ url: 'http://127.0.0.1:' + server.address().port, tags: { host: 'web01' } });
+    return writer.collect(['loadAvg', 'uptime']);
+  }).then(function() {
+    assert.strictEqual(server.writes.length, 1);
+    var lines = server.writes[0].body.split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.ok(/^loadAvg,host=web01 min1=0\.5,min5=0\.25,min15=0\.1 /.test(lines[0]), lines[0]);
+  }).finally(function() {
+    return server && helpers.close(server);
+  });
+});
+
+test('a failed write of a partial batch is emitted as an error', function() {
+  var mock = metrinix.mock();
+  var server;
+  return database(404).then(function(result) {
+    server = result;
+    var writer = mock.influx({ url: 'http://127.0.0.1:' + server.address().port, flushInterval: 10 });
+    var error = events.once(writer, 'error');
+    return writer.write('loadAvg', { min1: 1 }).then(function() {
+      return error;
+    });
+  }).then(function(args) {
+    assert.strictEqual(args[0].statusCode, 404);
+    assert.strictEqual(args[0].message, 'InfluxDB write failed with status 404: database not found');
+  }).finally(function() {
+    return server && helpers.close(server);
+  });
+});
+
+test('listen() passes the failures on to the watcher', function() {
+  var mock = metrinix.mock();
+  var server;
+  var watcher = mock.watch({ collectors: ['loadAvg'], interval: 1000 });
+  return database(500).then(function(result) {
+    server = result;
+    mock.influx({ url: 'http://127.0.0.1:' + server.address().port, flushInterval: 10 }).listen(watcher);
+    var error = events.once(watcher, 'error');
+    mock.host.clock.advance('1s');
+    return error;
+  }).then(function(args) {
+    assert.strictEqual(args[0].statusCode, 500);
+  }).finally(function() {
+    watcher.stop();
+    return server && helpers.close(server);
+  });
+});
+
+test('the writer packs the lines into UDP datagrams', function() {
+  var socket = dgram.createSocket('udp4');
+  var datagrams = [];
+  var writer;
+  return new Promise(function(resolve) {
+    socket.bind(0, '127.0.0.1', resolve);
+  }).then(function() {
+    var received = new Promise(function(resolve) {
+      socket.on('message', function(message) {
+        datagrams.push(message.toString());
+        if (datagrams.length === 2) {
+          resolve();
+        }
+      });
+    });
+    writer = metrinix.mock().influx({
+      url: 'udp://127.0.0.1:' + socket.address().port,
+      tags: { host: 'a' },
+      payloadSize: 80,
+    });
+    [1, 2, 3].forEach(function(value) {
+      writer.write('loadAvg', { min1: value }, value * 1000);
+    });
+    return writer.close().then(function() {
+      return received;
+    });
+  }).then(function() {
+    assert.deepStrictEqual(datagrams.sort(), [
+      'loadAvg,host=a min1=1 1000000000\nloadAvg,host=a min1=2 2000000000',
+      'loadAvg,host=a min1=3 3000000000',
+    ]);
+  }).finally(function() {
+    socket.close();
+  });
+});
@@ -0,0 +1,78 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+var cli = require('../bin/metrinix.js');
+
+
+var memory = {
+  MemTotal: 8388608,
+  MemFree: 1048576,
+  MemAvailable: 2097152,
+  Buffers: 262144,
+  Cached: 786432,
+  SwapTotal: 2097152,
+  SwapFree: 1572864,
+  SwapCached: 0,
+};
+
+test('memory() counts RAM used as what isn\'t available', function() {
+  var mock = metrinix.mock({ memory: memory });
+  return mock.memory().then(function(result) {
+    assert.deepStrictEqual(result.ram, {
+      total: { size: 8589934592, unit: 'B' },
+      used: { size: 6442450944, unit: 'B' },
+      free: { size: 1073741824, unit: 'B' },
+      available: { size: 2147483648, unit: 'B' },
+      cached: { size: 805306368, unit: 'B' },
+      buffers: { size: 268435456, unit: 'B' },
+    });
+    assert.deepStrictEqual(mock.validate('memory', result), { valid: true, errors: [] });
+  });
+});
+
+test('memory() rejects a /proc/meminfo without MemTotal', function() {
+  var fixture = Object.assign({}, memory);
+  var mock = metrinix.mock({ memory: fixture });
+  delete mock.host.memory.MemTotal;
+  return mock.memory().then(function() {
+    assert.fail('memory() should reject');
+  }, function(err) {
+    assert.strictEqual(err.code, 'EPARSE');
+    assert.ok(/missing MemTotal/.test(err.message), err.message);
+  });
+});
+
+test('the mem command lays memory out like free(1)', function() {
+  return metrinix.mock({ memory: memory }).memory().then(function(result) {
+    assert.strictEqual(cli.commands.mem.table(result), [
+      '       total  used  free  cached  buffers',
+      'Mem:    8.0G  6.0G  1.0G    768M     256M',
+      'Swap:   2.0G  512M  1.5G      0B        -',
+    ].join('\n'));
+  });
+});
+
+test('parse() reads the command, its arguments and options', function() {
+  assert.deepStrictEqual(cli.parse(['ps', '--sort', 'cpu', '--limit=5', '--json']), {
+    command: 'ps',
+    args: [],
+    options: { sort: 'cpu', limit: 5, json: true },
+  });
+  assert.deepStrictEqual(cli.parse(['check', 'load', '-h']), {
+    command: 'check',
+    args: ['load'],
+    options: { help: true },
+  });
+  [
+    [['nothing'], 'Unknown command: nothing'],
+    [['mem', '--nothing=1'], 'Unknown option: --nothing'],
+    [['mem', '--watch'], 'Missing value for --watch'],
+    [['mem', '--watch', '0'], 'Invalid --watch: 0 (seconds)'],
+    [['mem', 'extra'], 'Unexpected argument: extra'],
+    [['ps', '--order', 'up'], 'Invalid --order: up (asc or desc)'],
+  ].forEach(function(example) {
+    assert.throws(function() {
+      cli.parse(example[0]);
+    }, { message: example[1] });
+  });
+});
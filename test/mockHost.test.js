@@ -0,0 +1,117 @@
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var metrinix = require('..');
+var Clock = require('../bin/mockHost.js').Clock;
+var MockHost = require('../bin/mockHost.js').MockHost;
+
+
+test('the clock fires the timers it passes, in order, at their due time', function() {
+  var clock = new Clock(1000, { auto: false });
+  var fired = [];
+  clock.setTimeout(function() {
+    fired.push(['timeout', clock.now()]);
+  }, 2500);
+  var interval = clock.setInterval(function() {
+    fired.push(['interval', clock.now()]);
+  }, 1000);
+  var cancelled = clock.setTimeout(function() {
+    fired.push(['cancelled', clock.now()]);
+  }, 500);
+  clock.clearTimeout(cancelled);
+
+  clock.advance('3s');
+  assert.strictEqual(clock.now(), 4000);
+  assert.deepStrictEqual(fired, [['interval', 2000], ['interval', 3000], ['timeout', 3500], ['interval', 4000]]);
+
+  clock.clearInterval(interval);
+  clock.advance(5000);
+  assert.strictEqual(fired.length, 4);
+});
+
+test('an auto clock moves on to the timeouts by itself, but not the intervals', function() {
+  var clock = new Clock(0);
+  var ticks = 0;
+  clock.setInterval(function() {
+    ticks++;
+  }, 100);
+  return new Promise(function(resolve) {
+    clock.setTimeout(resolve, 1000);
+  }).then(function() {
+    assert.strictEqual(clock.now(), 1000);
+    // the interval fires on the way there
+    assert.strictEqual(ticks, 10);
+  });
+});
+
+test('the host renders its state in the files the readers read', function() {
+  var host = new MockHost({
+    uptime: 100,
+    cpus: [{ user: 50, system: 25 }],
+    load: [1.5, 1, 0.25],
+    memory: { MemTotal: 1024 },
+    processes: [{ pid: 7, name: 'sshd', command: 'sshd -D', state: 'R', rss: 8192 }],
+  });
+  assert.strictEqual(host.file('/proc/stat').split('\n')[0], 'cpu  5000 0 2500 2500 0 0 0 0 0 0');
+  assert.strictEqual(host.file('/proc/uptime'), '100.00 25.00\n');
+  assert.strictEqual(host.file('/proc/loadavg'), '1.50 1.00 0.25 1/1 7\n');
+  assert.ok(/^MemTotal: +1024 kB$/m.test(host.file('/proc/meminfo')));
+  assert.strictEqual(host.file('/proc/7/cmdline'), 'sshd\x00-D\x00');
+  assert.deepStrictEqual(host.file('/proc/7/stat').split(' ').slice(0, 3), ['7', '(sshd)', 'R']);
+  assert.strictEqual(host.file('/proc/8/stat'), null);
+});
+
+test('the counters advance with the clock', function() {
+  var host = new MockHost({
+    uptime: 0,
+    cpus: [{ user: 50 }],
+    interfaces: { eth0: { rx: 1000 } },
+    mounts: [{ mountPoint: '/', size: 1 << 30, used: 0, growth: 4096 }],
+  });
+  host.clock.advance('10s');
+  assert.strictEqual(host.uptime, 10);
+  assert.strictEqual(host.file('/proc/stat').split('\n')[0], 'cpu  500 0 0 500 0 0 0 0 0 0');
+  assert.ok(/eth0: 10000 /.test(host.file('/proc/net/dev')));
+  assert.strictEqual(host.mounts[0].used, 40960);
+});
+
+test('processes come and go from the readings', function() {
+  var mock = metrinix.mock({ processes: [{ pid: 1, name: 'init' }] });
+  mock.host.spawn({ pid: 42, ppid: 1, name: 'node', cpu: 50 });
+  return mock.ps().then(function(result) {
+    assert.deepStrictEqual(Object.keys(result).sort(), ['1', '42']);
+    assert.strictEqual(result['42'].cpu.totalPercent, 50);
+    mock.host.kill(42);
+    return mock.ps();
+  }).then(function(result) {
+    assert.deepStrictEqual(Object.keys(result), ['1']);
+  });
+});
+
+test('the host reads a fixture from a JSON file', function() {
+  var file = path.join(os.tmpdir(), 'metrinix-fixture-' + process.pid + '.json');
+  fs.writeFileSync(file, JSON.stringify({ time: 1476522300000, memory: { MemTotal: 2048 } }));
+  try {
+    var host = new MockHost(file);
+    assert.strictEqual(host.clock.now(), 1476522300000);
+    assert.strictEqual(host.memory.MemTotal, 2048);
+    assert.strictEqual(host.memory.MemAvailable, 4194304);
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+test('the host runs getconf and nothing else', function() {
+  var host = new MockHost({ pagesize: 16384 });
+  return host.exec('getconf', ['PAGESIZE']).then(function(stdout) {
+    assert.strictEqual(stdout, '16384\n');
+    return host.exec('df', ['-k']);
+  }).then(function() {
+    assert.fail('df should not run');
+  }, function(err) {
+    assert.strictEqual(err.code, 'EEXEC');
+    assert.strictEqual(err.source, 'df -k');
+  });
+});
@@ -0,0 +1,144 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+var otlp = require('../bin/otlp.js');
+var helpers = require('./helpers.js');
+
+
+function fixture() {
+  return {
+    time: 1476522300000,
+    uptime: 3600,
+    cpus: [{ user: 50 }],
+    load: [0.5, 0.25, 0.1],
+    interfaces: { eth0: { rx: 1000 } },
+    mounts: [{ filesystem: '/dev/sda1', mountPoint: '/', size: 1 << 30, used: 1 << 28 }],
+    processes: [{ pid: 42, ppid: 1, name: 'node', command: 'node server.js' }],
+  };
+}
+
+/**
+ * Find the data point of a metric of a resource with the given attributes.
+ */
+function point(resource, name, attrs) {
+  var metric = resource.scopeMetrics[0].metrics.filter(function(entry) {
+    return entry.name === name;
+  })[0];
+  if (!metric) {
+    return null;
+  }
+  var expected = JSON.stringify(otlp.attributes(attrs));
+  return (metric.gauge || metric.sum).dataPoints.filter(function(entry) {
+    return expected === JSON.stringify(entry.attributes.filter(function(attribute) {
+      return typeof(attrs[attribute.key]) !== 'undefined';
+    }));
+  })[0] || null;
+}
+
+test('attributes() types the values the OTLP JSON way', function() {
+  assert.deepStrictEqual(otlp.attributes({ pid: 42, ratio: 0.5, up: true, name: 'node' }), [
+    { key: 'pid', value: { intValue: '42' } },
+    { key: 'ratio', value: { doubleValue: 0.5 } },
+    { key: 'up', value: { boolValue: true } },
+    { key: 'name', value: { stringValue: 'node' } },
+  ]);
+});
+
+test('metrics() follows the host-metrics conventions, timed by the metrinix clock', function() {
+  var mock = metrinix.mock(fixture());
+  return mock.otlp({ resource: { 'host.name': 'web01' } }).metrics().then(function(request) {
+    assert.deepStrictEqual(request.warnings, []);
+    var host = request.resourceMetrics[0];
+    assert.deepStrictEqual(host.resource.attributes[0], { key: 'host.name', value: { stringValue: 'web01' } });
+
+    // the first export sleeps for its cpu reading
+    var now = '1476522301000000000';
+    var boot = '1476518700000000000';
+    assert.deepStrictEqual(point(host, 'system.cpu.utilization', { 'cpu.mode': 'user' }).asDouble, 0.5);
+    assert.deepStrictEqual(point(host, 'system.cpu.time', { 'cpu.mode': 'user' }), {
+      attributes: otlp.attributes({ 'cpu.logical_number': 0, 'cpu.mode': 'user' }),
+      startTimeUnixNano: boot,
+      timeUnixNano: now,
+      asDouble: 1800.5,
+    });
+    assert.strictEqual(point(host, 'system.cpu.load_average.1m', {}).asDouble, 0.5);
+    assert.strictEqual(point(host, 'system.filesystem.usage', { 'system.filesystem.state': 'used' }).asDouble, 1 << 28);
+    assert.strictEqual(point(host, 'system.network.io', { 'network.io.direction': 'receive' }).asDouble, 3601000);
+
+    var process = request.resourceMetrics[1];
+    assert.deepStrictEqual(process.resource.attributes.slice(-4), otlp.attributes({
+      'process.pid': 42,
+      'process.parent_pid': 1,
+      'process.executable.name': 'node',
+      'process.command_line': 'node server.js',
+    }));
+    assert.strictEqual(point(process, 'process.thread.count', {}).startTimeUnixNano, '1476522300000000000');
+  });
+});
+
+test('metrics() leaves a failing collector out and warns of it', function() {
+  var mock = metrinix.mock(fixture());
+  var err = new Error('stale file handle');
+  mock.df = function() {
+    return Promise.reject(err);
+  };
+  mock.uptime = function() {
+    return Promise.reject(new Error('no uptime'));
+  };
+  return mock.otlp({ processes: false }).metrics().then(function(request) {
+    assert.deepStrictEqual(request.warnings.map(function(warning) {
+      return [warning.collector, warning.message];
+    }), [['uptime', 'no uptime'], ['df', 'stale file handle']]);
+    assert.strictEqual(request.resourceMetrics.length, 1);
+    var host = request.resourceMetrics[0];
+    assert.strictEqual(point(host, 'system.filesystem.usage', {}), null);
+    // without the time of boot, there are no sums
+    assert.strictEqual(point(host, 'system.network.io', {}), null);
+    assert.strictEqual(point(host, 'system.cpu.load_average.1m', {}).asDouble, 0.5);
+    assert.ok(!/warnings/.test(JSON.stringify(request)));
+  });
+});
+
+test('export() POSTs the metrics as JSON and resolves with the warnings', function() {
+  var mock = metrinix.mock(fixture());
+  mock.loadAvg = function() {
+    return Promise.reject(new Error('no loadavg'));
+  };
+  var requests = [];
+  var server;
+  return helpers.serve(function(req, res) {
+    var body = '';
+    req.on('data', function(data) {
+      body += data;
+    });
+    req.on('end', function() {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(requests.length === 1 ? 200 : 503);
+      res.end(requests.length === 1 ? '{}' : 'overloaded');
+    });
+  }).then(function(result) {
+    server = result;
+    var exporter = mock.otlp({
+      endpoint: 'http://127.0.0.1:' + server.address().port + '/',
+      headers: { Authorization: 'Bearer token' },
+      processes: false,
+    });
+    return exporter.export().then(function(warnings) {
+      assert.deepStrictEqual(warnings.map(function(warning) {
+        return warning.collector;
+      }), ['loadAvg']);
+      assert.strictEqual(requests[0].url, '/v1/metrics');
+      assert.strictEqual(requests[0].headers['content-type'], 'application/json');
+      assert.strictEqual(requests[0].headers.authorization, 'Bearer token');
+      assert.strictEqual(requests[0].body.resourceMetrics.length, 1);
+      return exporter.export();
+    });
+  }).then(function() {
+    assert.fail('the export should fail');
+  }, function(err) {
+    assert.strictEqual(err.statusCode, 503);
+    assert.strictEqual(err.message, 'OTLP export failed with status 503: overloaded');
+  }).finally(function() {
+    return server && helpers.close(server);
+  });
+});
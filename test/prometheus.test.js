@@ -0,0 +1,106 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+var prometheus = require('../bin/prometheus.js');
+var helpers = require('./helpers.js');
+
+
+function fixture() {
+  return {
+    time: 1476522300000,
+    uptime: 3600,
+    cpus: [{ user: 50 }],
+    load: [0.5, 0.25, 0.1],
+    interfaces: { eth0: { rx: 1000 } },
+    mounts: [{ filesystem: '/dev/sda1', mountPoint: '/', size: 1 << 30, used: 1 << 28 }],
+    processes: [{ pid: 42, name: 'node', rss: 1 << 20 }],
+  };
+}
+
+function samples(text) {
+  return text.split('\n').filter(function(line) {
+    return line && line[0] !== '#';
+  });
+}
+
+test('metrics() renders the collectors as node_exporter does', function() {
+  var mock = metrinix.mock(fixture());
+  return mock.prometheus().metrics().then(function(text) {
+    var lines = samples(text);
+    [
+      'node_cpu_seconds_total{cpu="0",mode="user"} 1800',
+      'node_network_receive_bytes_total{device="eth0"} 3600000',
+      'node_load1 0.5',
+      'node_boot_time_seconds 1476518700',
+      'node_time_seconds 1476522300',
+      'node_filesystem_avail_bytes{device="/dev/sda1",fstype="ext4",mountpoint="/"} 805306368',
+      'node_memory_MemTotal_bytes 8589934592',
+      'process_resident_memory_bytes{pid="42",executable="node"} 1048576',
+      'process_start_time_seconds{pid="42",executable="node"} 1476522300',
+      'metrinix_scrape_collector_success{collector="ps"} 1',
+    ].forEach(function(line) {
+      assert.ok(lines.indexOf(line) > -1, line);
+    });
+    assert.strictEqual(text.split('# TYPE node_load1 gauge').length, 2);
+    assert.strictEqual(text.split('# TYPE node_cpu_seconds_total counter').length, 2);
+  });
+});
+
+test('metrics() leaves a failing collector out and reports it', function() {
+  var mock = metrinix.mock(fixture());
+  mock.loadAvg = function() {
+    return Promise.reject(new Error('no loadavg'));
+  };
+  return prometheus.metrics(mock, ['loadAvg', 'uptime', 'vmstat']).then(function(text) {
+    assert.deepStrictEqual(samples(text), [
+      'node_boot_time_seconds 1476518700',
+      'node_time_seconds 1476522300',
+      'metrinix_scrape_collector_success{collector="loadAvg"} 0',
+      'metrinix_scrape_collector_success{collector="uptime"} 1',
+      'metrinix_scrape_collector_success{collector="vmstat"} 0',
+    ]);
+  });
+});
+
+test('the registry escapes labels and help, and formats special values', function() {
+  var registry = new prometheus.Registry();
+  registry.add('test_value', 'gauge', 'A "test"\\value\non two lines.', { path: 'C:\\ "x"\n' }, NaN);
+  registry.add('test_value', 'gauge', 'ignored', {}, Infinity);
+  registry.add('test_value', 'gauge', 'ignored', {}, 'not a number');
+  assert.strictEqual(registry.render(), [
+    '# HELP test_value A "test"\\\\value\\non two lines.',
+    '# TYPE test_value gauge',
+    'test_value{path="C:\\\\ \\"x\\"\\n"} NaN',
+    'test_value +Inf',
+    '',
+  ].join('\n'));
+});
+
+test('the handler serves the metrics at its path only', function() {
+  var mock = metrinix.mock(fixture());
+  var server;
+  return helpers.serve(mock.prometheus({ collectors: ['loadAvg'] })).then(function(result) {
+    server = result;
+    return helpers.request(server, '/metrics');
+  }).then(function(res) {
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8');
+    assert.ok(/^node_load1 0\.5$/m.test(res.body));
+    return helpers.request(server, '/metrics', { method: 'HEAD' });
+  }).then(function(res) {
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body, '');
+    return helpers.request(server, '/other');
+  }).then(function(res) {
+    assert.strictEqual(res.status, 404);
+  }).finally(function() {
+    return server && helpers.close(server);
+  });
+});
+
+test('the handler passes other paths on to next()', function() {
+  var handler = metrinix.mock(fixture()).prometheus();
+  return new Promise(function(resolve) {
+    handler({ url: '/health', method: 'GET' }, {}, resolve);
+  });
+});
@@ -0,0 +1,88 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+
+
+function fixture() {
+  return {
+    cpus: [{ user: 40, system: 10 }, { user: 10 }],
+    interfaces: {
+      eth0: { rx: 1250000, tx: 500000 },
+      docker0: { type: 'docker', rx: 1000, tx: 1000 },
+    },
+    processes: [
+      { pid: 1, name: 'init' },
+      { pid: 42, ppid: 1, name: 'node', cpu: 80, system: 25 },
+    ],
+  };
+}
+
+test('cpuUsage.diff() reports the share of the ticks in each state', function() {
+  var mock = metrinix.mock(fixture());
+  var prev;
+  return mock.cpuUsage.snapshot().then(function(snapshot) {
+    prev = snapshot;
+    mock.host.cpus[1].user = 90;
+    mock.host.clock.advance('10s');
+    return mock.cpuUsage.snapshot();
+  }).then(function(cur) {
+    var result = mock.cpuUsage.diff(prev, cur);
+    assert.strictEqual(result.interval, 10000);
+    assert.strictEqual(result.cores[0].percent, 50);
+    assert.strictEqual(result.cores[1].percent, 90);
+    assert.strictEqual(result.total.user, 65);
+    assert.strictEqual(result.total.system, 5);
+    assert.strictEqual(result.total.idle, 30);
+  });
+});
+
+test('network() reports the rate the counters advance at', function() {
+  var mock = metrinix.mock(fixture());
+  return mock.network().then(function(result) {
+    assert.deepStrictEqual(result.interfaces.eth0.rx, { speed: 1250000, unit: 'B/s' });
+    assert.deepStrictEqual(result.interfaces.eth0.tx, { speed: 500000, unit: 'B/s' });
+    assert.deepStrictEqual(result.total.physical.rx, { speed: 1250000, unit: 'B/s' });
+    assert.deepStrictEqual(result.total.docker.rx, { speed: 1000, unit: 'B/s' });
+  });
+});
+
+test('network.diff() divides by the time between the snapshots', function() {
+  var mock = metrinix.mock(fixture());
+  var prev;
+  return mock.network.snapshot().then(function(snapshot) {
+    prev = snapshot;
+    mock.host.interfaces.eth0.rx = 4000;
+    mock.host.clock.advance('10s');
+    return mock.network.snapshot();
+  }).then(function(cur) {
+    var result = mock.network.diff(prev, cur);
+    assert.deepStrictEqual(result.interfaces.eth0.rx, { speed: 4000, unit: 'B/s' });
+    assert.deepStrictEqual(result.interfaces.eth0.tx, { speed: 500000, unit: 'B/s' });
+  });
+});
+
+test('ps() splits the cpu time of a process into user and system', function() {
+  var mock = metrinix.mock(fixture());
+  return mock.ps().then(function(result) {
+    assert.strictEqual(result['42'].cpu.totalPercent, 80);
+    assert.strictEqual(result['42'].cpu.userPercent, 60);
+    assert.strictEqual(result['42'].cpu.systemPercent, 20);
+    assert.strictEqual(result['1'].cpu.totalPercent, 0);
+  });
+});
+
+test('ps.diff() follows a change of rate between the snapshots', function() {
+  var mock = metrinix.mock(fixture());
+  var prev;
+  return mock.ps.snapshot().then(function(snapshot) {
+    prev = snapshot;
+    mock.host.processes[42].cpu = 20;
+    mock.host.clock.advance('1m');
+    return mock.ps.snapshot();
+  }).then(function(cur) {
+    var result = mock.ps.diff(prev, cur);
+    assert.strictEqual(result['42'].cpu.totalPercent, 20);
+    assert.strictEqual(result['42'].cpu.userPercent, 15);
+    assert.strictEqual(result['42'].cpu.systemPercent, 5);
+  });
+});
@@ -0,0 +1,62 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+var Watcher = require('../bin/watcher.js');
+
+
+var fixture = {
+  cpus: [{ user: 20 }],
+  processes: [{ pid: 42, name: 'node', cpu: 10 }],
+  mounts: [{ filesystem: '/dev/sda1', mountPoint: '/', size: 1073741824, used: 536870912 }],
+  interfaces: { eth0: { rx: 1024, tx: 512 } },
+};
+
+test('every collector\'s result, and its JSON, matches the current schemas', function() {
+  var mock = metrinix.mock(fixture);
+  return Promise.all(Watcher.collectors.map(function(collector) {
+    return mock[collector]().then(function(result) {
+      assert.deepStrictEqual(mock.validate(collector, result), { valid: true, errors: [] }, collector);
+      assert.deepStrictEqual(mock.validate(collector, JSON.stringify(result)), { valid: true, errors: [] }, collector);
+    });
+  }));
+});
+
+test('the changes since an older version are breaking ones', function() {
+  var mock = metrinix.mock(fixture);
+  assert.strictEqual(mock.schemas.version, 2);
+  assert.deepStrictEqual(Object.keys(mock.schemas.versions), ['1', '2']);
+  return mock.network().then(function(result) {
+    assert.deepStrictEqual(mock.validate('network', result, { version: 1 }).errors, [
+      { path: 'network.interfaces.eth0.rx.unit', message: 'expected one of ["kB/s"], found "B/s"' },
+      { path: 'network.interfaces.eth0.tx.unit', message: 'expected one of ["kB/s"], found "B/s"' },
+      { path: 'network.total.physical.rx.unit', message: 'expected one of ["kB/s"], found "B/s"' },
+      { path: 'network.total.physical.tx.unit', message: 'expected one of ["kB/s"], found "B/s"' },
+    ]);
+  });
+});
+
+test('validate() reports every error by its path', function() {
+  assert.deepStrictEqual(metrinix.validate('loadAvg', '{"min1":0.5,"min5":"0.4","raw":[0.5,0.4,0.3]}'), {
+    valid: false,
+    errors: [
+      { path: 'loadAvg.min15', message: 'is missing' },
+      { path: 'loadAvg.min5', message: 'expected number, found string' },
+    ],
+  });
+  assert.deepStrictEqual(metrinix.validate('memory', {
+    ram: { total: { size: 1.5, unit: 'kB' }, used: null },
+    swap: {},
+    raw: {},
+  }).errors.slice(0, 4), [
+    { path: 'memory.ram.free', message: 'is missing' },
+    { path: 'memory.ram.available', message: 'is missing' },
+    { path: 'memory.ram.cached', message: 'is missing' },
+    { path: 'memory.ram.buffers', message: 'is missing' },
+  ]);
+  assert.throws(function() {
+    metrinix.validate('nothing', {});
+  }, /^Error: Unknown collector: nothing$/);
+  assert.throws(function() {
+    metrinix.validate('loadAvg', {}, { version: 9 });
+  }, /^Error: Unknown schema version: 9$/);
+});
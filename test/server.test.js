@@ -0,0 +1,137 @@
+var test = require('node:test');
+var assert = require('assert');
+var metrinix = require('..');
+var helpers = require('./helpers.js');
+
+
+function fixture() {
+  return {
+    load: [0.5, 0.25, 0.1],
+    processes: [
+      { pid: 1, name: 'init', cpu: 1 },
+      { pid: 42, ppid: 1, name: 'node', cpu: 50 },
+      { pid: 43, ppid: 1, name: 'sshd', cpu: 10 },
+    ],
+  };
+}
+
+/**
+ * Serve the API of a mock host for the duration of a test.
+ */
+function api(options, run) {
+  var mock = metrinix.mock(fixture());
+  var server;
+  return helpers.serve(mock.serve.handler(options)).then(function(result) {
+    server = result;
+    return run(function(path, request) {
+      return helpers.request(server, path, request).then(function(res) {
+        res.json = res.body ? JSON.parse(res.body) : null;
+        return res;
+      });
+    }, mock);
+  }).finally(function() {
+    return server && helpers.close(server);
+  });
+}
+
+test('the routes answer with the collectors as JSON', function() {
+  return api({}, function(get) {
+    return get('/load').then(function(res) {
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers['content-type'], 'application/json; charset=utf-8');
+      assert.strictEqual(res.headers['cache-control'], 'no-store');
+      assert.deepStrictEqual([res.json.min1, res.json.min5, res.json.min15], [0.5, 0.25, 0.1]);
+      return get('/processes/42/');
+    }).then(function(res) {
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.json.executable, 'node');
+      assert.strictEqual(res.json.cpu.totalPercent, 50);
+    });
+  });
+});
+
+test('lists are sorted, paged and narrowed to the fields asked for', function() {
+  return api({}, function(get) {
+    return get('/processes?sort=cpu.totalPercent&limit=2&fields=id.process,cpu.totalPercent').then(function(res) {
+      assert.deepStrictEqual(res.json, [
+        { id: { process: '42' }, cpu: { totalPercent: 50 } },
+        { id: { process: '43' }, cpu: { totalPercent: 10 } },
+      ]);
+      return get('/processes?sort=cpu.totalPercent&order=asc&offset=1&fields=executable');
+    }).then(function(res) {
+      assert.deepStrictEqual(res.json, [{ executable: 'sshd' }, { executable: 'node' }]);
+      return get('/load?fields=min1,nothing');
+    }).then(function(res) {
+      assert.deepStrictEqual(res.json, { min1: 0.5 });
+    });
+  });
+});
+
+test('bad requests are answered with a 400', function() {
+  return api({}, function(get) {
+    return Promise.all([
+      '/processes?limit=-1',
+      '/processes?offset=1.5',
+      '/processes?sort=cpu.totalPercent&order=up',
+      '/cpu?interval=60001',
+      '/processes?sort=cpu.totalPercent&sort=executable',
+      '/load?fields=min1&fields=min5',
+    ].map(function(path) {
+      return get(path);
+    })).then(function(responses) {
+      assert.deepStrictEqual(responses.map(function(res) {
+        return [res.status, res.json.error.message];
+      }), [
+        [400, 'Invalid limit: -1'],
+        [400, 'Invalid offset: 1.5'],
+        [400, 'Invalid order: up (asc or desc)'],
+        [400, 'Invalid interval: 60001 (at most 60000)'],
+        [400, 'Invalid sort: given more than once'],
+        [400, 'Invalid fields: given more than once'],
+      ]);
+    });
+  });
+});
+
+test('unknown routes and processes are a 404, other methods a 405', function() {
+  return api({ prefix: '/api/' }, function(get) {
+    return get('/api/processes/999').then(function(res) {
+      assert.deepStrictEqual(res.json, { error: { status: 404, message: 'No such process: 999' } });
+      return get('/load');
+    }).then(function(res) {
+      assert.deepStrictEqual(res.json, { error: { status: 404, message: 'Not found: /load' } });
+      return get('/api/load', { method: 'POST' });
+    }).then(function(res) {
+      assert.strictEqual(res.status, 405);
+      assert.strictEqual(res.headers.allow, 'GET, HEAD');
+    });
+  });
+});
+
+test('a collector which fails is a 500', function() {
+  return api({}, function(get, mock) {
+    mock.uptime = function() {
+      return Promise.reject(new Error('no uptime'));
+    };
+    return get('/uptime').then(function(res) {
+      assert.deepStrictEqual(res.json, { error: { status: 500, message: 'no uptime' } });
+    });
+  });
+});
+
+test('serve() answers the routes it doesn\'t know with a 404', function() {
+  var mock = metrinix.mock(fixture());
+  var server = mock.serve({ port: 0, host: '127.0.0.1', stream: false });
+  return new Promise(function(resolve) {
+    server.on('listening', resolve);
+  }).then(function() {
+    return helpers.request(server, '/load');
+  }).then(function(res) {
+    assert.strictEqual(res.status, 200);
+    return helpers.request(server, '/stream');
+  }).then(function(res) {
+    assert.strictEqual(res.status, 404);
+  }).finally(function() {
+    return helpers.close(server);
+  });
+});
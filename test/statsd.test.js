@@ -0,0 +1,115 @@
+var test = require('node:test');
+var assert = require('assert');
+var dgram = require('dgram');
+var metrinix = require('..');
+var statsd = require('../bin/statsd.js');
+
+
+/**
+ * A statsd agent stand-in which keeps the lines it is sent.
+ */
+function agent() {
+  var socket = dgram.createSocket('udp4');
+  socket.lines = [];
+  socket.on('message', function(message) {
+    socket.lines = socket.lines.concat(message.toString().split('\n'));
+  });
+  return new Promise(function(resolve) {
+    socket.bind(0, '127.0.0.1', function() {
+      resolve(socket);
+    });
+  });
+}
+
+/**
+ * Wait for the datagrams sent to arrive over the loopback interface.
+ */
+function arrive() {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 100);
+  });
+}
+
+function fixture() {
+  return {
+    load: [0.5, 0.25, 0.1],
+    interfaces: { eth0: { rx: 1000 } },
+    mounts: [
+      { filesystem: '/dev/sda1', mountPoint: '/', size: 1 << 30, used: 1 << 29 },
+      { filesystem: '/dev/sda2', mountPoint: '/var/lib', size: 1 << 30, used: 3 << 28 },
+    ],
+  };
+}
+
+test('sanitize() makes mount points and names into name segments', function() {
+  assert.strictEqual(statsd.sanitize('/'), 'root');
+  assert.strictEqual(statsd.sanitize('/var/lib/'), 'var_lib');
+  assert.strictEqual(statsd.sanitize('web01.example.com'), 'web01_example_com');
+});
+
+test('the client folds mount points and interfaces into the names', function() {
+  var mock = metrinix.mock(fixture());
+  var socket;
+  var client;
+  return agent().then(function(result) {
+    socket = result;
+    client = mock.statsd({ port: socket.address().port, host: '127.0.0.1', prefix: 'hosts.web01.' });
+    return client.collect(['df', 'network', 'loadAvg']);
+  }).then(arrive).then(function() {
+    [
+      'hosts.web01.df.root.remaining:50|g',
+      'hosts.web01.df.var_lib.remaining:25|g',
+      'hosts.web01.network.eth0.rx.speed:1000|g',
+      'hosts.web01.loadAvg.min1:0.5|g',
+    ].forEach(function(line) {
+      assert.ok(socket.lines.indexOf(line) > -1, line);
+    });
+  }).finally(function() {
+    client.close();
+    socket.close();
+  });
+});
+
+test('the DogStatsD client sends tags instead', function() {
+  var mock = metrinix.mock(fixture());
+  var socket;
+  var client;
+  return agent().then(function(result) {
+    socket = result;
+    client = mock.statsd({ port: socket.address().port, host: '127.0.0.1', dogstatsd: true, tags: { env: 'prod' } });
+    return mock.df();
+  }).then(function(df) {
+    return client.send('df', df);
+  }).then(arrive).then(function() {
+    assert.ok(socket.lines.indexOf('metrinix.df.remaining:25|g|#env:prod,mount:/var/lib,device:/dev/sda2') > -1);
+  }).finally(function() {
+    client.close();
+    socket.close();
+  });
+});
+
+test('a negative gauge is reset to 0 first', function() {
+  var client = new statsd.Client(metrinix.mock(), { prefix: '', sampleRate: 0.5 });
+  assert.deepStrictEqual(client._lines({ collector: 'temperature', path: 'celsius', value: -5, tags: {} }),
+    ['temperature.celsius:0|g|@0.5', 'temperature.celsius:-5|g|@0.5']);
+});
+
+test('listen() sends the samples of a watcher', function() {
+  var mock = metrinix.mock(fixture());
+  var watcher = mock.watch({ collectors: ['loadAvg'], interval: 1000 });
+  var socket;
+  var client;
+  return agent().then(function(result) {
+    socket = result;
+    client = mock.statsd({ port: socket.address().port, host: '127.0.0.1', prefix: '' }).listen(watcher);
+    mock.host.clock.advance('1s');
+  }).then(arrive).then(function() {
+    assert.deepStrictEqual(socket.lines, ['loadAvg.min1:0.5', 'loadAvg.min5:0.25', 'loadAvg.min15:0.1'].map(function(line) {
+      return line + '|g';
+    }));
+  }).finally(function() {
+    watcher.stop();
+    client.close();
+    socket.close();
+  });
+});
@@ -0,0 +1,58 @@
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var metrinix = require('..');
+var helpers = require('./helpers.js');
+
+
+test('a store gives back what it recorded once reopened', function() {
+  var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metrinix-store-'));
+  var archives = [{ step: '10s', retention: '1h' }];
+  var mock = metrinix.mock({
+    interfaces: { eth0: { rx: 1250000 } },
+    processes: [{ pid: 1, name: 'init', cpu: 10 }],
+  });
+  var watcher = mock.watch({ collectors: ['network', 'ps'], interval: 10000 });
+  var store = mock.store({ directory: directory, archives: archives });
+  var samples = [];
+
+  function record(sample) {
+    samples.push(sample);
+    return store.record(sample);
+  }
+
+  return helpers.settle().then(function() {
+    return helpers.tick(mock, watcher, '10s');
+  }).then(record).then(function() {
+    mock.host.interfaces.eth0.rx = 4000;
+    return helpers.tick(mock, watcher, '10s');
+  }).then(record).then(function() {
+    return store.close();
+  }).then(function() {
+    store = mock.store({ directory: directory, archives: archives });
+    return store.paths();
+  }).then(function(paths) {
+    assert.ok(paths.indexOf('network.interfaces.eth0.rx.speed') > -1);
+    // processes are left out by default
+    assert.deepStrictEqual(paths.filter(function(metric) {
+      return /^ps\./.test(metric);
+    }), []);
+    return store.fetch('network.interfaces.eth0.rx.speed', { from: samples[0].time, to: samples[1].time });
+  }).then(function(result) {
+    assert.strictEqual(result.step, 10000);
+    assert.deepStrictEqual(result.points.filter(function(point) {
+      return point.value !== null;
+    }), samples.map(function(sample, offset) {
+      return {
+        time: Math.floor(sample.time / 10000) * 10000,
+        value: [1250000, 4000][offset],
+      };
+    }));
+    return store.close();
+  }).finally(function() {
+    watcher.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,223 @@
+var test = require('node:test');
+var assert = require('assert');
+var crypto = require('crypto');
+var events = require('events');
+var http = require('http');
+var metrinix = require('..');
+var stream = require('../bin/stream.js');
+var helpers = require('./helpers.js');
+
+
+/**
+ * Serve the stream of a mock host for the duration of a test, WebSocket
+ * included.
+ */
+function hub(run) {
+  var mock = metrinix.mock({ load: [0.5, 0.25, 0.1] });
+  var streamHub = new stream.Hub(mock);
+  var server;
+  var sse = stream.handler(streamHub);
+  return helpers.serve(function(req, res) {
+    sse(req, res, function() {
+      res.writeHead(404);
+      res.end();
+    });
+  }).then(function(result) {
+    server = result;
+    server.on('upgrade', stream.upgrade(streamHub));
+    return run(server, mock, streamHub);
+  }).finally(function() {
+    streamHub.close();
+    return helpers.close(server);
+  });
+}
+
+/**
+ * Open a Server-Sent Events stream, which collects the events it is sent.
+ */
+function eventSource(server, path) {
+  return new Promise(function(resolve, reject) {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: path }, function(res) {
+      res.events = new events.EventEmitter();
+      res.received = [];
+      var text = '';
+      res.setEncoding('utf8');
+      res.on('data', function(chunk) {
+        text += chunk;
+        var blocks = text.split('\n\n');
+        text = blocks.pop();
+        blocks.forEach(function(block) {
+          var event = {};
+          block.split('\n').forEach(function(line) {
+            var colon = line.indexOf(': ');
+            event[line.slice(0, colon)] = line.slice(colon + 2);
+          });
+          res.received.push(event);
+          res.events.emit('event', event);
+        });
+      });
+      resolve(res);
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Connect a WebSocket client, which can send and receive short JSON messages.
+ */
+function webSocket(server, path) {
+  return new Promise(function(resolve, reject) {
+    http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path: path,
+      headers: {
+        'Connection': 'Upgrade',
+        'Upgrade': 'websocket',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        'Sec-WebSocket-Version': '13',
+      },
+    }).on('upgrade', function(res, socket, head) {
+      var client = {};
+      // messages not yet read, and readers waiting for one
+      var messages = [];
+      var readers = [];
+      var buffer = head;
+      var receive = function(data) {
+        buffer = Buffer.concat([buffer, data]);
+        while (buffer.length >= 2) {
+          var length = buffer[1] & 0x7f;
+          var offset = 2;
+          if (length === 126) {
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+          }
+          if (buffer.length < offset + length) {
+            return;
+          }
+          console.error("MSG", buffer.toString("utf8", offset, offset + length));
+          messages.push(JSON.parse(buffer.toString('utf8', offset, offset + length)));
+          buffer = buffer.slice(offset + length);
+        }
+        while (messages.length && readers.length) {
+          readers.shift()(messages.shift());
+        }
+      };
+      socket.on('data', receive);
+      client.send = function(message) {
+        var payload = Buffer.from(JSON.stringify(message));
+        var mask = crypto.randomBytes(4);
+        for (var i = 0; i < payload.length; i++) {
+          payload[i] ^= mask[i % 4];
+        }
+        socket.write(Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, payload]));
+      };
+      client.next = function() {
+        return new Promise(function(resolve) {
+          readers.push(resolve);
+          receive(Buffer.alloc(0));
+        });
+      };
+      client.close = function() {
+        socket.destroy();
+      };
+      resolve(client);
+    }).on('error', reject).end();
+  });
+}
+
+test('SSE clients are sent the samples, from one watcher per collector and interval', function() {
+  return hub(function(server, mock, streamHub) {
+    var first;
+    var second;
+    return Promise.all([
+      eventSource(server, '/stream?collectors=load&interval=2'),
+      eventSource(server, '/stream?collectors=load,uptime&interval=2'),
+    ]).then(function(sources) {
+      first = sources[0];
+      second = sources[1];
+      assert.strictEqual(first.headers['content-type'], 'text/event-stream; charset=utf-8');
+      assert.deepStrictEqual(Object.keys(streamHub.channels).sort(), ['load@2', 'uptime@2']);
+      return helpers.settle();
+    }).then(function() {
+      var event = events.once(first.events, 'event');
+      mock.host.clock.advance('2s');
+      return event;
+    }).then(function() {
+      assert.deepStrictEqual(first.received[0], { retry: '2000' });
+      var sample = JSON.parse(first.received[1].data);
+      assert.strictEqual(sample.collector, 'load');
+      assert.strictEqual(sample.interval, 2);
+      assert.strictEqual(sample.data.min1, 0.5);
+      assert.deepStrictEqual(sample.warnings, []);
+      first.destroy();
+      second.destroy();
+      return helpers.settle();
+    }).then(function() {
+      assert.deepStrictEqual(streamHub.channels, {});
+    });
+  });
+});
+
+test('SSE streams with an unknown collector or an interval out of range are a 400', function() {
+  return hub(function(server) {
+    return Promise.all([
+      '/stream?collectors=nothing',
+      '/stream?collectors=load&interval=0.5',
+      '/stream?collectors=load&interval=3601',
+      '/stream?collectors=load&interval=2147484',
+    ].map(function(path) {
+      return helpers.request(server, path);
+    })).then(function(responses) {
+      assert.deepStrictEqual(responses.map(function(res) {
+        return [res.status, JSON.parse(res.body).error.message];
+      }), [
+        [400, 'Unknown collector: nothing (one of cpu, memory, disk, network, load, uptime, processes)'],
+        [400, 'Invalid interval: 0.5 (seconds, from 1 to 3600)'],
+        [400, 'Invalid interval: 3601 (seconds, from 1 to 3600)'],
+        [400, 'Invalid interval: 2147484 (seconds, from 1 to 3600)'],
+      ]);
+    });
+  });
+});
+
+test('WebSocket clients subscribe and unsubscribe at runtime', function() {
+  return hub(function(server, mock, streamHub) {
+    var client;
+    return webSocket(server, '/stream?collectors=uptime&interval=5').then(function(result) {
+      client = result;
+      return client.next();
+    }).then(function(message) {
+      assert.deepStrictEqual(message, { type: 'subscribed', collectors: ['uptime'], interval: 5 });
+      client.send({ subscribe: ['load'], interval: 1 });
+      return client.next();
+    }).then(function(message) {
+      assert.deepStrictEqual(message, { type: 'subscribed', collectors: ['load'], interval: 1 });
+      assert.deepStrictEqual(Object.keys(streamHub.channels).sort(), ['load@1', 'uptime@5']);
+      return helpers.settle();
+    }).then(function() {
+      var message = client.next();
+      mock.host.clock.advance('1s');
+      return message;
+    }).then(function(message) {
+      assert.strictEqual(message.type, 'sample');
+      assert.strictEqual(message.collector, 'load');
+      assert.strictEqual(message.data.min5, 0.25);
+      client.send({ unsubscribe: ['load'] });
+      return client.next();
+    }).then(function(message) {
+      assert.deepStrictEqual(message, { type: 'unsubscribed', collectors: ['load'] });
+      assert.deepStrictEqual(Object.keys(streamHub.channels), ['uptime@5']);
+      client.send({ subscribe: ['load'], interval: 86400 });
+      return client.next();
+    }).then(function(message) {
+      assert.deepStrictEqual(message, { type: 'error', message: 'Invalid interval: 86400 (seconds, from 1 to 3600)' });
+      assert.deepStrictEqual(Object.keys(streamHub.channels), ['uptime@5']);
+      client.close();
+      return helpers.settle();
+    }).then(function() {
+      assert.deepStrictEqual(streamHub.channels, {});
+    }).finally(function() {
+      return client && client.close();
+    });
+  });
+});
@@ -0,0 +1,52 @@
+var test = require('node:test');
+var assert = require('assert');
+var stream = require('stream');
+var metrinix = require('..');
+var Top = require('../bin/top.js').Top;
+
+
+/**
+ * A view of a mock host drawn on a stream which keeps what is written.
+ */
+function top() {
+  var output = new stream.PassThrough();
+  output.written = '';
+  output.on('data', function(data) {
+    output.written += data;
+  });
+  output.columns = 80;
+  output.rows = 24;
+  return new Top(metrinix.mock(), { input: new stream.PassThrough(), output: output, interval: 1000 });
+}
+
+test('the terminal is given back on quitting', function() {
+  var view = top();
+  var done = view.start();
+  assert.ok(view.output.written.indexOf('\x1b[?1049h\x1b[?25l') === 0);
+  view.input.write('q');
+  return done.then(function() {
+    assert.ok(/\x1b\[\?25h\x1b\[\?1049l$/.test(view.output.written));
+    assert.strictEqual(process.listeners('exit').indexOf(view._onExit), -1);
+  });
+});
+
+['SIGTERM', 'SIGHUP'].forEach(function(signal) {
+  test('the terminal is given back before ending on ' + signal, function() {
+    var view = top();
+    var kill = process.kill;
+    var killed = [];
+    process.kill = function(pid, name) {
+      killed.push([pid, name]);
+    };
+    try {
+      var done = view.start();
+      process.emit(signal, signal);
+      assert.deepStrictEqual(killed, [[process.pid, signal]]);
+      assert.ok(/\x1b\[\?25h\x1b\[\?1049l$/.test(view.output.written));
+      assert.strictEqual(process.listeners(signal).indexOf(view._onSignal), -1);
+      return done;
+    } finally {
+      process.kill = kill;
+    }
+  });
+});
@@ -0,0 +1,125 @@
+var Q = require('q');
+var test = require('node:test');
+var assert = require('assert');
+var events = require('events');
+var metrinix = require('..');
+var Watcher = require('../bin/watcher.js');
+var Clock = require('../bin/mockHost.js').Clock;
+var helpers = require('./helpers.js');
+
+
+test('watch() samples on the clock of a mock host', function() {
+  var mock = metrinix.mock({
+    time: 1476522300000,
+    interfaces: { eth0: { rx: 1250000, tx: 500000 } },
+  });
+  var watcher = mock.watch({ collectors: ['network', 'uptime'], interval: 10000 });
+  var samples = [];
+  watcher.on('sample', function(sample) {
+    samples.push(sample);
+  });
+
+  return helpers.settle().then(function() {
+    assert.strictEqual(samples.length, 0);
+    return helpers.tick(mock, watcher, '10s');
+  }).then(function(sample) {
+    assert.strictEqual(sample.time, 1476522310000);
+    assert.deepStrictEqual(Object.keys(sample.data).sort(), ['network', 'uptime']);
+    assert.strictEqual(sample.data.network.interfaces.eth0.rx.speed, 1250000);
+    mock.host.interfaces.eth0.rx = 4000;
+    return helpers.tick(mock, watcher, '10s');
+  }).then(function(sample) {
+    assert.strictEqual(sample.time, 1476522320000);
+    assert.strictEqual(sample.data.network.interfaces.eth0.rx.speed, 4000);
+    assert.strictEqual(sample.data.network.interfaces.eth0.tx.speed, 500000);
+    assert.strictEqual(samples.length, 2);
+  }).finally(function() {
+    watcher.stop();
+  });
+});
+
+test('watch() takes no samples while paused', function() {
+  var mock = metrinix.mock({ interfaces: { eth0: { rx: 1000 } } });
+  var watcher = mock.watch({ collectors: ['network'], interval: 10000 });
+  var samples = 0;
+  watcher.on('sample', function() {
+    samples++;
+  });
+
+  return helpers.settle().then(function() {
+    watcher.pause();
+    mock.host.clock.advance('1m');
+    return helpers.settle();
+  }).then(function() {
+    assert.strictEqual(samples, 0);
+    watcher.resume();
+    return helpers.settle();
+  }).then(function() {
+    // the rate is over the time since resuming, not since pausing
+    mock.host.interfaces.eth0.rx = 2000;
+    return helpers.tick(mock, watcher, '10s');
+  }).then(function(sample) {
+    assert.strictEqual(sample.data.network.interfaces.eth0.rx.speed, 2000);
+    assert.strictEqual(samples, 1);
+  }).finally(function() {
+    watcher.stop();
+  });
+});
+
+test('a reading begun before a pause is no baseline after resuming', function() {
+  var clock = new Clock(0, { auto: false });
+  var pending = [];
+  var collector = function() {};
+  collector.snapshot = function() {
+    var snapshot = Q.defer();
+    pending.push({ time: clock.now(), resolve: snapshot.resolve });
+    return snapshot.promise;
+  };
+  collector.diff = function(prev, cur) {
+    return { from: prev.time, to: cur.time };
+  };
+  var watcher = new Watcher({ _clock: clock, network: collector }, { collectors: ['network'], interval: 1000 });
+  var samples = [];
+  watcher.on('sample', function(sample) {
+    samples.push(sample.data.network);
+  });
+
+  function resolve(offset) {
+    pending[offset].resolve({ time: pending[offset].time });
+    return helpers.settle();
+  }
+
+  return resolve(0).then(function() {
+    clock.advance(1000);
+    watcher.pause();
+    clock.advance('1m');
+    watcher.resume();
+    // the reading of the tick before the pause comes in last
+    return resolve(2);
+  }).then(function() {
+    return resolve(1);
+  }).then(function() {
+    assert.deepStrictEqual(samples, []);
+    clock.advance(1000);
+    return resolve(3);
+  }).then(function() {
+    assert.deepStrictEqual(samples, [{ from: 61000, to: 62000 }]);
+  }).finally(function() {
+    watcher.stop();
+  });
+});
+
+test('a sample listener which throws is reported as an error', function() {
+  var mock = metrinix.mock();
+  var watcher = mock.watch({ collectors: ['uptime'], interval: 1000 });
+  watcher.on('sample', function() {
+    throw new Error('listener failed');
+  });
+  var error = events.once(watcher, 'error');
+  mock.host.clock.advance('1s');
+  return error.then(function(args) {
+    assert.strictEqual(args[0].message, 'listener failed');
+  }).finally(function() {
+    watcher.stop();
+  });
+});